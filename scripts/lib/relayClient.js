@@ -0,0 +1,239 @@
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import WebSocket from 'ws';
+import twilio from 'twilio';
+
+/**
+ * ConversationRelay Client
+ * Speaks the Twilio ConversationRelay WebSocket protocol against this server,
+ * standing in for Twilio so sessions can be driven without a phone call
+ *
+ * Events emitted:
+ * - 'token': Streamed text token (token: string)
+ * - 'reply': Complete agent reply, emitted on the last token (text: string)
+ * - 'end': End message received (handoffData: Object | null)
+ * - 'language': Language message received (message: Object)
+ * - 'serverError': Error message received (message: string)
+ * - 'message': Any message received (message: Object)
+ * - 'close': WebSocket closed
+ */
+export class RelayClient extends EventEmitter {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - Server base URL (e.g. http://localhost:3000)
+   * @param {string} [options.callSid] - Call SID to use (random if omitted)
+   * @param {string} [options.from] - Caller phone number
+   * @param {string} [options.to] - Called phone number
+   * @param {string} [options.direction] - Call direction
+   * @param {string} [options.callerName] - Caller ID name
+   * @param {Object<string, string>} [options.customParameters] - Custom TwiML parameters sent in setup
+   * @param {string} [options.authToken] - Twilio auth token used to sign requests (unsigned if omitted)
+   */
+  constructor(options) {
+    super();
+    this.baseUrl = options.baseUrl.replace(/\/$/, '');
+    this.callSid = options.callSid || generateCallSid();
+    this.from = options.from || '+15555550100';
+    this.to = options.to || '+15555550199';
+    this.direction = options.direction || 'inbound';
+    this.callerName = options.callerName || '';
+    this.customParameters = options.customParameters || {};
+    this.authToken = options.authToken || null;
+
+    /** @type {WebSocket | null} */
+    this.ws = null;
+
+    /** @type {string} - Reply being streamed */
+    this.currentReply = '';
+  }
+
+  /**
+   * WebSocket URL derived from the base URL
+   * @returns {string}
+   */
+  get wsUrl() {
+    return this.baseUrl.replace(/^http/, 'ws');
+  }
+
+  /**
+   * Open the WebSocket and send the setup message
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.ws = new WebSocket(this.wsUrl, { headers: this._signatureHeaders(this.wsUrl) });
+
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+
+    this.ws.on('message', data => this._handleMessage(JSON.parse(data.toString())));
+    this.ws.on('close', () => this.emit('close'));
+
+    this.send({
+      type: 'setup',
+      sessionId: `VX${randomBytes(16).toString('hex')}`,
+      callSid: this.callSid,
+      from: this.from,
+      to: this.to,
+      direction: this.direction,
+      callerName: this.callerName,
+      callType: 'PSTN',
+      callStatus: 'IN-PROGRESS',
+      customParameters: this.customParameters
+    });
+  }
+
+  /**
+   * Send a raw protocol message
+   * @param {Object} message - Message to send
+   */
+  send(message) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket is not connected');
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Send caller speech
+   * @param {string} text - Transcribed speech
+   */
+  prompt(text) {
+    this.send({ type: 'prompt', voicePrompt: text, lang: 'en-US', last: true });
+  }
+
+  /**
+   * Send keypad digits, one message per digit
+   * @param {string} digits - Digits to press (0-9, *, #)
+   */
+  dtmf(digits) {
+    for (const digit of digits) {
+      this.send({ type: 'dtmf', digit });
+    }
+  }
+
+  /**
+   * Send an interrupt, as if the caller talked over the agent
+   * @param {string} [utteranceUntilInterrupt] - Text the caller heard (defaults to the reply so far)
+   * @param {number} [durationUntilInterruptMs] - Time until the interrupt
+   */
+  interrupt(utteranceUntilInterrupt = this.currentReply, durationUntilInterruptMs = 1000) {
+    this.send({
+      type: 'interrupt',
+      utteranceUntilInterrupt,
+      durationUntilInterruptMs: String(durationUntilInterruptMs)
+    });
+  }
+
+  /**
+   * Close the WebSocket
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.ws || this.ws.readyState === WebSocket.CLOSED) return;
+
+    await new Promise(resolve => {
+      this.ws.once('close', resolve);
+      this.ws.close();
+    });
+  }
+
+  /**
+   * POST a Twilio-style form webhook to the server
+   * @param {string} path - Route path (e.g. /api/incoming-call)
+   * @param {Object<string, string>} [params] - Extra form parameters
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.signed] - Sign the request with the auth token (default true)
+   * @returns {Promise<{status: number, body: string}>}
+   */
+  async postWebhook(path, params = {}, { signed = true } = {}) {
+    const url = `${this.baseUrl}${path}`;
+    const form = {
+      CallSid: this.callSid,
+      AccountSid: 'AC00000000000000000000000000000000',
+      From: this.from,
+      To: this.to,
+      Direction: this.direction,
+      CallStatus: 'in-progress',
+      ...params
+    };
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(signed ? this._signatureHeaders(url, form) : {})
+      },
+      body: new URLSearchParams(form).toString()
+    });
+
+    return { status: response.status, body: await response.text() };
+  }
+
+  /**
+   * Build the X-Twilio-Signature header for a request, as Twilio would
+   * @private
+   * @param {string} url - Full request URL
+   * @param {Object<string, string>} [params] - Form parameters
+   * @returns {Object<string, string>} Headers (empty without an auth token)
+   */
+  _signatureHeaders(url, params = {}) {
+    if (!this.authToken) return {};
+    return { 'X-Twilio-Signature': twilio.getExpectedTwilioSignature(this.authToken, url, params) };
+  }
+
+  /**
+   * Handle a message from the server
+   * @private
+   * @param {Object} message - Parsed message
+   */
+  _handleMessage(message) {
+    this.emit('message', message);
+
+    switch (message.type) {
+      case 'text':
+        if (message.token) {
+          this.currentReply += message.token;
+          this.emit('token', message.token);
+        }
+        if (message.last) {
+          const reply = this.currentReply;
+          this.currentReply = '';
+          this.emit('reply', reply);
+        }
+        break;
+
+      case 'end': {
+        let handoffData = null;
+        if (message.handoffData) {
+          try {
+            handoffData = JSON.parse(message.handoffData);
+          } catch {
+            handoffData = { raw: message.handoffData };
+          }
+        }
+        this.emit('end', handoffData);
+        break;
+      }
+
+      case 'language':
+        this.emit('language', message);
+        break;
+
+      case 'error':
+        this.emit('serverError', message.message || 'Unknown error');
+        break;
+    }
+  }
+}
+
+/**
+ * Generate a fake call SID
+ * @returns {string}
+ */
+export function generateCallSid() {
+  return `CA${randomBytes(16).toString('hex')}`;
+}
+
+export default RelayClient;
@@ -0,0 +1,536 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+import http from 'http';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { RelayClient } from './lib/relayClient.js';
+
+/**
+ * Conversation Scenario Runner
+ * Runs scripted caller conversations against a real server process backed by the
+ * offline scripted agent, and checks the server's replies against expectations
+ *
+ * Usage: npm test [-- <scenario files or directories>]   (default: test/scenarios)
+ *
+ * Scenario file (JSON or YAML):
+ *   name: Handoff flow
+ *   agentScript: test/fixtures/agent-script.yaml   # optional, scripted backend script
+ *   env: { DTMF_IDLE_TIMEOUT_MS: '500' }           # optional, extra server environment
+ *   twilioApi: true                                # optional, place calls with a stand-in for the Twilio REST API
+ *                                                  # (call SIDs CA00000000000000000000000000000001, ...0002, ...)
+ *   call: { from: '+15551230000', to: '+15559870000' }
+ *   steps:
+ *     - say: I want to talk to a person             # caller speech
+ *     - dtmf: '5551234567'                          # keypad digits
+ *     - silence: 700                                # wait (ms) without input
+ *     - interrupt: Hello                            # interrupt with the heard text
+ *     - disconnect: true                            # drop the WebSocket
+ *     - reconnect: true                             # new WebSocket + setup with the same call SID
+ *     - restart: true                               # restart the server process (same port and state directory)
+ *     - webhook: { path: /api/action, params: { ErrorCode: '64105' }, expect: { status: 200, contains: '<ConversationRelay' } }
+ *     - webhook: { path: /api/action, signed: false, expect: { status: 403 } }   # unsigned (forged) webhook
+ *     - expectUnsignedRejected: true                # an unsigned WebSocket upgrade is refused
+ *     - http: { path: /api/outbound/initiate, headers: { X-API-Key: k }, json: { to: '+1555...' }, expect: { status: 401 } }
+ *     - http: { path: /api/campaigns, json: { ... }, save: { campaignId: id } }   # keep a field of the JSON response
+ *     - http: { method: GET, path: '/api/campaigns/{{campaignId}}' }             # saved values fill {{name}} in later steps
+ *     - expectReply: { contains: 'connect you' }    # next agent reply (contains | matches | equals)
+ *     - expectHandoff: { reason: 'Caller asked for a human agent' }
+ *     - expectEnd: true                             # the call is ended without a handoff
+ *     - expectError: { contains: 'not initialized' }
+ *     - expectLanguage: { ttsLanguage: 'es-ES' }
+ *     - expectNoReply: 500                          # no reply within the given ms
+ *
+ * Expectations wait up to `timeout` ms (default 5000) for the next unconsumed event of their type.
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_SCENARIO_DIR = 'test/scenarios';
+const DEFAULT_AGENT_SCRIPT = 'test/fixtures/agent-script.yaml';
+const DEFAULT_TIMEOUT = 5000;
+const AUTH_TOKEN = 'scenario-test-token';
+
+/**
+ * Collects server events by type so expectations can consume them in order
+ */
+class EventLog {
+  constructor() {
+    /** @type {Object<string, Array<any>>} */
+    this.queues = { reply: [], end: [], serverError: [], language: [] };
+
+    /** @type {Array<{type: string, resolve: Function}>} */
+    this.waiters = [];
+  }
+
+  /**
+   * Attach to a relay client
+   * @param {RelayClient} client - Client to listen to
+   */
+  attach(client) {
+    for (const type of Object.keys(this.queues)) {
+      client.on(type, value => this.push(type, value));
+    }
+  }
+
+  /**
+   * Record an event
+   * @param {string} type - Event type
+   * @param {any} value - Event payload
+   */
+  push(type, value) {
+    const waiterIndex = this.waiters.findIndex(waiter => waiter.type === type);
+    if (waiterIndex >= 0) {
+      const [waiter] = this.waiters.splice(waiterIndex, 1);
+      waiter.resolve(value);
+      return;
+    }
+    this.queues[type].push(value);
+  }
+
+  /**
+   * Take the next event of a type, waiting for it if necessary
+   * @param {string} type - Event type
+   * @param {number} timeout - Maximum wait in ms
+   * @returns {Promise<any>} Event payload, or undefined on timeout
+   */
+  next(type, timeout) {
+    if (this.queues[type].length > 0) {
+      return Promise.resolve(this.queues[type].shift());
+    }
+
+    return new Promise(resolve => {
+      const waiter = { type, resolve };
+      this.waiters.push(waiter);
+      setTimeout(() => {
+        const index = this.waiters.indexOf(waiter);
+        if (index >= 0) {
+          this.waiters.splice(index, 1);
+          resolve(undefined);
+        }
+      }, timeout);
+    });
+  }
+}
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>}
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Start a stand-in for the Twilio REST API calls resource
+ * Calls are accepted as queued and numbered in order, so scenarios know their SIDs
+ * @returns {Promise<{url: string, stop: () => Promise<void>}>}
+ */
+async function startTwilioApi() {
+  const calls = new Map();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      const params = Object.fromEntries(new URLSearchParams(body));
+      const [, accountSid, callSid] = req.url.match(/^\/2010-04-01\/Accounts\/(\w+)\/Calls(?:\/(\w+))?\.json/) || [];
+
+      if (accountSid && !callSid && req.method === 'POST') {
+        const sid = `CA${String(calls.size + 1).padStart(32, '0')}`;
+        const call = { sid, account_sid: accountSid, to: params.To, from: params.From, status: 'queued', direction: 'outbound-api' };
+        calls.set(sid, call);
+        return send(201, call);
+      }
+      const call = calls.get(callSid);
+      if (call && req.method === 'GET') return send(200, call);
+      if (call && req.method === 'POST') {
+        call.status = params.Status || call.status;
+        return send(200, call);
+      }
+      send(404, { code: 20404, message: 'The requested resource was not found', status: 404 });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, resolve));
+  return {
+    url: `http://localhost:${server.address().port}`,
+    stop: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
+
+/**
+ * Start a server process with the scripted agent backend
+ * @param {Object} scenario - Scenario definition
+ * @param {Object} options - Process options
+ * @param {number} [options.port] - Port to listen on (a free port if omitted)
+ * @param {string} options.stateDir - Directory for the file state store
+ * @param {string} [options.twilioApiUrl] - Twilio REST API stand-in
+ * @param {string[]} [options.output] - Log lines of earlier processes of this scenario
+ * @returns {Promise<{baseUrl: string, port: number, output: string[], stop: () => Promise<void>}>}
+ */
+async function startServer(scenario, { port, stateDir, twilioApiUrl, output = [] }) {
+  port = port ?? await getFreePort();
+
+  const child = spawn(process.execPath, ['src/server.js'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      AGENT_BACKEND: 'scripted',
+      AGENT_SCRIPT_PATH: scenario.agentScript || DEFAULT_AGENT_SCRIPT,
+      TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+      TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+      NGROK_DOMAIN: `localhost:${port}`,
+      TURN_MERGE_WINDOW_MS: '0',
+      STATE_STORE_DIR: stateDir,
+      OUTBOUND_AUDIT_LOG: path.join(stateDir, 'outbound-audit.jsonl'),
+      ...(twilioApiUrl ? { TWILIO_API_BASE_URL: twilioApiUrl } : {}),
+      ...scenario.env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  child.stdout.on('data', data => output.push(data.toString()));
+  child.stderr.on('data', data => output.push(data.toString()));
+
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const baseUrl = `http://localhost:${port}`;
+
+  // Wait for the health endpoint
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited during startup:\n${output.join('')}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) break;
+    } catch {
+      // Not listening yet
+    }
+    await sleep(100);
+  }
+
+  return {
+    baseUrl,
+    port,
+    output,
+    stop: async () => {
+      if (child.exitCode !== null) return;
+      child.kill('SIGTERM');
+      const timer = setTimeout(() => child.kill('SIGKILL'), 3000);
+      await exited;
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Check a text value against contains/matches/equals expectations
+ * @param {string} actual - Actual text
+ * @param {Object} expected - Expectation
+ * @returns {string | null} Failure message or null
+ */
+function checkText(actual, expected) {
+  if (expected.contains !== undefined && !actual.includes(expected.contains)) {
+    return `expected "${actual}" to contain "${expected.contains}"`;
+  }
+  if (expected.matches !== undefined && !new RegExp(expected.matches, 'i').test(actual)) {
+    return `expected "${actual}" to match /${expected.matches}/i`;
+  }
+  if (expected.equals !== undefined && actual !== expected.equals) {
+    return `expected "${actual}" to equal "${expected.equals}"`;
+  }
+  return null;
+}
+
+/**
+ * Fill {{name}} placeholders of saved values in a step value
+ * Other placeholders (e.g. {{customer.firstName}} in call contexts) are left as they are
+ * @param {any} value - Step value
+ * @param {Object<string, string>} vars - Saved values
+ * @returns {any}
+ */
+function fillVars(value, vars) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => vars[name] ?? placeholder);
+  }
+  if (Array.isArray(value)) return value.map(item => fillVars(item, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillVars(item, vars)]));
+  }
+  return value;
+}
+
+/**
+ * Normalize an expectation value (a bare string means "contains")
+ * @param {Object | string | boolean} value - Step value
+ * @returns {Object}
+ */
+function toExpectation(value) {
+  if (typeof value === 'string') return { contains: value };
+  if (value === true || value === null || value === undefined) return {};
+  return value;
+}
+
+/**
+ * Run a single step
+ * @param {Object} step - Step definition
+ * @param {Object} state - Scenario run state ({ client, events, baseUrl, call, server })
+ * @throws {Error} if an expectation fails
+ */
+async function runStep(step, state) {
+  const [action] = Object.keys(step).filter(key => key !== 'timeout');
+  const value = fillVars(step[action], state.vars);
+  const timeout = step.timeout ?? value?.timeout ?? DEFAULT_TIMEOUT;
+
+  switch (action) {
+    case 'say':
+      state.client.prompt(value);
+      break;
+
+    case 'dtmf':
+      state.client.dtmf(String(value));
+      break;
+
+    case 'silence':
+      await sleep(Number(value));
+      break;
+
+    case 'interrupt':
+      state.client.interrupt(value === true ? undefined : value);
+      break;
+
+    case 'disconnect':
+      await state.client.close();
+      break;
+
+    case 'restart':
+      await state.client.close();
+      await state.server.stop();
+      state.server = await startServer(state.scenario, {
+        port: state.server.port,
+        stateDir: state.stateDir,
+        twilioApiUrl: state.twilioApi?.url,
+        output: state.server.output
+      });
+      break;
+
+    case 'reconnect':
+      await state.client.close();
+      state.client = new RelayClient({ baseUrl: state.baseUrl, authToken: AUTH_TOKEN, ...state.call, callSid: state.client.callSid });
+      state.events.attach(state.client);
+      await state.client.connect();
+      break;
+
+    case 'webhook': {
+      const { status, body } = await state.client.postWebhook(value.path, value.params, { signed: value.signed !== false });
+      const expected = value.expect || {};
+      if (expected.status !== undefined && status !== expected.status) {
+        throw new Error(`webhook ${value.path}: expected status ${expected.status}, got ${status}`);
+      }
+      const failure = checkText(body, expected);
+      if (failure) throw new Error(`webhook ${value.path}: ${failure}`);
+      break;
+    }
+
+    case 'http': {
+      const response = await fetch(`${state.baseUrl}${value.path}`, {
+        method: value.method || 'POST',
+        headers: { 'Content-Type': 'application/json', ...value.headers },
+        body: value.json === undefined ? undefined : JSON.stringify(value.json)
+      });
+      const body = await response.text();
+      const expected = value.expect || {};
+      if (expected.status !== undefined && response.status !== expected.status) {
+        throw new Error(`http ${value.path}: expected status ${expected.status}, got ${response.status} (${body})`);
+      }
+      const failure = checkText(body, expected);
+      if (failure) throw new Error(`http ${value.path}: ${failure}`);
+      for (const [name, field] of Object.entries(value.save || {})) {
+        state.vars[name] = String(JSON.parse(body)[field]);
+      }
+      break;
+    }
+
+    case 'expectUnsignedRejected': {
+      const unsigned = new RelayClient({ baseUrl: state.baseUrl, ...state.call });
+      try {
+        await unsigned.connect();
+      } catch (error) {
+        if (!/\b403\b/.test(error.message)) {
+          throw new Error(`expectUnsignedRejected: expected status 403, got "${error.message}"`);
+        }
+        break;
+      }
+      await unsigned.close();
+      throw new Error('expectUnsignedRejected: unsigned WebSocket connection was accepted');
+    }
+
+    case 'expectReply': {
+      const reply = await state.events.next('reply', timeout);
+      if (reply === undefined) throw new Error(`expectReply: no reply within ${timeout}ms`);
+      const failure = checkText(reply, toExpectation(value));
+      if (failure) throw new Error(`expectReply: ${failure}`);
+      break;
+    }
+
+    case 'expectNoReply': {
+      const wait = typeof value === 'number' ? value : timeout;
+      const reply = await state.events.next('reply', wait);
+      if (reply !== undefined) throw new Error(`expectNoReply: got reply "${reply}"`);
+      break;
+    }
+
+    case 'expectHandoff': {
+      const handoffData = await state.events.next('end', timeout);
+      if (handoffData === undefined) throw new Error(`expectHandoff: no end message within ${timeout}ms`);
+      if (!handoffData) throw new Error('expectHandoff: end message had no handoffData');
+      const expected = toExpectation(value);
+      if (expected.reason !== undefined && handoffData.reason !== expected.reason) {
+        throw new Error(`expectHandoff: expected reason "${expected.reason}", got "${handoffData.reason}"`);
+      }
+      const failure = checkText(JSON.stringify(handoffData), { contains: expected.contains, matches: expected.matches });
+      if (failure) throw new Error(`expectHandoff: ${failure}`);
+      break;
+    }
+
+    case 'expectEnd': {
+      const handoffData = await state.events.next('end', timeout);
+      if (handoffData === undefined) throw new Error(`expectEnd: no end message within ${timeout}ms`);
+      if (handoffData) throw new Error(`expectEnd: end message had handoffData ${JSON.stringify(handoffData)}`);
+      break;
+    }
+
+    case 'expectError': {
+      const message = await state.events.next('serverError', timeout);
+      if (message === undefined) throw new Error(`expectError: no error within ${timeout}ms`);
+      const failure = checkText(message, toExpectation(value));
+      if (failure) throw new Error(`expectError: ${failure}`);
+      break;
+    }
+
+    case 'expectLanguage': {
+      const message = await state.events.next('language', timeout);
+      if (message === undefined) throw new Error(`expectLanguage: no language message within ${timeout}ms`);
+      for (const [key, expected] of Object.entries(toExpectation(value))) {
+        if (key !== 'timeout' && message[key] !== expected) {
+          throw new Error(`expectLanguage: expected ${key} "${expected}", got "${message[key]}"`);
+        }
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown step: ${action}`);
+  }
+}
+
+/**
+ * Run one scenario against a fresh server
+ * @param {string} file - Scenario file path
+ * @returns {Promise<boolean>} True if the scenario passed
+ */
+async function runScenario(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const scenario = /\.ya?ml$/i.test(file) ? YAML.parse(source) : JSON.parse(source);
+  const name = scenario.name || path.basename(file);
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-scenario-'));
+  const twilioApi = scenario.twilioApi ? await startTwilioApi() : null;
+  const server = await startServer(scenario, { stateDir, twilioApiUrl: twilioApi?.url });
+
+  const state = {
+    scenario,
+    server,
+    stateDir,
+    twilioApi,
+    vars: {},
+    baseUrl: server.baseUrl,
+    call: scenario.call || {},
+    events: new EventLog(),
+    client: null
+  };
+
+  let stepIndex = 0;
+  try {
+    state.client = new RelayClient({ baseUrl: server.baseUrl, authToken: AUTH_TOKEN, ...state.call });
+    state.events.attach(state.client);
+    await state.client.connect();
+
+    for (const step of scenario.steps || []) {
+      stepIndex++;
+      await runStep(step, state);
+    }
+
+    console.log(`  ✓ ${name}`);
+    return true;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`      Step ${stepIndex}: ${error.message}`);
+    if (process.env.DEBUG) {
+      console.log(state.server.output.join('').split('\n').slice(-40).map(line => `      | ${line}`).join('\n'));
+    }
+    return false;
+  } finally {
+    await state.client?.close().catch(() => {});
+    await state.server.stop();
+    await twilioApi?.stop();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Expand scenario paths (directories are searched for .json/.yaml/.yml files)
+ * @param {string[]} inputs - Files or directories
+ * @returns {string[]}
+ */
+function findScenarioFiles(inputs) {
+  return inputs.flatMap(input => {
+    const resolved = path.resolve(ROOT, input);
+    if (!fs.statSync(resolved).isDirectory()) return [resolved];
+    return fs.readdirSync(resolved)
+      .filter(file => /\.(json|ya?ml)$/i.test(file))
+      .sort()
+      .map(file => path.join(resolved, file));
+  });
+}
+
+/**
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const inputs = process.argv.slice(2);
+const files = findScenarioFiles(inputs.length > 0 ? inputs : [DEFAULT_SCENARIO_DIR]);
+
+console.log(`Running ${files.length} scenario(s)`);
+
+let failed = 0;
+for (const file of files) {
+  if (!(await runScenario(file))) failed++;
+}
+
+console.log('');
+console.log(`${files.length - failed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
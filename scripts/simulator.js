@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { RelayClient } from './lib/relayClient.js';
+
+/**
+ * ConversationRelay Simulator
+ * Interactive command-line client that stands in for Twilio: connects to the
+ * server's WebSocket, speaks the ConversationRelay protocol and can call the
+ * TwiML webhooks, so the server can be exercised without a phone or ngrok
+ *
+ * Usage: npm run simulate -- [--url http://localhost:3000] [--from +1555...] [--to +1555...] [--call-sid CA...]
+ *
+ * Requests are signed with TWILIO_AUTH_TOKEN from .env (or --auth-token), so the
+ * server's signature validation stays on while simulating.
+ */
+
+const HELP = `
+Commands:
+  <text>                 Send caller speech (prompt)
+  /dtmf <digits>         Press keypad digits (e.g. /dtmf 5551234567#)
+  /interrupt [heard]     Interrupt the agent (defaults to the reply heard so far)
+  /incoming              POST /api/incoming-call and print the TwiML
+  /action [errorCode]    POST /api/action (e.g. /action 64105 for an abrupt disconnect)
+  /reconnect             Simulate a dropped connection: close, POST /api/action 64105, reconnect
+  /hangup                Close the WebSocket
+  /connect               Open a new WebSocket session with the same call SID
+  /help                  Show this help
+  /quit                  Exit
+`;
+
+const { values: args } = parseArgs({
+  options: {
+    url: { type: 'string', default: process.env.SIMULATOR_URL || `http://localhost:${process.env.PORT || 3000}` },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'call-sid': { type: 'string' },
+    direction: { type: 'string', default: 'inbound' },
+    'auth-token': { type: 'string', default: process.env.TWILIO_AUTH_TOKEN }
+  }
+});
+
+const client = new RelayClient({
+  baseUrl: args.url,
+  callSid: args['call-sid'],
+  from: args.from,
+  to: args.to,
+  direction: args.direction,
+  authToken: args['auth-token']
+});
+
+/** @type {Object | null} - Handoff data from the last end message */
+let lastHandoffData = null;
+let replyInProgress = false;
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+  prompt: 'caller> '
+});
+
+/**
+ * Print a line without mangling the readline prompt
+ * @param {string} line - Text to print
+ */
+function print(line) {
+  if (replyInProgress) {
+    process.stdout.write('\n');
+    replyInProgress = false;
+  }
+  readline.clearLine(process.stdout, 0);
+  readline.cursorTo(process.stdout, 0);
+  console.log(line);
+  rl.prompt(true);
+}
+
+client.on('token', token => {
+  if (!replyInProgress) {
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    process.stdout.write('agent> ');
+    replyInProgress = true;
+  }
+  process.stdout.write(token);
+});
+
+client.on('reply', () => {
+  if (replyInProgress) {
+    process.stdout.write('\n');
+    replyInProgress = false;
+  }
+  rl.prompt(true);
+});
+
+client.on('end', handoffData => {
+  lastHandoffData = handoffData;
+  if (handoffData) {
+    print(`[end] Handoff requested:\n${JSON.stringify(handoffData, null, 2)}\n      Use /action to send it to the connect action webhook`);
+  } else {
+    print('[end] Session ended by the server');
+  }
+});
+
+client.on('language', message => {
+  print(`[language] tts=${message.ttsLanguage} transcription=${message.transcriptionLanguage}`);
+});
+
+client.on('serverError', message => {
+  print(`[error] ${message}`);
+});
+
+client.on('close', () => {
+  print('[closed] WebSocket connection closed');
+});
+
+/**
+ * POST a webhook and print the response
+ * @param {string} path - Route path
+ * @param {Object<string, string>} [params] - Form parameters
+ */
+async function postAndPrint(path, params) {
+  const { status, body } = await client.postWebhook(path, params);
+  print(`[POST ${path}] ${status}\n${body}`);
+}
+
+/**
+ * Handle one line of input
+ * @param {string} line - Input line
+ */
+async function handleLine(line) {
+  const input = line.trim();
+  if (!input) return;
+
+  if (!input.startsWith('/')) {
+    client.prompt(input);
+    return;
+  }
+
+  const [command, ...rest] = input.split(' ');
+  const argument = rest.join(' ').trim();
+
+  switch (command) {
+    case '/dtmf':
+      client.dtmf(argument.replace(/\s/g, ''));
+      break;
+
+    case '/interrupt':
+      client.interrupt(argument || undefined);
+      break;
+
+    case '/incoming':
+      await postAndPrint('/api/incoming-call');
+      break;
+
+    case '/action': {
+      const params = argument ? { ErrorCode: argument } : {};
+      if (!argument && lastHandoffData) {
+        params.HandoffData = JSON.stringify(lastHandoffData);
+      }
+      if (!argument && !lastHandoffData) {
+        params.CallStatus = 'completed';
+      }
+      await postAndPrint('/api/action', params);
+      break;
+    }
+
+    case '/reconnect':
+      await client.close();
+      await postAndPrint('/api/action', { ErrorCode: '64105' });
+      await client.connect();
+      print(`[connected] Reconnected as ${client.callSid}`);
+      break;
+
+    case '/hangup':
+      await client.close();
+      break;
+
+    case '/connect':
+      await client.connect();
+      print(`[connected] ${client.wsUrl} as ${client.callSid}`);
+      break;
+
+    case '/help':
+      print(HELP);
+      break;
+
+    case '/quit':
+      await client.close();
+      rl.close();
+      return;
+
+    default:
+      print(`Unknown command: ${command} (type /help)`);
+  }
+}
+
+rl.on('line', line => {
+  handleLine(line)
+    .catch(error => print(`[simulator] ${error.message}`))
+    .finally(() => rl.prompt(true));
+});
+
+rl.on('close', () => {
+  client.close().finally(() => process.exit(0));
+});
+
+try {
+  await client.connect();
+  console.log(`Connected to ${client.wsUrl}`);
+  console.log(`   CallSid: ${client.callSid}`);
+  console.log(`   From: ${client.from}  To: ${client.to}`);
+  console.log(HELP);
+  rl.prompt();
+} catch (error) {
+  console.error(`Could not connect to ${client.wsUrl}: ${error.message}`);
+  process.exit(1);
+}
@@ -1,4 +1,6 @@
+import fs from 'fs';
 import dotenv from 'dotenv';
+import YAML from 'yaml';
 
 // Load environment variables
 dotenv.config();
@@ -46,15 +48,70 @@ function isValidIntelligenceService(value) {
   return isSid || isUniqueName;
 }
 
-// Validate required Azure configuration
-validateRequired('PROJECT_ENDPOINT', process.env.PROJECT_ENDPOINT);
-validateRequired('PROJECT_ID', process.env.PROJECT_ID);
-validateRequired('AGENT_ID', process.env.AGENT_ID);
+// Validate agent backend selection
+const agentBackend = (process.env.AGENT_BACKEND || 'azure').toLowerCase();
+if (!['azure', 'scripted'].includes(agentBackend)) {
+  throw new Error(`Invalid AGENT_BACKEND: ${process.env.AGENT_BACKEND} (must be 'azure' or 'scripted')`);
+}
+
+// Validate Azure credential mode
+const azureAuthModes = ['default', 'client-secret', 'managed-identity', 'workload-identity', 'api-key'];
+const azureAuthMode = (process.env.AZURE_AUTH_MODE || 'default').toLowerCase();
+if (!azureAuthModes.includes(azureAuthMode)) {
+  throw new Error(`Invalid AZURE_AUTH_MODE: ${process.env.AZURE_AUTH_MODE} (must be one of: ${azureAuthModes.join(', ')})`);
+}
+
+if (agentBackend === 'azure') {
+  // Validate required Azure configuration
+  validateRequired('PROJECT_ENDPOINT', process.env.PROJECT_ENDPOINT);
+  validateRequired('PROJECT_ID', process.env.PROJECT_ID);
+  validateRequired('AGENT_ID', process.env.AGENT_ID);
+
+  // Validate the variables each credential mode needs
+  switch (azureAuthMode) {
+    case 'client-secret':
+      validateRequired('AZURE_TENANT_ID', process.env.AZURE_TENANT_ID);
+      validateRequired('AZURE_CLIENT_ID', process.env.AZURE_CLIENT_ID);
+      validateRequired('AZURE_CLIENT_SECRET', process.env.AZURE_CLIENT_SECRET);
+      break;
+    case 'workload-identity':
+      validateRequired('AZURE_TENANT_ID', process.env.AZURE_TENANT_ID);
+      validateRequired('AZURE_CLIENT_ID', process.env.AZURE_CLIENT_ID);
+      validateRequired('AZURE_FEDERATED_TOKEN_FILE', process.env.AZURE_FEDERATED_TOKEN_FILE);
+      break;
+    case 'api-key':
+      validateRequired('AZURE_API_KEY', process.env.AZURE_API_KEY);
+      break;
+    case 'managed-identity':
+      if (process.env.AZURE_CLIENT_SECRET) {
+        console.warn('WARNING: AZURE_CLIENT_SECRET is ignored with AZURE_AUTH_MODE=managed-identity');
+      }
+      break;
+  }
+} else {
+  // The scripted backend runs offline from a conversation script
+  validateRequired('AGENT_SCRIPT_PATH', process.env.AGENT_SCRIPT_PATH);
+}
 
 // Validate required Twilio configuration
 validateRequired('TWILIO_ACCOUNT_SID', process.env.TWILIO_ACCOUNT_SID);
 validateRequired('TWILIO_AUTH_TOKEN', process.env.TWILIO_AUTH_TOKEN);
 
+// Signature validation can only be turned off explicitly (local simulators, never production)
+const twilioSignatureValidation = !['false', '0', 'off'].includes((process.env.TWILIO_SIGNATURE_VALIDATION || 'true').toLowerCase());
+if (!twilioSignatureValidation) {
+  console.warn('WARNING: TWILIO_SIGNATURE_VALIDATION is off - webhooks and WebSocket connections are NOT verified as coming from Twilio. Use this for local development only.');
+}
+
+// REST API stand-in for offline tests (calls are placed there instead of with Twilio)
+const twilioApiBaseUrl = process.env.TWILIO_API_BASE_URL || null;
+if (twilioApiBaseUrl && !/^https?:\/\/[^/\s]+\/?$/.test(twilioApiBaseUrl)) {
+  throw new Error(`Invalid TWILIO_API_BASE_URL: ${twilioApiBaseUrl} (must be a base URL, e.g., http://localhost:4010)`);
+}
+if (twilioApiBaseUrl) {
+  console.warn(`WARNING: TWILIO_API_BASE_URL is set - Twilio REST requests go to ${twilioApiBaseUrl}, not to Twilio. Use this for tests only.`);
+}
+
 // Validate domain configuration (either PRODUCTION_DOMAIN or NGROK_DOMAIN required)
 if (!process.env.PRODUCTION_DOMAIN && !process.env.NGROK_DOMAIN) {
   throw new Error('Missing required environment variable: PRODUCTION_DOMAIN or NGROK_DOMAIN (at least one must be set)');
@@ -78,49 +135,572 @@ if (process.env.TWILIO_INTELLIGENCE_SERVICE_SID && !isValidIntelligenceService(p
 /**
  * Language configuration for Conversation Relay
  * @typedef {Object} LanguageOption
+ * @property {string} code - Short language code (e.g., 'en')
+ * @property {string} name - Language name in English (e.g., 'English')
+ * @property {string[]} aliases - Other names the agent or caller may use for the language
  * @property {string} locale_code - Language locale code (e.g., 'en-US')
  * @property {string} ttsProvider - Text-to-speech provider
  * @property {string} voice - Voice identifier
  * @property {string} transcriptionProvider - Speech-to-text provider
  * @property {string} speechModel - Speech model to use
+ * @property {string} menuPrompt - Language menu option, spoken in the language itself ({digit} is replaced)
  */
 
 /**
- * Language configuration for conversation
+ * Build a language catalog entry
+ * Each setting can be overridden per language with <SETTING>_<CODE> (e.g., TTS_VOICE_ES)
+ * @param {string} code - Short language code
+ * @param {Object} defaults - Default name, aliases, locale, voice and menu prompt
+ * @returns {LanguageOption}
  */
-export const languageConfig = {
-  locale_code: 'en-US',
-  ttsProvider: process.env.TTS_PROVIDER || 'google',
-  voice: process.env.TTS_VOICE_EN || 'en-US-Journey-O',
-  transcriptionProvider: process.env.TRANSCRIPTION_PROVIDER || 'google',
-  speechModel: process.env.SPEECH_MODEL || 'telephony'
+function defineLanguage(code, { name, aliases, locale, voice, menuPrompt }) {
+  const suffix = code.toUpperCase();
+  const env = (key) => process.env[`${key}_${suffix}`];
+
+  return {
+    code,
+    name,
+    aliases,
+    locale_code: env('LOCALE') || locale,
+    ttsProvider: env('TTS_PROVIDER') || process.env.TTS_PROVIDER || 'google',
+    voice: env('TTS_VOICE') || voice,
+    transcriptionProvider: env('TRANSCRIPTION_PROVIDER') || process.env.TRANSCRIPTION_PROVIDER || 'google',
+    speechModel: env('SPEECH_MODEL') || process.env.SPEECH_MODEL || 'telephony',
+    menuPrompt: env('MENU_PROMPT') || menuPrompt
+  };
+}
+
+/**
+ * All languages the server knows how to serve
+ * @type {Object<string, LanguageOption>}
+ */
+const allLanguages = {
+  en: defineLanguage('en', { name: 'English', aliases: ['english', 'inglés', 'ingles', 'anglais'], locale: 'en-US', voice: 'en-US-Journey-O', menuPrompt: 'For English, press {digit}.' }),
+  es: defineLanguage('es', { name: 'Spanish', aliases: ['spanish', 'español', 'espanol', 'espagnol'], locale: 'es-US', voice: 'es-US-Neural2-A', menuPrompt: 'Para español, oprima el {digit}.' }),
+  fr: defineLanguage('fr', { name: 'French', aliases: ['french', 'français', 'francais', 'francés', 'frances'], locale: 'fr-FR', voice: 'fr-FR-Neural2-A', menuPrompt: 'Pour le français, appuyez sur le {digit}.' })
 };
 
+const supportedLanguageCodes = (process.env.SUPPORTED_LANGUAGES || 'en,es,fr')
+  .split(',')
+  .map(code => code.trim().toLowerCase())
+  .filter(Boolean);
+
+for (const code of supportedLanguageCodes) {
+  if (!allLanguages[code]) {
+    throw new Error(`Invalid SUPPORTED_LANGUAGES entry: ${code} (available: ${Object.keys(allLanguages).join(', ')})`);
+  }
+}
+
+const defaultLanguageCode = (process.env.DEFAULT_LANGUAGE || supportedLanguageCodes[0] || 'en').toLowerCase();
+if (!supportedLanguageCodes.includes(defaultLanguageCode)) {
+  throw new Error(`DEFAULT_LANGUAGE ${defaultLanguageCode} must be one of SUPPORTED_LANGUAGES (${supportedLanguageCodes.join(', ')})`);
+}
+
+/**
+ * Language catalog - languages callers can be served in, keyed by short code
+ * The first <Language> element rendered in TwiML is the default language
+ * @type {Object<string, LanguageOption>}
+ */
+export const languageCatalog = Object.fromEntries(
+  [defaultLanguageCode, ...supportedLanguageCodes.filter(code => code !== defaultLanguageCode)]
+    .map(code => [code, allLanguages[code]])
+);
+
+/**
+ * Default language configuration for conversation
+ */
+export const languageConfig = languageCatalog[defaultLanguageCode];
+
+/**
+ * Find a supported language by code, locale or name
+ * Accepts values such as 'es', 'es-MX', 'Spanish' or 'Español'
+ * @param {string} value - Language identifier
+ * @returns {LanguageOption | null} Catalog entry, or null if the language is not supported
+ */
+export function findLanguage(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const normalized = value.trim().toLowerCase();
+  const languages = Object.values(languageCatalog);
+
+  return languages.find(language => language.code === normalized)
+    || languages.find(language => language.locale_code.toLowerCase() === normalized)
+    || languages.find(language => language.name.toLowerCase() === normalized || language.aliases.includes(normalized))
+    || languages.find(language => normalized.split(/[-_]/)[0] === language.code)
+    || null;
+}
+
+// Validate state store configuration
+const stateStores = ['memory', 'file', 'redis'];
+const stateStore = (process.env.STATE_STORE || 'memory').toLowerCase();
+if (!stateStores.includes(stateStore)) {
+  throw new Error(`Invalid STATE_STORE: ${stateStore} (must be one of: ${stateStores.join(', ')})`);
+}
+if (stateStore === 'redis' && !process.env.REDIS_URL) {
+  throw new Error('Missing required environment variable: REDIS_URL (required for STATE_STORE=redis)');
+}
+const sessionStateTtlMs = parseInt(process.env.SESSION_STATE_TTL_MS || String(30 * 60 * 1000), 10);
+if (!(sessionStateTtlMs > 0)) {
+  throw new Error(`Invalid SESSION_STATE_TTL_MS: ${process.env.SESSION_STATE_TTL_MS} (must be a positive number of milliseconds)`);
+}
+
+/**
+ * Read an optional boolean environment variable
+ * @param {string} name - Variable name
+ * @param {boolean} [defaultValue] - Value when the variable is not set
+ * @returns {boolean | undefined}
+ * @throws {Error} if the value is not true/false
+ */
+function readBoolean(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return defaultValue;
+  const normalized = value.trim().toLowerCase();
+  if (normalized === 'true') return true;
+  if (normalized === 'false') return false;
+  throw new Error(`Invalid ${name}: ${value} (must be true or false)`);
+}
+
+/**
+ * Read an optional environment variable restricted to a set of values
+ * @param {string} name - Variable name
+ * @param {string[]} choices - Allowed values
+ * @returns {string | undefined}
+ * @throws {Error} if the value is not one of the choices
+ */
+function readChoice(name, choices) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return undefined;
+  const normalized = value.trim().toLowerCase();
+  if (!choices.includes(normalized)) {
+    throw new Error(`Invalid ${name}: ${value} (must be one of: ${choices.join(', ')})`);
+  }
+  return normalized;
+}
+
+// Validate ConversationRelay attributes (unset attributes keep Twilio's defaults)
+const interruptibleModes = ['none', 'dtmf', 'speech', 'any', 'true', 'false'];
+const relayDebugOptions = ['debugging', 'speaker-events', 'tokens-played'];
+const relayDebug = (process.env.RELAY_DEBUG || '').split(/[\s,]+/).filter(Boolean);
+const invalidDebugOption = relayDebug.find(option => !relayDebugOptions.includes(option));
+if (invalidDebugOption) {
+  throw new Error(`Invalid RELAY_DEBUG option: ${invalidDebugOption} (available: ${relayDebugOptions.join(', ')})`);
+}
+
+let relayParameters = {};
+if (process.env.RELAY_PARAMETERS) {
+  try {
+    relayParameters = JSON.parse(process.env.RELAY_PARAMETERS);
+  } catch (error) {
+    throw new Error(`Invalid JSON in RELAY_PARAMETERS: ${error.message}`);
+  }
+  if (!relayParameters || typeof relayParameters !== 'object' || Array.isArray(relayParameters)) {
+    throw new Error('RELAY_PARAMETERS must be a JSON object of parameter names to values');
+  }
+}
+
+// Validate language detection configuration
+const languageDetectionModes = ['off', 'speech', 'menu', 'both'];
+const languageDetectionMode = (process.env.LANGUAGE_DETECTION || 'off').toLowerCase();
+if (!languageDetectionModes.includes(languageDetectionMode)) {
+  throw new Error(`Invalid LANGUAGE_DETECTION: ${languageDetectionMode} (must be one of: ${languageDetectionModes.join(', ')})`);
+}
+const languageDetectionTurns = parseInt(process.env.LANGUAGE_DETECTION_TURNS || '2', 10);
+if (!(languageDetectionTurns > 0)) {
+  throw new Error(`Invalid LANGUAGE_DETECTION_TURNS: ${process.env.LANGUAGE_DETECTION_TURNS} (must be a positive whole number)`);
+}
+
+/**
+ * DTMF language menu - keypad digit to language code
+ * Defaults to the catalog order (1 = default language, 2 = next, ...)
+ * @type {Object<string, string>}
+ */
+const languageMenu = process.env.LANGUAGE_MENU
+  ? Object.fromEntries(process.env.LANGUAGE_MENU.split(',').map(entry => entry.split(':').map(part => part.trim())))
+  : Object.fromEntries(Object.keys(languageCatalog).map((code, index) => [String(index + 1), code]));
+
+for (const [digit, code] of Object.entries(languageMenu)) {
+  if (!/^[0-9]$/.test(digit) || !languageCatalog[code]) {
+    throw new Error(`Invalid LANGUAGE_MENU entry: ${digit}:${code} (expected <digit>:<language>, languages: ${Object.keys(languageCatalog).join(', ')})`);
+  }
+}
+
+/**
+ * Phone menu from IVR_MENU_PATH (JSON or YAML), played to inbound callers before the agent
+ * @returns {import('./types/index.js').IvrConfig | null} Menu, or null without IVR_MENU_PATH
+ */
+function loadIvrMenu() {
+  const menuPath = (process.env.IVR_MENU_PATH || '').trim();
+  if (!menuPath) return null;
+
+  let menu;
+  try {
+    const source = fs.readFileSync(menuPath, 'utf8');
+    menu = /\.ya?ml$/i.test(menuPath) ? YAML.parse(source) : JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Cannot read IVR_MENU_PATH: ${error.message}`);
+  }
+
+  const menus = menu?.menus || {};
+  const voicemail = Object.fromEntries(Object.entries(menu?.voicemail || {}).map(([name, box]) => [name, {
+    prompt: box?.prompt || 'Please leave a message after the beep. Press pound when you are done.',
+    maxLengthSeconds: box?.maxLengthSeconds ?? 120,
+    thanks: box?.thanks || 'Thank you for your message. Goodbye.'
+  }]));
+  const start = menu?.start || Object.keys(menus)[0];
+  if (!menus[start]) {
+    throw new Error(`${menuPath}: start menu "${start}" is not defined in "menus"`);
+  }
+
+  const checkRoute = (route, label) => {
+    const targets = ['menu', 'queue', 'voicemail'].filter(key => route?.[key] !== undefined);
+    const toAgent = route?.agent !== undefined || route?.language !== undefined;
+    if (targets.length + (toAgent ? 1 : 0) !== 1) {
+      throw new Error(`${label}: needs exactly one of "menu", "queue", "voicemail" or "agent"/"language"`);
+    }
+    if (route.menu !== undefined && !menus[route.menu]) {
+      throw new Error(`${label}: menu "${route.menu}" is not defined`);
+    }
+    if (route.voicemail !== undefined && !voicemail[route.voicemail]) {
+      throw new Error(`${label}: voicemail box "${route.voicemail}" is not defined`);
+    }
+    if (route.language !== undefined && !languageCatalog[route.language]) {
+      throw new Error(`${label}: unknown language "${route.language}" (languages: ${Object.keys(languageCatalog).join(', ')})`);
+    }
+    if (route.queue !== undefined && !route.workflowSid && !process.env.TWILIO_WORKFLOW_SID) {
+      throw new Error(`${label}: queue "${route.queue}" needs a "workflowSid" or TWILIO_WORKFLOW_SID`);
+    }
+  };
+
+  for (const [name, entry] of Object.entries(menus)) {
+    if (!entry?.prompt || typeof entry.prompt !== 'string') {
+      throw new Error(`${menuPath}: menu "${name}" needs a "prompt"`);
+    }
+    for (const [key, route] of Object.entries(entry.options || {})) {
+      if (!/^[0-9*#]$/.test(key)) {
+        throw new Error(`${menuPath}: menu "${name}" option "${key}" must be a single keypad key (0-9, * or #)`);
+      }
+      checkRoute(route, `${menuPath}: menu "${name}" option ${key}`);
+    }
+  }
+
+  const noInput = menu.noInput || { agent: 'default' };
+  checkRoute(noInput, `${menuPath}: noInput`);
+  if (noInput.menu !== undefined) {
+    throw new Error(`${menuPath}: noInput must route the call (agent, language, queue or voicemail), not open a menu`);
+  }
+
+  const timeoutSeconds = menu.timeoutSeconds ?? 5;
+  const retries = menu.retries ?? 2;
+  if (!(timeoutSeconds >= 1 && timeoutSeconds <= 60) || !(Number.isInteger(retries) && retries >= 0)) {
+    throw new Error(`${menuPath}: "timeoutSeconds" must be 1 to 60 and "retries" a whole number >= 0`);
+  }
+
+  return {
+    start,
+    timeoutSeconds,
+    retries,
+    invalidPrompt: menu.invalidPrompt || 'Sorry, that is not an option.',
+    noInput,
+    voice: menu.voice,
+    menus,
+    voicemail
+  };
+}
+
+/**
+ * Permissions an outbound API key can be given beyond placing calls
+ * - compliance: change the do-not-call list and consent
+ * @type {string[]}
+ */
+const API_KEY_SCOPES = ['compliance'];
+
+/**
+ * Outbound API keys from OUTBOUND_API_KEYS_FILE (JSON file) or OUTBOUND_API_KEYS (inline JSON)
+ * Each key is limited to the caller IDs in fromNumbers ('*' allows any number on the account)
+ * @returns {import('./types/index.js').OutboundApiKey[]}
+ */
+function loadOutboundApiKeys() {
+  let source = process.env.OUTBOUND_API_KEYS;
+  let origin = 'OUTBOUND_API_KEYS';
+  if (process.env.OUTBOUND_API_KEYS_FILE) {
+    origin = process.env.OUTBOUND_API_KEYS_FILE;
+    try {
+      source = fs.readFileSync(process.env.OUTBOUND_API_KEYS_FILE, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read OUTBOUND_API_KEYS_FILE: ${error.message}`);
+    }
+  }
+  if (!source || source.trim() === '') return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${origin}: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`${origin} must be a JSON array of API keys`);
+  }
+
+  const ids = new Set();
+  return entries.map((entry, index) => {
+    const label = `${origin}[${index}]`;
+    if (!entry || typeof entry.id !== 'string' || entry.id.trim() === '') {
+      throw new Error(`${label}: "id" is required`);
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`${label}: duplicate id "${entry.id}"`);
+    }
+    ids.add(entry.id);
+    if (!entry.key && !/^[0-9a-f]{64}$/i.test(entry.keySha256 || '')) {
+      throw new Error(`${label}: "key" or "keySha256" (hex SHA-256 of the key) is required`);
+    }
+    if (!Array.isArray(entry.fromNumbers) || entry.fromNumbers.length === 0) {
+      throw new Error(`${label}: "fromNumbers" must list the caller IDs this key may use (or ["*"])`);
+    }
+    const invalid = entry.fromNumbers.find(number => number !== '*' && !/^\+[1-9]\d{1,14}$/.test(number));
+    if (invalid) {
+      throw new Error(`${label}: invalid from number ${invalid} (E.164 format required)`);
+    }
+
+    if (entry.agentIds !== undefined && (!Array.isArray(entry.agentIds) || entry.agentIds.some(id => typeof id !== 'string'))) {
+      throw new Error(`${label}: "agentIds" must be a list of agent IDs`);
+    }
+
+    if (entry.scopes !== undefined && (!Array.isArray(entry.scopes) || entry.scopes.some(scope => !API_KEY_SCOPES.includes(scope)))) {
+      throw new Error(`${label}: "scopes" must be a list of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    for (const limit of ['rateLimitPerMinute', 'dailyCap']) {
+      if (entry[limit] !== undefined && !(Number.isInteger(entry[limit]) && entry[limit] >= 0)) {
+        throw new Error(`${label}: "${limit}" must be a whole number >= 0`);
+      }
+    }
+
+    return {
+      id: entry.id,
+      key: entry.key,
+      keySha256: entry.keySha256?.toLowerCase(),
+      fromNumbers: entry.fromNumbers,
+      agentIds: entry.agentIds,
+      scopes: entry.scopes || [],
+      rateLimitPerMinute: entry.rateLimitPerMinute ?? outboundRateLimitPerMinute,
+      dailyCap: entry.dailyCap ?? outboundDailyCap
+    };
+  });
+}
+
+const outboundRateLimitPerMinute = parseInt(process.env.OUTBOUND_RATE_LIMIT_PER_MINUTE || '10', 10);
+const outboundDailyCap = parseInt(process.env.OUTBOUND_DAILY_CAP || '100', 10);
+for (const [name, value] of [['OUTBOUND_RATE_LIMIT_PER_MINUTE', outboundRateLimitPerMinute], ['OUTBOUND_DAILY_CAP', outboundDailyCap]]) {
+  if (!(value >= 0)) {
+    throw new Error(`Invalid ${name}: ${process.env[name]} (must be a whole number >= 0)`);
+  }
+}
+const outboundApiKeys = loadOutboundApiKeys();
+// Kept in files by default, so daily caps survive restarts
+const outboundUsageStore = readChoice('OUTBOUND_USAGE_STORE', stateStores) || 'file';
+if (outboundUsageStore === 'redis' && !process.env.REDIS_URL) {
+  throw new Error('Missing required environment variable: REDIS_URL (required for OUTBOUND_USAGE_STORE=redis)');
+}
+if (outboundApiKeys.length === 0) {
+  console.warn('WARNING: No outbound API keys configured (OUTBOUND_API_KEYS or OUTBOUND_API_KEYS_FILE) - POST /api/outbound/initiate is disabled');
+}
+
+// Validate campaign dialer defaults
+const campaignDefaults = {
+  concurrency: parseInt(process.env.CAMPAIGN_CONCURRENCY || '2', 10),
+  callsPerSecond: parseFloat(process.env.CAMPAIGN_CALLS_PER_SECOND || '1'),
+  maxAttempts: parseInt(process.env.CAMPAIGN_MAX_ATTEMPTS || '3', 10),
+  retryDelayMs: parseInt(process.env.CAMPAIGN_RETRY_DELAY_MS || String(5 * 60 * 1000), 10),
+  maxContacts: parseInt(process.env.CAMPAIGN_MAX_CONTACTS || '5000', 10)
+};
+for (const [name, value] of Object.entries(campaignDefaults)) {
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid campaign setting ${name}: ${value} (must be a positive number)`);
+  }
+}
+
+// Validate answering machine detection (Twilio accepts a detection timeout of 3-59 seconds)
+const amdTimeoutSeconds = parseInt(process.env.AMD_TIMEOUT_SECONDS || '30', 10);
+if (!(amdTimeoutSeconds >= 3 && amdTimeoutSeconds <= 59)) {
+  throw new Error(`Invalid AMD_TIMEOUT_SECONDS: ${process.env.AMD_TIMEOUT_SECONDS} (must be 3 to 59)`);
+}
+
+// Validate call record storage (files by default, so records survive restarts with the memory state store)
+const callRecordStore = readChoice('CALL_RECORD_STORE', stateStores) || 'file';
+if (callRecordStore === 'redis' && !process.env.REDIS_URL) {
+  throw new Error('Missing required environment variable: REDIS_URL (required for CALL_RECORD_STORE=redis)');
+}
+const callRecordRetentionDays = parseFloat(process.env.CALL_RECORD_RETENTION_DAYS || '30');
+if (!(callRecordRetentionDays > 0)) {
+  throw new Error(`Invalid CALL_RECORD_RETENTION_DAYS: ${process.env.CALL_RECORD_RETENTION_DAYS} (must be a positive number of days)`);
+}
+
+// Validate calling compliance (kept in files by default, so the do-not-call list survives restarts)
+const complianceStore = readChoice('COMPLIANCE_STORE', stateStores) || 'file';
+if (complianceStore === 'redis' && !process.env.REDIS_URL) {
+  throw new Error('Missing required environment variable: REDIS_URL (required for COMPLIANCE_STORE=redis)');
+}
+const callingHoursMatch = (process.env.CALLING_HOURS || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+if (process.env.CALLING_HOURS && process.env.CALLING_HOURS.trim() && !callingHoursMatch) {
+  throw new Error(`Invalid CALLING_HOURS: ${process.env.CALLING_HOURS} (must be HH:MM-HH:MM, e.g., 08:00-21:00)`);
+}
+const callingHours = callingHoursMatch
+  ? { start: Number(callingHoursMatch[1]) * 60 + Number(callingHoursMatch[2]), end: Number(callingHoursMatch[3]) * 60 + Number(callingHoursMatch[4]) }
+  : null;
+if (callingHours && !(callingHours.start < callingHours.end && callingHours.end <= 24 * 60)) {
+  throw new Error(`Invalid CALLING_HOURS: ${process.env.CALLING_HOURS} (the start must be before the end, within one day)`);
+}
+const weekDays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const callingDays = (process.env.CALLING_DAYS || weekDays.join(',')).split(/[\s,]+/).filter(Boolean).map(day => day.toLowerCase());
+const invalidCallingDay = callingDays.find(day => !weekDays.includes(day));
+if (invalidCallingDay) {
+  throw new Error(`Invalid CALLING_DAYS: ${invalidCallingDay} (must be a list of ${weekDays.join(', ')})`);
+}
+const callingTimezone = process.env.CALLING_HOURS_DEFAULT_TIMEZONE || null;
+if (callingTimezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: callingTimezone });
+  } catch {
+    throw new Error(`Invalid CALLING_HOURS_DEFAULT_TIMEZONE: ${callingTimezone} (must be an IANA timezone, e.g., America/New_York)`);
+  }
+}
+const complianceMaxAttempts = parseInt(process.env.COMPLIANCE_MAX_ATTEMPTS || '0', 10);
+const complianceAttemptPeriodHours = parseFloat(process.env.COMPLIANCE_ATTEMPT_PERIOD_HOURS || '24');
+if (!(complianceMaxAttempts >= 0) || !(complianceAttemptPeriodHours > 0)) {
+  throw new Error('Invalid COMPLIANCE_MAX_ATTEMPTS / COMPLIANCE_ATTEMPT_PERIOD_HOURS (must be a whole number >= 0 and a positive number of hours)');
+}
+
+// Validate campaign storage (kept in files by default, so campaigns survive restarts)
+const campaignStore = readChoice('CAMPAIGN_STORE', stateStores) || 'file';
+if (campaignStore === 'redis' && !process.env.REDIS_URL) {
+  throw new Error('Missing required environment variable: REDIS_URL (required for CAMPAIGN_STORE=redis)');
+}
+
+// Validate scheduled calls (kept in files by default, so the queue survives restarts)
+const scheduledCallStore = readChoice('SCHEDULED_CALL_STORE', stateStores) || 'file';
+if (scheduledCallStore === 'redis' && !process.env.REDIS_URL) {
+  throw new Error('Missing required environment variable: REDIS_URL (required for SCHEDULED_CALL_STORE=redis)');
+}
+const scheduledCallMaxDays = parseFloat(process.env.SCHEDULED_CALL_MAX_DAYS || '30');
+if (!(scheduledCallMaxDays > 0)) {
+  throw new Error(`Invalid SCHEDULED_CALL_MAX_DAYS: ${process.env.SCHEDULED_CALL_MAX_DAYS} (must be a positive number of days)`);
+}
+
+// Validate the DTMF collection type used when the agent has not asked for another (see dtmfCollectionTypes.js)
+const dtmfTypes = ['phoneNumber', 'accountNumber', 'pin', 'cardNumber', 'ssn', 'dateOfBirth', 'zipCode', 'amount', 'menu', 'digits'];
+const dtmfDefaultType = (process.env.DTMF_DEFAULT_TYPE || '').trim() || 'phoneNumber';
+if (!dtmfTypes.includes(dtmfDefaultType)) {
+  throw new Error(`Invalid DTMF_DEFAULT_TYPE: ${dtmfDefaultType} (must be one of: ${dtmfTypes.join(', ')})`);
+}
+
+// Validate the IVR menu (after the language catalog, which its language options refer to)
+const ivrMenu = loadIvrMenu();
+
+// Validate DTMF timeouts (the first-digit and inter-digit timeouts default to DTMF_IDLE_TIMEOUT_MS)
+const dtmfTimeouts = {
+  DTMF_IDLE_TIMEOUT_MS: parseInt(process.env.DTMF_IDLE_TIMEOUT_MS || '10000', 10)
+};
+dtmfTimeouts.DTMF_FIRST_DIGIT_TIMEOUT_MS = parseInt(process.env.DTMF_FIRST_DIGIT_TIMEOUT_MS || String(dtmfTimeouts.DTMF_IDLE_TIMEOUT_MS), 10);
+dtmfTimeouts.DTMF_INTER_DIGIT_TIMEOUT_MS = parseInt(process.env.DTMF_INTER_DIGIT_TIMEOUT_MS || String(dtmfTimeouts.DTMF_IDLE_TIMEOUT_MS), 10);
+for (const [name, value] of Object.entries(dtmfTimeouts)) {
+  if (!(value > 0)) {
+    throw new Error(`Invalid ${name}: ${process.env[name]} (must be a positive number of milliseconds)`);
+  }
+}
+const dtmfTimeoutRetries = parseInt(process.env.DTMF_TIMEOUT_RETRIES || '2', 10);
+if (!(dtmfTimeoutRetries >= 0)) {
+  throw new Error(`Invalid DTMF_TIMEOUT_RETRIES: ${process.env.DTMF_TIMEOUT_RETRIES} (must be a whole number >= 0)`);
+}
+
+// Validate the caller silence timer (0 turns it off)
+const callerSilenceTimeoutMs = parseInt(process.env.CALLER_SILENCE_TIMEOUT_MS || '20000', 10);
+const callerSilenceMaxPrompts = parseInt(process.env.CALLER_SILENCE_MAX_PROMPTS || '2', 10);
+if (!(callerSilenceTimeoutMs >= 0) || !(callerSilenceMaxPrompts >= 0)) {
+  throw new Error('Invalid CALLER_SILENCE_TIMEOUT_MS / CALLER_SILENCE_MAX_PROMPTS (must be whole numbers >= 0)');
+}
+
+// Validate secure DTMF input (the vault adapter receives PINs and card numbers, so it must use HTTPS off localhost)
+const secureVerifyUrl = (process.env.SECURE_DTMF_VERIFY_URL || '').trim() || null;
+if (secureVerifyUrl) {
+  let url = null;
+  try {
+    url = new URL(secureVerifyUrl);
+  } catch {
+    throw new Error(`Invalid SECURE_DTMF_VERIFY_URL: ${secureVerifyUrl} (must be a URL)`);
+  }
+  if (url.protocol !== 'https:' && !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)) {
+    throw new Error(`Invalid SECURE_DTMF_VERIFY_URL: ${secureVerifyUrl} (must use https unless it is on localhost)`);
+  }
+}
+const secureVerifyTimeoutMs = parseInt(process.env.SECURE_DTMF_VERIFY_TIMEOUT_MS || '5000', 10);
+const secureTokenTtlMs = parseInt(process.env.SECURE_DTMF_TOKEN_TTL_MS || String(30 * 60 * 1000), 10);
+if (!(secureVerifyTimeoutMs > 0) || !(secureTokenTtlMs > 0)) {
+  throw new Error('Invalid SECURE_DTMF_VERIFY_TIMEOUT_MS / SECURE_DTMF_TOKEN_TTL_MS (must be a positive number of milliseconds)');
+}
+
 /**
  * Application configuration object
  */
 export const config = {
+  // Agent backend selection ('azure' or 'scripted')
+  agent: {
+    backend: agentBackend,
+    // Conversation script for the scripted backend (JSON or YAML)
+    scriptPath: process.env.AGENT_SCRIPT_PATH
+  },
+
   // Azure AI Configuration
   azure: {
     projectEndpoint: process.env.PROJECT_ENDPOINT,
     projectId: process.env.PROJECT_ID,
     agentId: process.env.AGENT_ID,
+    // Credential mode: 'default', 'client-secret', 'managed-identity', 'workload-identity' or 'api-key'
+    authMode: azureAuthMode,
     // Optional Azure credentials (if not using az login)
-    clientId: process.env.AZURE_CLIENT_ID,
+    clientId: process.env.AZURE_CLIENT_ID, // Also selects a user-assigned managed identity
     tenantId: process.env.AZURE_TENANT_ID,
-    clientSecret: process.env.AZURE_CLIENT_SECRET
+    clientSecret: process.env.AZURE_CLIENT_SECRET,
+    // Workload identity token file (injected by AKS / Container Apps)
+    federatedTokenFile: process.env.AZURE_FEDERATED_TOKEN_FILE,
+    // API key mode
+    apiKey: process.env.AZURE_API_KEY,
+    apiKeyHeader: process.env.AZURE_API_KEY_HEADER || 'api-key'
   },
 
   // Twilio Configuration
   twilio: {
     accountSid: process.env.TWILIO_ACCOUNT_SID,
     authToken: process.env.TWILIO_AUTH_TOKEN,
+    // Verify X-Twilio-Signature on webhooks and the WebSocket upgrade (TWILIO_SIGNATURE_VALIDATION=false to bypass)
+    validateSignatures: twilioSignatureValidation,
+    apiBaseUrl: twilioApiBaseUrl, // Tests only: REST API stand-in (TWILIO_API_BASE_URL)
     workflowSid: process.env.TWILIO_WORKFLOW_SID,
     phoneNumber: process.env.TWILIO_PHONE_NUMBER, // Optional: default phone number for outbound calls
     welcomeGreeting: process.env.WELCOME_GREETING || "Hello! I'm your AI assistant. How can I help you today?",
     intelligenceServiceSid: process.env.TWILIO_INTELLIGENCE_SERVICE_SID || null // Optional: Conversational Intelligence Service SID or Unique Name
   },
 
+  // ConversationRelay TwiML attributes (undefined: attribute omitted, Twilio's default applies)
+  conversationRelay: {
+    dtmfDetection: readBoolean('RELAY_DTMF_DETECTION', true),
+    interruptByDtmf: readBoolean('RELAY_INTERRUPT_BY_DTMF', false),
+    // 'none', 'dtmf', 'speech' or 'any'
+    interruptible: readChoice('RELAY_INTERRUPTIBLE', interruptibleModes),
+    welcomeGreetingInterruptible: readChoice('RELAY_WELCOME_GREETING_INTERRUPTIBLE', interruptibleModes),
+    profanityFilter: readBoolean('RELAY_PROFANITY_FILTER'),
+    // Words and phrases the transcription should expect (e.g., product names)
+    hints: process.env.RELAY_HINTS ? process.env.RELAY_HINTS.split(',').map(hint => hint.trim()).filter(Boolean) : undefined,
+    partialPrompts: readBoolean('RELAY_PARTIAL_PROMPTS'),
+    // 'debugging', 'speaker-events' and/or 'tokens-played'
+    debug: relayDebug.length > 0 ? relayDebug : undefined,
+    // 'on', 'off' or 'auto'
+    elevenlabsTextNormalization: readChoice('RELAY_ELEVENLABS_TEXT_NORMALIZATION', ['on', 'off', 'auto']),
+    // Custom <Parameter> elements, delivered in the setup message's customParameters
+    parameters: relayParameters
+  },
+
   // Domain Configuration (for webhooks and WebSocket)
   // Supports both PRODUCTION_DOMAIN (production) and NGROK_DOMAIN (development)
   // PRODUCTION_DOMAIN takes precedence if both are set
@@ -133,8 +713,156 @@ export const config = {
     port: parseInt(process.env.PORT || '3000', 10)
   },
 
-  // Language Configuration
+  // DTMF Configuration
+  dtmf: {
+    // How long to wait for the first keypad digit of an entry, and for each further digit
+    firstDigitTimeoutMs: dtmfTimeouts.DTMF_FIRST_DIGIT_TIMEOUT_MS,
+    interDigitTimeoutMs: dtmfTimeouts.DTMF_INTER_DIGIT_TIMEOUT_MS,
+    // Timeouts in a row the agent is told about (to reprompt) before the final action
+    timeoutRetries: dtmfTimeoutRetries,
+    // Final action: 'continue' (the agent moves on without the input), 'handoff' or 'hangup'
+    timeoutAction: readChoice('DTMF_TIMEOUT_ACTION', ['continue', 'handoff', 'hangup']) || 'continue',
+    // What keypad input is collected as by default
+    defaultType: dtmfDefaultType
+  },
+
+  // Phone menu played to inbound callers before the agent takes over (null: straight to the agent)
+  ivr: ivrMenu,
+
+  // Caller silence after the agent has spoken
+  silence: {
+    // How long the caller can stay silent before being prompted (0: off); the agent's speaking time is added
+    timeoutMs: callerSilenceTimeoutMs,
+    // Prompts before an abandoned call is ended
+    maxPrompts: callerSilenceMaxPrompts,
+    prompt: process.env.CALLER_SILENCE_PROMPT || 'Are you still there?',
+    // Said before the call is ended for silence (or for missing keypad input with DTMF_TIMEOUT_ACTION=hangup)
+    goodbye: process.env.CALLER_SILENCE_GOODBYE || "I haven't heard from you, so I'll end the call now. Goodbye."
+  },
+
+  // Secure keypad input (PINs, card numbers, SSNs; see secureInput.js)
+  secureInput: {
+    // Vault adapter that verifies values of types without a local verifier (null: tokenize only)
+    verifyUrl: secureVerifyUrl,
+    // Bearer token sent to the vault adapter
+    verifyToken: process.env.SECURE_DTMF_VERIFY_TOKEN || null,
+    // Longest wait for a verification
+    verifyTimeoutMs: secureVerifyTimeoutMs,
+    // How long local tools can redeem a token
+    tokenTtlMs: secureTokenTtlMs
+  },
+
+  // Outbound call API (POST /api/outbound/initiate)
+  outbound: {
+    // API keys with their allowed from numbers and limits
+    apiKeys: outboundApiKeys,
+    // Defaults for keys without their own limits
+    rateLimitPerMinute: outboundRateLimitPerMinute,
+    dailyCap: outboundDailyCap,
+    // Store for the rate limit and daily cap counters ('file' by default, like the state storage settings)
+    usageBackend: outboundUsageStore,
+    // JSONL audit log of outbound call requests
+    auditLogPath: process.env.OUTBOUND_AUDIT_LOG || 'data/outbound-audit.jsonl'
+  },
+
+  // Outbound campaign dialer (defaults for campaigns that do not set their own)
+  campaigns: {
+    // Store for campaigns and their contacts ('file' by default, like the state storage settings)
+    backend: campaignStore,
+    // Calls in progress at once per campaign
+    concurrency: campaignDefaults.concurrency,
+    // Calls started per second per campaign
+    callsPerSecond: campaignDefaults.callsPerSecond,
+    // Attempts per contact, including retries of busy / no-answer calls
+    maxAttempts: campaignDefaults.maxAttempts,
+    // Delay before the first retry (doubled for each further retry)
+    retryDelayMs: campaignDefaults.retryDelayMs,
+    // Contacts accepted per campaign
+    maxContacts: campaignDefaults.maxContacts
+  },
+
+  // Conversation turn scheduling
+  turns: {
+    // Prompt fragments arriving within this window are merged into one turn
+    mergeWindowMs: parseInt(process.env.TURN_MERGE_WINDOW_MS || '250', 10)
+  },
+
+  // State storage (session state for reconnection)
+  storage: {
+    // 'memory', 'file' or 'redis'
+    backend: stateStore,
+    // Directory for the file store
+    directory: process.env.STATE_STORE_DIR || 'data',
+    // Redis connection URL for the redis store
+    redisUrl: process.env.REDIS_URL,
+    // Prefix for Redis keys
+    keyPrefix: process.env.STATE_STORE_PREFIX || 'relay:',
+    // How long a disconnected session can be restored
+    sessionTtlMs: sessionStateTtlMs
+  },
+
+  // Answering machine detection for outbound calls
+  amd: {
+    // Detect answering machines on outbound calls unless the request says otherwise
+    enabled: readBoolean('OUTBOUND_AMD', false),
+    // Longest wait for a detection result before the call goes to the agent
+    timeoutSeconds: amdTimeoutSeconds,
+    // Message left after the beep: 'template', 'agent' (composed by the agent) or 'none' (hang up)
+    voicemailMode: readChoice('VOICEMAIL_MODE', ['template', 'agent', 'none']) || 'template',
+    // Voicemail template ({{from}}, {{to}} and call context paths such as {{customer.firstName}})
+    voicemailTemplate: process.env.VOICEMAIL_TEMPLATE || 'Hello, sorry we missed you. Please call us back at {{from}}. Thank you.',
+    // How long the agent may take to compose a voicemail before the template is used
+    agentTimeoutMs: parseInt(process.env.VOICEMAIL_AGENT_TIMEOUT_MS || '8000', 10)
+  },
+
+  // Calling compliance checks before every outbound call
+  compliance: {
+    // Store for the do-not-call list, consent and attempt counts
+    backend: complianceStore,
+    // Only call numbers with recorded consent
+    requireConsent: readBoolean('COMPLIANCE_REQUIRE_CONSENT', false),
+    // Allowed local time of the callee, in minutes since midnight (null: any time)
+    callingHours,
+    // Allowed local weekdays of the callee (0 = Sunday)
+    callingDays: callingDays.map(day => weekDays.indexOf(day)),
+    // Timezone of numbers without a known timezone (null: such calls are blocked when calling hours apply)
+    defaultTimezone: callingTimezone,
+    // Call attempts per number within the attempt period (0: unlimited)
+    maxAttempts: complianceMaxAttempts,
+    attemptPeriodMs: complianceAttemptPeriodHours * 60 * 60 * 1000
+  },
+
+  // Scheduled and callback calls (/api/scheduled-calls, schedule_callback tool)
+  scheduler: {
+    // Store for the queue of scheduled calls
+    backend: scheduledCallStore,
+    // How far ahead a call may be scheduled
+    maxAheadMs: scheduledCallMaxDays * 24 * 60 * 60 * 1000,
+    // Greeting of callbacks without their own ({{callback.reason}} and other context paths), default built in
+    callbackGreeting: process.env.CALLBACK_GREETING || null
+  },
+
+  // Call records (GET /api/calls)
+  callRecords: {
+    // 'memory', 'file' or 'redis' (independent of STATE_STORE)
+    backend: callRecordStore,
+    // How long a record is kept after its last update
+    retentionMs: callRecordRetentionDays * 24 * 60 * 60 * 1000
+  },
+
+  // Language Configuration (default language and full catalog)
   language: languageConfig,
+  languages: languageCatalog,
+
+  // Caller language detection on the first turns
+  languageDetection: {
+    // 'off', 'speech' (first voice prompts), 'menu' (DTMF language menu) or 'both'
+    mode: languageDetectionMode,
+    // How many caller prompts are inspected before the language is kept
+    maxTurns: languageDetectionTurns,
+    // Keypad digit to language code
+    menu: languageMenu
+  },
 
   // Debug mode
   debug: process.env.DEBUG === '1' || process.env.DEBUG === 'true'
@@ -147,9 +875,11 @@ export const config = {
  */
 export function maskSensitiveConfig(config) {
   return {
+    agent: config.agent,
     azure: {
       ...config.azure,
-      clientSecret: config.azure.clientSecret ? '****' : undefined
+      clientSecret: config.azure.clientSecret ? '****' : undefined,
+      apiKey: config.azure.apiKey ? '****' : undefined
     },
     twilio: {
       ...config.twilio,
@@ -157,6 +887,24 @@ export function maskSensitiveConfig(config) {
     },
     ngrok: config.ngrok,
     server: config.server,
+    outbound: {
+      ...config.outbound,
+      apiKeys: config.outbound.apiKeys.map(({ key, ...apiKey }) => ({ ...apiKey, key: key ? '****' : undefined }))
+    },
+    campaigns: config.campaigns,
+    callRecords: config.callRecords,
+    compliance: config.compliance,
+    scheduler: config.scheduler,
+    amd: config.amd,
+    ivr: config.ivr ? { start: config.ivr.start, menus: Object.keys(config.ivr.menus) } : null,
+    secureInput: {
+      ...config.secureInput,
+      verifyToken: config.secureInput.verifyToken ? '****' : undefined
+    },
+    storage: {
+      ...config.storage,
+      redisUrl: config.storage.redisUrl ? config.storage.redisUrl.replace(/\/\/[^@/]*@/, '//****@') : undefined
+    },
     debug: config.debug
   };
 }
@@ -1,9 +1,37 @@
 import { config } from '../config.js';
+import { buildConversationRelayTwiml, buildLanguageMenuPrompt } from '../services/twimlBuilder.js';
+import { buildMenuTwiml } from '../services/ivrMenu.js';
 
 /**
  * @typedef {import('../types/index.js').CallDetails} CallDetails
+ * @typedef {import('../config.js').LanguageOption} LanguageOption
  */
 
+/**
+ * Build the TwiML that connects a caller to the agent
+ * Used for incoming calls and for callers routed to the agent by the IVR menu
+ *
+ * @param {Object} [options]
+ * @param {LanguageOption} [options.language] - Language chosen before the call reached the agent (no language menu is offered)
+ * @param {string} [options.welcomeGreeting] - Greeting (defaults to WELCOME_GREETING)
+ * @param {Object<string, string>} [options.parameters] - Custom parameters for the session
+ * @returns {string} TwiML response
+ */
+export function buildAgentTwiml({ language, welcomeGreeting = config.twilio.welcomeGreeting, parameters } = {}) {
+  const { mode } = config.languageDetection;
+
+  // Offer the DTMF language menu after the greeting when enabled
+  const greeting = !language && (mode === 'menu' || mode === 'both')
+    ? `${welcomeGreeting} ${buildLanguageMenuPrompt()}`
+    : welcomeGreeting;
+
+  return buildConversationRelayTwiml({
+    welcomeGreeting: greeting,
+    ...(language ? { language } : {}),
+    ...(parameters ? { parameters } : {})
+  });
+}
+
 /**
  * Handle incoming call webhook from Twilio
  * Returns TwiML to establish ConversationRelay connection
@@ -23,31 +51,15 @@ export async function handleIncomingCall(callData) {
     console.log(`   To: ${callData.To || callData.Called}`);
     console.log(`   CallSid: ${callData.CallSid}`);
 
-    const ngrokDomain = config.ngrok.domain;
-    const welcomeGreeting = config.twilio.welcomeGreeting;
-    const language = config.language;
     const intelligenceServiceSid = config.twilio.intelligenceServiceSid;
 
-    // Build intelligenceService attribute if configured
-    const intelligenceAttr = intelligenceServiceSid
-      ? `intelligenceService="${intelligenceServiceSid}"`
-      : '';
-
-    // Build TwiML response with ConversationRelay
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Connect action="https://${ngrokDomain}/api/action">
-    <ConversationRelay
-      url="wss://${ngrokDomain}"
-      dtmfDetection="true"
-      interruptByDtmf="false"
-      welcomeGreeting="${escapeXml(welcomeGreeting)}"${intelligenceAttr ? `\n      ${intelligenceAttr}` : ''}>
-      <Language code="${language.locale_code}" ttsProvider="${language.ttsProvider}" voice="${language.voice}" transcriptionProvider="${language.transcriptionProvider}" speechModel="${language.speechModel}" />
-    </ConversationRelay>
-  </Connect>
-</Response>`;
+    // Play the IVR menu first when one is configured; it connects the agent later
+    if (config.ivr) {
+      console.log(`   → Playing IVR menu "${config.ivr.start}"`);
+    }
+    const twiml = config.ivr ? buildMenuTwiml('') : buildAgentTwiml();
 
-    if (intelligenceServiceSid) {
+    if (!config.ivr && intelligenceServiceSid) {
       console.log(`   → Conversational Intelligence enabled for this call (Service: ${intelligenceServiceSid})`);
     }
 
@@ -63,20 +75,4 @@ export async function handleIncomingCall(callData) {
   }
 }
 
-/**
- * Escape XML special characters for TwiML
- * @param {string} str - String to escape
- * @returns {string} Escaped string
- */
-function escapeXml(str) {
-  if (!str) return '';
-
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-}
-
-export default { handleIncomingCall };
+export default { handleIncomingCall, buildAgentTwiml };
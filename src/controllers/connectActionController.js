@@ -1,5 +1,8 @@
 import twilio from 'twilio';
-import { config } from '../config.js';
+import { config, findLanguage } from '../config.js';
+import { StateManager } from '../services/stateManager.js';
+import { buildConversationRelayTwiml } from '../services/twimlBuilder.js';
+import { CallRecordStore } from '../services/callRecords.js';
 
 const { twiml } = twilio;
 
@@ -17,35 +20,42 @@ export async function handleConnectAction(actionPayload) {
     console.log(`   CallStatus: ${actionPayload.CallStatus}`);
     console.log(`   ErrorCode: ${actionPayload.ErrorCode || 'None'}`);
 
+    // Recorded in the background: Twilio is waiting for the TwiML
+    const callRecords = CallRecordStore.getInstance();
+    const reconnecting = actionPayload.CallStatus === 'in-progress' && actionPayload.ErrorCode === '64105';
+    callRecords.record(actionPayload.CallSid, {
+      source: 'action',
+      event: reconnecting ? 'relay.reconnecting' : 'relay.ended',
+      detail: actionPayload.SessionStatus,
+      fields: {
+        status: actionPayload.CallStatus,
+        sessionDuration: actionPayload.SessionDuration ? Number(actionPayload.SessionDuration) : undefined
+      },
+      error: actionPayload.ErrorCode ? { code: actionPayload.ErrorCode, message: actionPayload.ErrorMessage } : undefined
+    });
+
     // Handle WebSocket error 64105 (connection ended abruptly)
     // This typically indicates a network issue - attempt to reconnect
-    if (
-      actionPayload.CallStatus === 'in-progress' &&
-      actionPayload.ErrorCode === '64105'
-    ) {
+    if (reconnecting) {
       console.log(' WebSocket ended abruptly (likely network issue), attempting reconnection...');
 
-      const ngrokDomain = config.ngrok.domain;
-      const language = config.language;
       const intelligenceServiceSid = config.twilio.intelligenceServiceSid;
 
-      // Build intelligenceService attribute if configured
-      const intelligenceAttr = intelligenceServiceSid
-        ? `intelligenceService="${intelligenceServiceSid}"`
-        : '';
-
-      // Restart ConversationRelay session (reconnection)
-      const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Connect action="https://${ngrokDomain}/api/action">
-    <ConversationRelay
-      url="wss://${ngrokDomain}"
-      dtmfDetection="true"
-      interruptByDtmf="false"${intelligenceAttr ? `\n      ${intelligenceAttr}` : ''}>
-      <Language code="${language.locale_code}" ttsProvider="${language.ttsProvider}" voice="${language.voice}" transcriptionProvider="${language.transcriptionProvider}" speechModel="${language.speechModel}" />
-    </ConversationRelay>
-  </Connect>
-</Response>`;
+      // Resume in the language chosen earlier in the call
+      const savedState = await StateManager.getInstance().restoreState(actionPayload.CallSid).catch(error => {
+        console.error(`   Could not read saved state: ${error.message}`);
+        return null;
+      });
+      const language = findLanguage(savedState?.language) || config.language;
+
+      // Restart ConversationRelay session (reconnection, no welcome greeting)
+      // The call's custom parameters are sent again so the new setup message has them
+      const twiml = buildConversationRelayTwiml({
+        language,
+        parameters: savedState?.call?.customParameters
+      });
+
+      console.log(`   → Resuming in ${language.name} (${language.locale_code})`);
 
       if (intelligenceServiceSid) {
         console.log(`   → Conversational Intelligence enabled for reconnected call (Service: ${intelligenceServiceSid})`);
@@ -76,6 +86,12 @@ export async function handleConnectAction(actionPayload) {
       // Use Twilio TaskRouter to enqueue the call for a human agent
       const workflowSid = config.twilio.workflowSid;
 
+      callRecords.record(actionPayload.CallSid, {
+        source: 'action',
+        event: workflowSid ? 'handoff.enqueued' : 'handoff.unavailable',
+        fields: { handoff: { reason: handoffData.reason, status: workflowSid ? 'enqueued' : 'unavailable' } }
+      });
+
       if (!workflowSid) {
         console.error(' TWILIO_WORKFLOW_SID not configured');
         voiceResponse.say('I apologize, but I\'m unable to transfer you to an agent at this time. Please try again later.');
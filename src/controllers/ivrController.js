@@ -0,0 +1,149 @@
+import { config, findLanguage } from '../config.js';
+import { buildAgentTwiml } from './callController.js';
+import { CallRecordStore } from '../services/callRecords.js';
+import {
+  resolveKeys,
+  selectOption,
+  buildSelection,
+  buildMenuTwiml,
+  buildQueueTwiml,
+  buildVoicemailTwiml,
+  buildVoicemailThanksTwiml
+} from '../services/ivrMenu.js';
+
+/**
+ * @typedef {import('../types/index.js').IvrRoute} IvrRoute
+ * @typedef {import('../services/ivrMenu.js').IvrSelection} IvrSelection
+ */
+
+/**
+ * Handle a key pressed in an IVR menu (the menu's <Gather> action)
+ * Opens a submenu, repeats the menu after no or an invalid key, or routes the call
+ *
+ * @param {Object} menuData - Gather callback data from Twilio (CallSid, Digits) and the menu position (keys, attempt)
+ * @returns {Promise<string>} TwiML response
+ */
+export async function handleIvrMenu(menuData) {
+  try {
+    if (!config.ivr) {
+      throw new Error('No IVR menu is configured (IVR_MENU_PATH)');
+    }
+
+    const keys = menuData.keys || '';
+    const attempt = Number(menuData.attempt) || 0;
+    const digit = menuData.Digits || '';
+
+    console.log(' IVR menu input:');
+    console.log(`   CallSid: ${menuData.CallSid}`);
+    console.log(`   Key: ${digit || 'none'}${keys ? ` (after ${keys})` : ''}`);
+
+    const position = resolveKeys(keys);
+    if (!position) {
+      // The menu file changed during the call
+      console.log('   → Menu path no longer exists, playing the start menu');
+      return buildMenuTwiml('');
+    }
+
+    const route = digit ? selectOption(position.menu, digit) : null;
+    if (route?.menu) {
+      console.log(`   → Menu "${route.menu}"`);
+      return buildMenuTwiml(`${keys}${digit}`);
+    }
+    if (route) {
+      return routeCall(menuData, route, buildSelection(route, keys, position.path, digit));
+    }
+
+    if (attempt < config.ivr.retries) {
+      console.log(`   → ${digit ? 'Invalid key' : 'No key'}, repeating menu "${position.name}" (${attempt + 1}/${config.ivr.retries})`);
+      return buildMenuTwiml(keys, { attempt: attempt + 1, invalid: Boolean(digit) });
+    }
+
+    console.log('   → No selection, using the no-input route');
+    return routeCall(menuData, config.ivr.noInput, buildSelection(config.ivr.noInput, keys, position.path));
+  } catch (error) {
+    console.error(' Error handling IVR menu input:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send the caller where a menu option (or the no-input route) leads
+ * @param {Object} menuData - Gather callback data from Twilio
+ * @param {IvrRoute} route - Route
+ * @param {IvrSelection} selection - Path to the route
+ * @returns {string} TwiML response
+ */
+function routeCall(menuData, route, selection) {
+  const destination = route.queue ? 'queue' : route.voicemail ? 'voicemail' : 'agent';
+  console.log(`   → ${selection.path.join(' > ')}: ${destination}${route.queue ? ` "${route.queue}"` : route.voicemail ? ` "${route.voicemail}"` : ''}`);
+
+  // Recorded in the background: Twilio is waiting for the TwiML
+  CallRecordStore.getInstance().record(menuData.CallSid, {
+    source: 'ivr',
+    event: 'ivr.selected',
+    detail: selection.path.join(' > '),
+    fields: { ivr: { path: selection.path, route: destination, ...(route.queue ? { queue: route.queue } : {}) } }
+  });
+
+  if (route.queue) {
+    return buildQueueTwiml(route, selection, menuData);
+  }
+  if (route.voicemail) {
+    return buildVoicemailTwiml(route);
+  }
+
+  // The agent gets the path in the session context; "say" is spoken as part of the greeting
+  const greeting = route.greeting || config.twilio.welcomeGreeting;
+  return buildAgentTwiml({
+    language: findLanguage(route.language) || undefined,
+    welcomeGreeting: route.say ? `${route.say} ${greeting}` : greeting,
+    parameters: { ivr: JSON.stringify(selection) }
+  });
+}
+
+/**
+ * Handle the end of a voicemail recorded in an IVR voicemail box (the <Record> action)
+ * Adds the recording to the call record, thanks the caller and hangs up
+ *
+ * @param {Object} recordingData - Record callback data from Twilio (CallSid, RecordingUrl, RecordingDuration) and the box (box)
+ * @returns {Promise<string>} TwiML response
+ */
+export async function handleIvrVoicemail(recordingData) {
+  try {
+    if (!config.ivr) {
+      throw new Error('No IVR menu is configured (IVR_MENU_PATH)');
+    }
+
+    const { CallSid, RecordingUrl, RecordingDuration, box } = recordingData;
+
+    console.log(' IVR voicemail recorded:');
+    console.log(`   CallSid: ${CallSid}`);
+    console.log(`   Box: ${box}`);
+    console.log(`   Recording: ${RecordingUrl || 'none'}${RecordingDuration ? ` (${RecordingDuration}s)` : ''}`);
+
+    // The menu choice was recorded when the caller was routed here
+    const callRecords = CallRecordStore.getInstance();
+    const record = await callRecords.get(CallSid);
+
+    await callRecords.record(CallSid, {
+      source: 'ivr',
+      event: 'ivr.voicemail',
+      detail: box,
+      fields: {
+        ivr: {
+          path: record?.ivr?.path || [],
+          route: 'voicemail',
+          recordingUrl: RecordingUrl,
+          recordingDuration: RecordingDuration ? Number(RecordingDuration) : undefined
+        }
+      }
+    });
+
+    return buildVoicemailThanksTwiml(box);
+  } catch (error) {
+    console.error(' Error handling IVR voicemail:', error);
+    throw error;
+  }
+}
+
+export default { handleIvrMenu, handleIvrVoicemail };
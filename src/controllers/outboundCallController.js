@@ -1,14 +1,77 @@
 import { twilioClient, isValidE164 } from '../services/twilioClient.js';
 import { config } from '../config.js';
+import { buildConversationRelayTwiml } from '../services/twimlBuilder.js';
+import { OutboundContextStore, getContextGreeting } from '../services/outboundContext.js';
+import { CallRecordStore } from '../services/callRecords.js';
+import { ComplianceGuard } from '../services/complianceGuard.js';
+import {
+  prepareVoicemail,
+  discardVoicemail,
+  getVoicemail,
+  buildHoldTwiml,
+  buildVoicemailTwiml
+} from '../services/voicemail.js';
+
+/**
+ * @typedef {import('../services/outboundContext.js').OutboundContext} OutboundContext
+ */
+
+/**
+ * Listeners for call status updates (e.g., the campaign dialer)
+ * @type {Set<(statusData: Object) => Promise<void> | void>}
+ */
+const statusListeners = new Set();
+
+/**
+ * Register a listener for call status callbacks
+ * @param {(statusData: Object) => Promise<void> | void} listener - Called with each status callback
+ * @returns {() => void} Function that removes the listener
+ */
+export function onCallStatus(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+/** Detection results for answering machines, once the greeting has ended (machineDetection: DetectMessageEnd) */
+const MACHINE_RESULTS = ['machine_end_beep', 'machine_end_silence', 'machine_end_other'];
+
+/**
+ * Build a webhook URL on this server
+ * @param {string} path - Path (e.g., '/api/outbound/twiml')
+ * @param {Object<string, string | null | undefined>} [query] - Query parameters (empty values are left out)
+ * @returns {string}
+ */
+function webhookUrl(path, query = {}) {
+  const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+  const search = params.toString();
+  return `https://${config.ngrok.domain}${path}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Build the ConversationRelay TwiML of an outbound call
+ * @param {OutboundContext | null} context - Call context
+ * @param {string} [contextId] - Context ID, passed on to the WebSocket session
+ * @returns {string} TwiML
+ */
+function buildOutboundRelayTwiml(context, contextId) {
+  // Same as inbound calls, plus the context's greeting and ID for the WebSocket session
+  return buildConversationRelayTwiml({
+    welcomeGreeting: getContextGreeting(context),
+    parameters: context ? { contextId } : undefined
+  });
+}
 
 /**
  * Initiate an outbound call using Twilio API
  * @param {Object} params - Call parameters
  * @param {string} params.to - Recipient phone number (E.164 format)
  * @param {string} params.from - Caller ID phone number (E.164 format)
- * @returns {Promise<Object>} Call details including SID and status
+ * @param {OutboundContext} [params.context] - Call context (purpose, customer, greeting, agent)
+ * @param {boolean} [params.amd] - Detect answering machines and leave a voicemail (defaults to OUTBOUND_AMD)
+ * @returns {Promise<Object>} Call details including SID and status, or the compliance block
+ *   ({ success: false, blocked: true, reason, message, retryAt }) when the call may not be placed
  */
-export async function initiateOutboundCall({ to, from }) {
+export async function initiateOutboundCall({ to, from, context, amd = config.amd.enabled }) {
   try {
     // Validate phone numbers
     if (!isValidE164(to)) {
@@ -19,20 +82,54 @@ export async function initiateOutboundCall({ to, from }) {
       throw new Error(`Invalid 'from' phone number. Must be E.164 format (e.g., +14155551212)`);
     }
 
-    const ngrokDomain = config.ngrok.domain;
-
     console.log(' Initiating outbound call:');
     console.log(`   From: ${from}`);
     console.log(`   To: ${to}`);
 
+    // Do-not-call list, consent, calling hours and attempt caps (an allowed call counts as an attempt)
+    const compliance = await ComplianceGuard.getInstance().check(to, { countAttempt: true });
+    if (!compliance.allowed) {
+      console.warn(`   Blocked (${compliance.reason}): ${compliance.message}`);
+      return {
+        success: false,
+        blocked: true,
+        to,
+        from,
+        reason: compliance.reason,
+        message: compliance.message,
+        retryAt: compliance.retryAt
+      };
+    }
+
+    // Save the call context; its ID comes back on the TwiML request
+    const contextId = context ? await OutboundContextStore.getInstance().save(context) : null;
+    if (contextId) {
+      console.log(`   Context: ${contextId}${context.purpose ? ` (${context.purpose})` : ''}`);
+    }
+
+    // With answering machine detection, the answered call holds until Twilio reports who picked up
+    const detection = amd
+      ? {
+        machineDetection: 'DetectMessageEnd',
+        machineDetectionTimeout: config.amd.timeoutSeconds,
+        asyncAmd: 'true',
+        asyncAmdStatusCallback: webhookUrl('/api/outbound/amd', { contextId }),
+        asyncAmdStatusCallbackMethod: 'POST'
+      }
+      : {};
+    if (amd) {
+      console.log(`   Answering machine detection: on (voicemail: ${config.amd.voicemailMode})`);
+    }
+
     // Create the call using Twilio API
     const call = await twilioClient.calls.create({
       to: to,
       from: from,
-      url: `https://${ngrokDomain}/api/outbound/twiml`,
-      statusCallback: `https://${ngrokDomain}/api/outbound/status`,
+      url: webhookUrl('/api/outbound/twiml', { contextId, amd: amd ? 'hold' : null }),
+      statusCallback: `https://${config.ngrok.domain}/api/outbound/status`,
       statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-      statusCallbackMethod: 'POST'
+      statusCallbackMethod: 'POST',
+      ...detection
     });
 
     console.log(` Call created successfully:`);
@@ -45,7 +142,9 @@ export async function initiateOutboundCall({ to, from }) {
       status: call.status,
       to: call.to,
       from: call.from,
-      direction: call.direction
+      direction: call.direction,
+      contextId,
+      amd
     };
   } catch (error) {
     console.error(' Error initiating outbound call:', error.message);
@@ -57,6 +156,7 @@ export async function initiateOutboundCall({ to, from }) {
  * Handle TwiML request for outbound calls
  * Returns TwiML to establish ConversationRelay connection
  * (Same as inbound calls - WebSocket infrastructure handles both)
+ * Calls placed with answering machine detection hold instead until detection ends
  *
  * @param {Object} callData - Call details from Twilio
  * @returns {Promise<string>} TwiML response
@@ -68,30 +168,25 @@ export async function handleOutboundTwiML(callData) {
     console.log(`   To: ${callData.To}`);
     console.log(`   From: ${callData.From}`);
 
-    const ngrokDomain = config.ngrok.domain;
-    const welcomeGreeting = config.twilio.welcomeGreeting;
-    const language = config.language;
     const intelligenceServiceSid = config.twilio.intelligenceServiceSid;
 
-    // Build intelligenceService attribute if configured
-    const intelligenceAttr = intelligenceServiceSid
-      ? `intelligenceService="${intelligenceServiceSid}"`
-      : '';
+    // Use the call's own greeting when it was placed with a context
+    const contextId = callData.contextId;
+    const context = await OutboundContextStore.getInstance().load(contextId);
+    if (contextId && !context) {
+      console.warn(`   Context ${contextId} not found (expired?), using the default greeting`);
+    }
+
+    if (callData.amd === 'hold') {
+      console.log('   Waiting for answering machine detection');
+      prepareVoicemail(callData.CallSid, { from: callData.From, to: callData.To, context });
+
+      // Without a detection result by the end of the hold, the call goes to the agent
+      return buildHoldTwiml(webhookUrl('/api/outbound/twiml', { contextId }));
+    }
 
     // Build TwiML response with ConversationRelay
-    // This is identical to inbound calls - the WebSocket handles the conversation
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Connect action="https://${ngrokDomain}/api/action">
-    <ConversationRelay
-      url="wss://${ngrokDomain}"
-      dtmfDetection="true"
-      interruptByDtmf="false"
-      welcomeGreeting="${escapeXml(welcomeGreeting)}"${intelligenceAttr ? `\n      ${intelligenceAttr}` : ''}>
-      <Language code="${language.locale_code}" ttsProvider="${language.ttsProvider}" voice="${language.voice}" transcriptionProvider="${language.transcriptionProvider}" speechModel="${language.speechModel}" />
-    </ConversationRelay>
-  </Connect>
-</Response>`;
+    const twiml = buildOutboundRelayTwiml(context, contextId);
 
     if (intelligenceServiceSid) {
       console.log(`   → Conversational Intelligence enabled for this call (Service: ${intelligenceServiceSid})`);
@@ -109,15 +204,79 @@ export async function handleOutboundTwiML(callData) {
   }
 }
 
+/**
+ * Handle the answering machine detection result of an outbound call
+ * People (and undetermined answers) go to the agent; machines get the voicemail after the beep
+ * The result and the voicemail are added to the call record
+ *
+ * @param {Object} amdData - Detection callback data from Twilio (CallSid, AnsweredBy, MachineDetectionDuration)
+ */
+export async function handleAmdCallback(amdData) {
+  try {
+    const { CallSid, AnsweredBy, MachineDetectionDuration, contextId } = amdData;
+
+    console.log(' Answering machine detection result:');
+    console.log(`   CallSid: ${CallSid}`);
+    console.log(`   Answered by: ${AnsweredBy}${MachineDetectionDuration ? ` (after ${MachineDetectionDuration}ms)` : ''}`);
+
+    const callRecords = CallRecordStore.getInstance();
+    const context = await OutboundContextStore.getInstance().load(contextId);
+
+    let twiml;
+    let voicemail;
+    if (MACHINE_RESULTS.includes(AnsweredBy)) {
+      if (config.amd.voicemailMode === 'none') {
+        twiml = buildVoicemailTwiml();
+        voicemail = { status: 'skipped' };
+      } else {
+        // The detection callback carries no numbers; the status callbacks have recorded them
+        const record = await callRecords.get(CallSid);
+        const message = await getVoicemail(CallSid, { from: record?.from, to: record?.to, context });
+        twiml = buildVoicemailTwiml(message.text);
+        voicemail = { ...message, status: 'sent' };
+        console.log(`   Leaving voicemail (${message.mode}): ${message.text}`);
+      }
+    } else if (AnsweredBy === 'fax') {
+      discardVoicemail(CallSid);
+      twiml = buildVoicemailTwiml();
+    } else {
+      discardVoicemail(CallSid);
+      twiml = buildOutboundRelayTwiml(context, contextId);
+    }
+
+    let error;
+    try {
+      await twilioClient.calls(CallSid).update({ twiml });
+    } catch (updateError) {
+      // The hold ends with a redirect to the agent, so a failed update does not strand the call
+      console.error(`   Failed to update call ${CallSid}:`, updateError.message);
+      error = { code: updateError.code ? String(updateError.code) : undefined, message: updateError.message };
+      if (voicemail) voicemail.status = 'failed';
+    }
+
+    await callRecords.record(CallSid, {
+      source: 'amd',
+      event: `answered-by.${AnsweredBy}`,
+      fields: { answeredBy: AnsweredBy, voicemail },
+      error
+    });
+
+    return { success: !error };
+  } catch (error) {
+    console.error(' Error handling answering machine detection:', error);
+    throw error;
+  }
+}
+
 /**
  * Handle status callback from Twilio
- * Logs call status updates for monitoring
+ * Records call status updates and passes them to the status listeners
  *
  * @param {Object} statusData - Status callback data from Twilio
  */
 export async function handleStatusCallback(statusData) {
   try {
-    const { CallSid, CallStatus, From, To, Direction, Duration } = statusData;
+    const { CallSid, CallStatus, From, To, Direction, Duration, CallDuration, ErrorCode, ErrorMessage } = statusData;
 
     console.log(' Call status update:');
     console.log(`   CallSid: ${CallSid}`);
@@ -130,8 +289,27 @@ export async function handleStatusCallback(statusData) {
       console.log(`   Duration: ${Duration}s`);
     }
 
-    // Optional: Add database logging here in the future
-    // await saveCallStatus({ CallSid, CallStatus, Duration, ... });
+    await CallRecordStore.getInstance().record(CallSid, {
+      source: 'status',
+      event: CallStatus,
+      fields: {
+        status: CallStatus,
+        direction: Direction,
+        from: From,
+        to: To,
+        duration: CallDuration ? Number(CallDuration) : undefined
+      },
+      error: ErrorCode ? { code: ErrorCode, message: ErrorMessage } : undefined
+    });
+
+    // A failing listener must not make Twilio retry or log the callback as an error
+    for (const listener of statusListeners) {
+      try {
+        await listener(statusData);
+      } catch (error) {
+        console.error(` Call status listener failed for ${CallSid}:`, error.message);
+      }
+    }
 
     return { success: true };
   } catch (error) {
@@ -140,24 +318,10 @@ export async function handleStatusCallback(statusData) {
   }
 }
 
-/**
- * Escape XML special characters for TwiML
- * @param {string} str - String to escape
- * @returns {string} Escaped string
- */
-function escapeXml(str) {
-  if (!str) return '';
-
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-}
-
 export default {
+  onCallStatus,
   initiateOutboundCall,
   handleOutboundTwiML,
+  handleAmdCallback,
   handleStatusCallback
 };
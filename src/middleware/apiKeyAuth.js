@@ -0,0 +1,135 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { config } from '../config.js';
+
+/**
+ * API Key Authentication
+ * Protects the outbound call API with the keys from OUTBOUND_API_KEYS(_FILE)
+ *
+ * Clients send their key as a bearer token (Authorization: Bearer <key>) or in
+ * the X-API-Key header. Keys are compared by SHA-256 hash, so the configuration
+ * may hold only the hash (keySha256). The matching key is attached to the
+ * request as req.apiKey for scope checks, rate limits and the audit log.
+ */
+
+/**
+ * @typedef {import('../types/index.js').OutboundApiKey} OutboundApiKey
+ */
+
+/**
+ * Hash a key
+ * @param {string} key - API key
+ * @returns {Buffer} SHA-256 digest
+ */
+function hashKey(key) {
+  return createHash('sha256').update(key, 'utf8').digest();
+}
+
+/** @type {Array<{apiKey: OutboundApiKey, hash: Buffer}>} - Configured keys with their hashes */
+const keyHashes = config.outbound.apiKeys.map(apiKey => ({
+  apiKey,
+  hash: apiKey.key ? hashKey(apiKey.key) : Buffer.from(apiKey.keySha256, 'hex')
+}));
+
+/**
+ * Read the key a request was sent with
+ * @param {import('express').Request} req - Express request
+ * @returns {string | null}
+ */
+function getPresentedKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+  return req.get('x-api-key')?.trim() || null;
+}
+
+/**
+ * Find the configured key matching a presented key
+ * Every configured key is compared, so timing does not reveal which one matched
+ * @param {string} presented - Key sent by the client
+ * @returns {OutboundApiKey | null}
+ */
+export function findApiKey(presented) {
+  const hash = hashKey(presented);
+  let found = null;
+  for (const entry of keyHashes) {
+    if (timingSafeEqual(entry.hash, hash) && !found) {
+      found = entry.apiKey;
+    }
+  }
+  return found;
+}
+
+/**
+ * Check whether a key may place calls from a number
+ * @param {OutboundApiKey} apiKey - Authenticated key
+ * @param {string} from - Caller ID
+ * @returns {boolean}
+ */
+export function isFromNumberAllowed(apiKey, from) {
+  return apiKey.fromNumbers.includes('*') || apiKey.fromNumbers.includes(from);
+}
+
+/**
+ * Check whether a key may select an agent for its calls
+ * Keys without an agentIds list may use any agent
+ * @param {OutboundApiKey} apiKey - Authenticated key
+ * @param {string} agentId - Requested agent ID
+ * @returns {boolean}
+ */
+export function isAgentAllowed(apiKey, agentId) {
+  return !apiKey.agentIds || apiKey.agentIds.includes(agentId);
+}
+
+/**
+ * Express middleware factory: require a permission on the authenticated key
+ * Used after requireApiKey
+ * @param {string} scope - Permission (e.g., 'compliance')
+ * @returns {import('express').RequestHandler}
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey?.scopes?.includes(scope)) {
+      return next();
+    }
+
+    console.warn(` Rejected ${req.method} ${req.originalUrl}: key ${req.apiKey?.id} lacks the "${scope}" scope (${req.ip})`);
+    res.status(403).json({
+      error: 'Forbidden',
+      message: `This API key needs the "${scope}" scope`
+    });
+  };
+}
+
+/**
+ * Express middleware: require a valid outbound API key
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {import('express').NextFunction} next - Next handler
+ */
+export function requireApiKey(req, res, next) {
+  if (keyHashes.length === 0) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Outbound calling is disabled: no API keys are configured'
+    });
+  }
+
+  const presented = getPresentedKey(req);
+  const apiKey = presented ? findApiKey(presented) : null;
+
+  if (!apiKey) {
+    console.warn(` Rejected ${req.method} ${req.originalUrl}: ${presented ? 'unknown' : 'missing'} API key (${req.ip})`);
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid API key is required (Authorization: Bearer <key> or X-API-Key header)'
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+export default { requireApiKey, requireScope, findApiKey, isFromNumberAllowed, isAgentAllowed };
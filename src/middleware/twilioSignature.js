@@ -0,0 +1,143 @@
+import { timingSafeEqual } from 'crypto';
+import twilio from 'twilio';
+import { config } from '../config.js';
+
+/**
+ * Twilio Signature Validation
+ * Rejects webhooks and WebSocket upgrades that were not signed by Twilio with
+ * this account's auth token (X-Twilio-Signature header)
+ *
+ * Twilio signs the public URL it called, which the server does not see directly
+ * behind ngrok or Azure Container Apps (TLS ends at the proxy, which may rewrite
+ * the Host header). The signature is checked against each URL the request may
+ * have been sent to:
+ * - the configured domain (PRODUCTION_DOMAIN / NGROK_DOMAIN)
+ * - X-Forwarded-Proto / X-Forwarded-Host set by the proxy
+ * - the Host header and protocol of the request itself
+ *
+ * Validation can be turned off for local simulators with
+ * TWILIO_SIGNATURE_VALIDATION=false (never in production).
+ */
+
+/**
+ * Get the first value of a (possibly comma-separated) forwarded header
+ * @param {import('http').IncomingMessage} req - HTTP request
+ * @param {string} name - Header name
+ * @returns {string | undefined}
+ */
+function forwardedHeader(req, name) {
+  const value = req.headers[name];
+  return value ? String(value).split(',')[0].trim() : undefined;
+}
+
+/**
+ * Build the public URLs a request may have been signed with
+ * @param {import('http').IncomingMessage} req - HTTP request (or WebSocket upgrade request)
+ * @param {'http' | 'ws'} scheme - Scheme family of the request
+ * @returns {string[]}
+ */
+export function getCandidateUrls(req, scheme) {
+  const secure = scheme === 'ws' ? 'wss' : 'https';
+  const path = req.originalUrl || req.url;
+  const localProtocol = req.socket?.encrypted ? secure : scheme;
+  const urls = new Set();
+
+  if (config.ngrok.domain) {
+    urls.add(`${secure}://${config.ngrok.domain}${path}`);
+  }
+
+  const forwardedProto = forwardedHeader(req, 'x-forwarded-proto');
+  const forwardedHost = forwardedHeader(req, 'x-forwarded-host');
+  const host = forwardedHost || req.headers.host;
+  if (host) {
+    const protocol = forwardedProto
+      ? (forwardedProto === 'https' || forwardedProto === 'wss' ? secure : scheme)
+      : localProtocol;
+    urls.add(`${protocol}://${host}${path}`);
+  }
+
+  if (req.headers.host) {
+    urls.add(`${localProtocol}://${req.headers.host}${path}`);
+  }
+
+  return [...urls];
+}
+
+/**
+ * Check a request's Twilio signature
+ * @param {import('http').IncomingMessage} req - HTTP request
+ * @param {'http' | 'ws'} scheme - Scheme family of the request
+ * @param {Object} [params] - Form parameters of the request (empty for WebSocket upgrades)
+ * @returns {boolean}
+ */
+export function isValidTwilioRequest(req, scheme, params = {}) {
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) return false;
+
+  return getCandidateUrls(req, scheme).some(url =>
+    twilio.validateRequest(config.twilio.authToken, String(signature), url, params) ||
+    matchesBareOrigin(String(signature), url, params)
+  );
+}
+
+/**
+ * Check the signature against a root URL without its trailing slash
+ * The TwiML WebSocket URL is a bare origin (wss://domain), which validateRequest
+ * always normalizes to wss://domain/ before signing
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {string} url - Candidate URL
+ * @param {Object} params - Form parameters
+ * @returns {boolean}
+ */
+function matchesBareOrigin(signature, url, params) {
+  if (!url.endsWith('/') || new URL(url).pathname !== '/' || url.includes('?')) return false;
+
+  const expected = Buffer.from(twilio.getExpectedTwilioSignature(config.twilio.authToken, url.slice(0, -1), params));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Express middleware: reject webhooks without a valid Twilio signature
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {import('express').NextFunction} next - Next handler
+ */
+export function requireTwilioSignature(req, res, next) {
+  if (!config.twilio.validateSignatures) {
+    return next();
+  }
+
+  // Only form-encoded bodies are part of the signature (JSON webhooks are signed with bodySHA256)
+  const params = req.is('application/x-www-form-urlencoded') ? req.body : {};
+
+  if (!isValidTwilioRequest(req, 'http', params)) {
+    console.warn(` Rejected ${req.method} ${req.originalUrl}: ${req.headers['x-twilio-signature'] ? 'invalid' : 'missing'} Twilio signature`);
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Invalid Twilio signature'
+    });
+  }
+
+  next();
+}
+
+/**
+ * WebSocketServer verifyClient callback: reject upgrades without a valid Twilio signature
+ * @param {{req: import('http').IncomingMessage}} info - Upgrade request info
+ * @param {(result: boolean, code?: number, message?: string) => void} callback - Accept or reject the upgrade
+ */
+export function verifyTwilioUpgrade(info, callback) {
+  if (!config.twilio.validateSignatures) {
+    return callback(true);
+  }
+
+  if (!isValidTwilioRequest(info.req, 'ws')) {
+    console.warn(` Rejected WebSocket upgrade ${info.req.url}: ${info.req.headers['x-twilio-signature'] ? 'invalid' : 'missing'} Twilio signature`);
+    return callback(false, 403, 'Invalid Twilio signature');
+  }
+
+  callback(true);
+}
+
+export default { requireTwilioSignature, verifyTwilioUpgrade, isValidTwilioRequest, getCandidateUrls };
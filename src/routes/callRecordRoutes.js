@@ -0,0 +1,109 @@
+import express from 'express';
+import { requireApiKey } from '../middleware/apiKeyAuth.js';
+import { CallRecordStore } from '../services/callRecords.js';
+
+const router = express.Router();
+
+/** Records returned per request by default and at most */
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Call records hold phone numbers: an API key only sees calls from or to its own numbers
+router.use(requireApiKey);
+
+/**
+ * Check that a record belongs to a key's numbers
+ * @param {import('../types/index.js').OutboundApiKey} apiKey - Authenticated key
+ * @param {import('../services/callRecords.js').CallRecord} record - Call record
+ * @returns {boolean}
+ */
+function canSee(apiKey, record) {
+  const numbers = apiKey.fromNumbers;
+  return numbers.includes('*') || numbers.includes(record.from) || numbers.includes(record.to);
+}
+
+/**
+ * Read an ISO 8601 time filter
+ * @param {any} value - Query value
+ * @returns {string | null | undefined} Normalized time, undefined if not given, null if invalid
+ */
+function readTime(value) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(String(value));
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * GET /api/calls
+ * List call records, newest first
+ * Query: direction, status, from, to, since, until (ISO 8601), limit (default 50, max 500)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { direction, status, from, to } = req.query;
+    const since = readTime(req.query.since);
+    const until = readTime(req.query.until);
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+
+    if (since === null || until === null) {
+      return res.status(400).json({
+        error: 'Invalid time',
+        message: '"since" and "until" must be ISO 8601 times (e.g., 2025-01-31T00:00:00Z)'
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: `"limit" must be a whole number from 1 to ${MAX_LIMIT}`
+      });
+    }
+
+    const records = await CallRecordStore.getInstance().list({
+      direction: direction && String(direction),
+      status: status && String(status),
+      from: from && String(from),
+      to: to && String(to),
+      since,
+      until,
+      numbers: req.apiKey.fromNumbers,
+      limit
+    });
+
+    // The timeline is only returned for a single call
+    res.json({ calls: records.map(({ timeline, ...record }) => record), count: records.length });
+  } catch (error) {
+    console.error(' Error listing call records:', error);
+
+    res.status(500).json({
+      error: 'Failed to list calls',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/calls/:sid
+ * Call record with its status timeline
+ */
+router.get('/:sid', async (req, res) => {
+  try {
+    const record = await CallRecordStore.getInstance().get(req.params.sid);
+    if (!record || !canSee(req.apiKey, record)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Call ${req.params.sid} not found`
+      });
+    }
+
+    res.json(record);
+  } catch (error) {
+    console.error(' Error reading call record:', error);
+
+    res.status(500).json({
+      error: 'Failed to read call',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { handleIncomingCall } from '../controllers/callController.js';
+import { requireTwilioSignature } from '../middleware/twilioSignature.js';
 
 const router = express.Router();
 
@@ -8,7 +9,7 @@ const router = express.Router();
  * Webhook endpoint for incoming Twilio calls
  * Returns TwiML to establish ConversationRelay connection
  */
-router.post('/incoming-call', async (req, res) => {
+router.post('/incoming-call', requireTwilioSignature, async (req, res) => {
   try {
     console.log(' POST /api/incoming-call');
 
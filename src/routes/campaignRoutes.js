@@ -0,0 +1,249 @@
+import express from 'express';
+import { requireApiKey, isFromNumberAllowed, isAgentAllowed } from '../middleware/apiKeyAuth.js';
+import { isValidE164 } from '../services/twilioClient.js';
+import { validateOutboundContext } from '../services/outboundContext.js';
+import { readCsvContacts, readJsonContacts } from '../services/contactList.js';
+import {
+  CampaignManager,
+  resolveCampaignSettings,
+  buildContactContext,
+  describeCampaign
+} from '../services/campaignManager.js';
+import { config } from '../config.js';
+
+const router = express.Router();
+
+/** Contact problems listed in a 400 response */
+const MAX_LISTED_PROBLEMS = 20;
+
+// Every campaign endpoint requires an outbound API key; keys only see their own campaigns
+router.use(requireApiKey);
+
+/**
+ * Find a campaign of the requesting key, or answer 404
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @returns {Promise<import('../services/campaignManager.js').Campaign | null>}
+ */
+async function findOwnCampaign(req, res) {
+  const campaign = await CampaignManager.getInstance().get(req.params.id);
+  if (!campaign || campaign.keyId !== req.apiKey.id) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: `Campaign ${req.params.id} not found`
+    });
+    return null;
+  }
+  return campaign;
+}
+
+/**
+ * POST /api/campaigns
+ * Create a campaign from a JSON or CSV contact list
+ * Request body: {
+ *   "name": "March reminders", "from": "+15551234567",
+ *   "contacts": [{ "to": "+14155551212", "variables": { "firstName": "Ada" } }]  (or "csv": "to,firstName\n+14155551212,Ada"),
+ *   "context": { "purpose", "greeting", "agentId" },
+ *   "concurrency": 2, "callsPerSecond": 1, "maxAttempts": 3, "retryDelaySeconds": 300,
+ *   "start": true
+ * }
+ */
+router.post('/', async (req, res) => {
+  const { name, from, contacts, csv, context, start, ...options } = req.body || {};
+
+  try {
+    console.log(` POST /api/campaigns (key: ${req.apiKey.id})`);
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 200)) {
+      return res.status(400).json({
+        error: 'Invalid name',
+        message: '"name" must be a string of at most 200 characters'
+      });
+    }
+
+    if (!isValidE164(from)) {
+      return res.status(400).json({
+        error: 'Invalid phone number',
+        message: '"from" must be E.164 format (e.g., +15551234567)'
+      });
+    }
+
+    if (!isFromNumberAllowed(req.apiKey, from)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key may not place calls from ${from}`
+      });
+    }
+
+    const contextProblem = context === undefined ? null : validateOutboundContext(context);
+    if (contextProblem) {
+      return res.status(400).json({
+        error: 'Invalid context',
+        message: contextProblem
+      });
+    }
+
+    if (context?.agentId && !isAgentAllowed(req.apiKey, context.agentId)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key may not use agent ${context.agentId}`
+      });
+    }
+
+    const { settings, problem } = resolveCampaignSettings(options);
+    if (problem) {
+      return res.status(400).json({
+        error: 'Invalid settings',
+        message: problem
+      });
+    }
+
+    let parsed;
+    if (typeof csv === 'string') {
+      parsed = readCsvContacts(csv);
+    } else if (Array.isArray(contacts)) {
+      parsed = readJsonContacts(contacts);
+    } else {
+      return res.status(400).json({
+        error: 'Missing contacts',
+        message: 'Provide "contacts" (JSON array) or "csv" (CSV text with a "to" column)'
+      });
+    }
+
+    // Each contact's variables become its customer record, which has a size limit
+    if (parsed.problems.length === 0) {
+      parsed.contacts.forEach((contact, index) => {
+        const contactProblem = validateOutboundContext(buildContactContext({ context }, contact) || {});
+        if (contactProblem) {
+          parsed.problems.push(`contact ${index + 1} (${contact.to}): ${contactProblem}`);
+        }
+      });
+    }
+
+    if (parsed.problems.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid contacts',
+        message: `${parsed.problems.length} problem(s) in the contact list`,
+        problems: parsed.problems.slice(0, MAX_LISTED_PROBLEMS)
+      });
+    }
+
+    if (parsed.contacts.length === 0 || parsed.contacts.length > config.campaigns.maxContacts) {
+      return res.status(400).json({
+        error: 'Invalid contacts',
+        message: `A campaign needs 1 to ${config.campaigns.maxContacts} contacts (got ${parsed.contacts.length})`
+      });
+    }
+
+    const manager = CampaignManager.getInstance();
+    const campaign = await manager.create({ name, apiKey: req.apiKey, from, contacts: parsed.contacts, settings, context });
+    if (start === true) {
+      await manager.start(campaign.id);
+    }
+
+    res.status(201).json(describeCampaign(campaign));
+  } catch (error) {
+    console.error(' Error creating campaign:', error);
+
+    res.status(500).json({
+      error: 'Failed to create campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/campaigns
+ * List the key's campaigns with their progress
+ */
+router.get('/', async (req, res) => {
+  try {
+    const campaigns = await CampaignManager.getInstance().list(req.apiKey.id);
+    res.json({ campaigns: campaigns.map(campaign => describeCampaign(campaign)) });
+  } catch (error) {
+    console.error(' Error listing campaigns:', error);
+
+    res.status(500).json({
+      error: 'Failed to list campaigns',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/campaigns/:id
+ * Campaign progress with the state of every contact
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    res.json(describeCampaign(campaign, { includeContacts: true }));
+  } catch (error) {
+    console.error(' Error reading campaign:', error);
+
+    res.status(500).json({
+      error: 'Failed to read campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/start
+ * Start a created campaign or resume a paused one
+ */
+router.post('/:id/start', async (req, res) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status === 'completed') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Campaign is already completed'
+      });
+    }
+
+    await CampaignManager.getInstance().start(campaign.id);
+    res.json(describeCampaign(campaign));
+  } catch (error) {
+    console.error(' Error starting campaign:', error);
+
+    res.status(500).json({
+      error: 'Failed to start campaign',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/campaigns/:id/pause
+ * Stop placing new calls; calls in progress continue
+ */
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const campaign = await findOwnCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status !== 'running') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Campaign is ${campaign.status}, not running`
+      });
+    }
+
+    await CampaignManager.getInstance().pause(campaign.id);
+    res.json(describeCampaign(campaign));
+  } catch (error) {
+    console.error(' Error pausing campaign:', error);
+
+    res.status(500).json({
+      error: 'Failed to pause campaign',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,233 @@
+import express from 'express';
+import { requireApiKey, requireScope } from '../middleware/apiKeyAuth.js';
+import { isValidE164 } from '../services/twilioClient.js';
+import { ComplianceGuard } from '../services/complianceGuard.js';
+import { writeAuditEntry } from '../services/auditLog.js';
+
+const router = express.Router();
+
+// The do-not-call list and consent apply to every number of the deployment; changes are audited
+// Any key may read them, only keys with the "compliance" scope may change them
+router.use(requireApiKey);
+const requireCompliance = requireScope('compliance');
+
+/**
+ * Check a phone number parameter, or answer 400
+ * @param {any} number - Number from the path or body
+ * @param {import('express').Response} res - Express response
+ * @returns {boolean} Whether the number is valid
+ */
+function checkNumber(number, res) {
+  if (isValidE164(number)) return true;
+  res.status(400).json({
+    error: 'Invalid phone number',
+    message: 'The number must be in E.164 format (e.g., +14155551212)'
+  });
+  return false;
+}
+
+/**
+ * Answer 500 for an unexpected error
+ * @param {import('express').Response} res - Express response
+ * @param {string} action - What failed (e.g., 'update the do-not-call list')
+ * @param {Error} error - Error
+ */
+function fail(res, action, error) {
+  console.error(` Failed to ${action}:`, error);
+
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/compliance/check/:number
+ * Whether the number may be called now, and the reason if not (not counted as an attempt)
+ */
+router.get('/check/:number', async (req, res) => {
+  try {
+    if (!checkNumber(req.params.number, res)) return;
+    res.json(await ComplianceGuard.getInstance().check(req.params.number));
+  } catch (error) {
+    fail(res, 'check the number', error);
+  }
+});
+
+/**
+ * GET /api/compliance/dnc
+ * The do-not-call list, most recent first
+ */
+router.get('/dnc', async (req, res) => {
+  try {
+    const entries = await ComplianceGuard.getInstance().listDoNotCall();
+    res.json({ numbers: entries, count: entries.length });
+  } catch (error) {
+    fail(res, 'read the do-not-call list', error);
+  }
+});
+
+/**
+ * GET /api/compliance/dnc/:number
+ * A number's do-not-call entry
+ */
+router.get('/dnc/:number', async (req, res) => {
+  try {
+    if (!checkNumber(req.params.number, res)) return;
+    const entry = await ComplianceGuard.getInstance().getDoNotCall(req.params.number);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `${req.params.number} is not on the do-not-call list`
+      });
+    }
+    res.json(entry);
+  } catch (error) {
+    fail(res, 'read the do-not-call list', error);
+  }
+});
+
+/**
+ * POST /api/compliance/dnc
+ * Add a number to the do-not-call list
+ * Requires the "compliance" scope
+ * Request body: { "number": "+14155551212", "reason": "Asked by email" }
+ */
+router.post('/dnc', requireCompliance, async (req, res) => {
+  try {
+    const { number, reason } = req.body || {};
+    if (!checkNumber(number, res)) return;
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({
+        error: 'Invalid reason',
+        message: '"reason" must be a string of at most 500 characters'
+      });
+    }
+
+    const entry = await ComplianceGuard.getInstance().addToDoNotCall(number, { source: 'api', reason, keyId: req.apiKey.id });
+    await writeAuditEntry({ event: 'dnc.added', keyId: req.apiKey.id, ip: req.ip, number, reason });
+    res.status(201).json(entry);
+  } catch (error) {
+    fail(res, 'update the do-not-call list', error);
+  }
+});
+
+/**
+ * DELETE /api/compliance/dnc/:number
+ * Remove a number from the do-not-call list
+ * Requires the "compliance" scope
+ */
+router.delete('/dnc/:number', requireCompliance, async (req, res) => {
+  try {
+    const { number } = req.params;
+    if (!checkNumber(number, res)) return;
+    if (!(await ComplianceGuard.getInstance().removeFromDoNotCall(number))) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `${number} is not on the do-not-call list`
+      });
+    }
+
+    await writeAuditEntry({ event: 'dnc.removed', keyId: req.apiKey.id, ip: req.ip, number });
+    res.json({ number, removed: true });
+  } catch (error) {
+    fail(res, 'update the do-not-call list', error);
+  }
+});
+
+/**
+ * GET /api/compliance/consent/:number
+ * A number's consent record, unless it has lapsed
+ */
+router.get('/consent/:number', async (req, res) => {
+  try {
+    if (!checkNumber(req.params.number, res)) return;
+    const record = await ComplianceGuard.getInstance().getConsent(req.params.number);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No consent recorded for ${req.params.number}`
+      });
+    }
+    res.json(record);
+  } catch (error) {
+    fail(res, 'read consent', error);
+  }
+});
+
+/**
+ * POST /api/compliance/consent
+ * Record a number's consent to be called
+ * Requires the "compliance" scope
+ * Request body: { "number": "+14155551212", "source": "web form", "grantedAt": "2025-01-31T10:00:00Z", "expiresAt": "2026-01-31T00:00:00Z" }
+ */
+router.post('/consent', requireCompliance, async (req, res) => {
+  try {
+    const { number, source, grantedAt, expiresAt } = req.body || {};
+    if (!checkNumber(number, res)) return;
+    if (source !== undefined && (typeof source !== 'string' || source.length > 200)) {
+      return res.status(400).json({
+        error: 'Invalid source',
+        message: '"source" must be a string of at most 200 characters'
+      });
+    }
+    for (const [name, value] of Object.entries({ grantedAt, expiresAt })) {
+      if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+        return res.status(400).json({
+          error: `Invalid ${name}`,
+          message: `"${name}" must be an ISO 8601 time (e.g., 2025-01-31T00:00:00Z)`
+        });
+      }
+    }
+    if (expiresAt && Date.parse(expiresAt) <= Date.now()) {
+      return res.status(400).json({
+        error: 'Invalid expiresAt',
+        message: '"expiresAt" must be in the future'
+      });
+    }
+
+    const guard = ComplianceGuard.getInstance();
+    if (await guard.getDoNotCall(number)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `${number} is on the do-not-call list; remove it first`
+      });
+    }
+
+    const record = await guard.recordConsent(number, {
+      source,
+      ...(grantedAt ? { grantedAt: new Date(grantedAt).toISOString() } : {}),
+      ...(expiresAt ? { expiresAt: new Date(expiresAt).toISOString() } : {}),
+      keyId: req.apiKey.id
+    });
+    await writeAuditEntry({ event: 'consent.recorded', keyId: req.apiKey.id, ip: req.ip, number });
+    res.status(201).json(record);
+  } catch (error) {
+    fail(res, 'record consent', error);
+  }
+});
+
+/**
+ * DELETE /api/compliance/consent/:number
+ * Withdraw a number's consent
+ * Requires the "compliance" scope
+ */
+router.delete('/consent/:number', requireCompliance, async (req, res) => {
+  try {
+    const { number } = req.params;
+    if (!checkNumber(number, res)) return;
+    if (!(await ComplianceGuard.getInstance().revokeConsent(number))) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No consent recorded for ${number}`
+      });
+    }
+
+    await writeAuditEntry({ event: 'consent.revoked', keyId: req.apiKey.id, ip: req.ip, number });
+    res.json({ number, revoked: true });
+  } catch (error) {
+    fail(res, 'withdraw consent', error);
+  }
+});
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { handleConnectAction } from '../controllers/connectActionController.js';
+import { requireTwilioSignature } from '../middleware/twilioSignature.js';
 
 const router = express.Router();
 
@@ -8,8 +9,9 @@ const router = express.Router();
  * Webhook endpoint for ConversationRelay connect action
  * Called when ConversationRelay ends (normally or abnormally)
  * Handles agent handoff and reconnection scenarios
+ * Requires a valid Twilio signature (forged HandoffData would enqueue a task)
  */
-router.post('/action', async (req, res) => {
+router.post('/action', requireTwilioSignature, async (req, res) => {
   try {
     console.log(' POST /api/action');
 
@@ -0,0 +1,63 @@
+import express from 'express';
+import { handleIvrMenu, handleIvrVoicemail } from '../controllers/ivrController.js';
+import { requireTwilioSignature } from '../middleware/twilioSignature.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/ivr/menu
+ * Webhook endpoint for keys pressed in the IVR menu (IVR_MENU_PATH)
+ * Returns TwiML for the next menu or the route chosen
+ */
+router.post('/menu', requireTwilioSignature, async (req, res) => {
+  try {
+    console.log(' POST /api/ivr/menu');
+
+    // Merge query params (menu position) and body params (Digits)
+    const twimlResponse = await handleIvrMenu({
+      ...req.query,
+      ...req.body
+    });
+
+    // Set response type to XML
+    res.type('text/xml');
+    res.status(200).send(twimlResponse);
+  } catch (error) {
+    console.error(' Error processing IVR menu input:', error);
+
+    res.status(500).json({
+      error: 'Failed to process IVR menu input',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ivr/voicemail
+ * Webhook endpoint for messages recorded in an IVR voicemail box
+ * Records the recording on the call and hangs up
+ */
+router.post('/voicemail', requireTwilioSignature, async (req, res) => {
+  try {
+    console.log(' POST /api/ivr/voicemail');
+
+    // Merge query params (voicemail box) and body params (recording)
+    const twimlResponse = await handleIvrVoicemail({
+      ...req.query,
+      ...req.body
+    });
+
+    // Set response type to XML
+    res.type('text/xml');
+    res.status(200).send(twimlResponse);
+  } catch (error) {
+    console.error(' Error processing IVR voicemail:', error);
+
+    res.status(500).json({
+      error: 'Failed to process IVR voicemail',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -2,21 +2,35 @@ import express from 'express';
 import {
   initiateOutboundCall,
   handleOutboundTwiML,
+  handleAmdCallback,
   handleStatusCallback
 } from '../controllers/outboundCallController.js';
+import { requireTwilioSignature } from '../middleware/twilioSignature.js';
+import { requireApiKey, isFromNumberAllowed, isAgentAllowed } from '../middleware/apiKeyAuth.js';
+import { OutboundLimiter } from '../services/outboundLimiter.js';
+import { writeAuditEntry } from '../services/auditLog.js';
+import { isValidE164 } from '../services/twilioClient.js';
+import { validateOutboundContext } from '../services/outboundContext.js';
 
 const router = express.Router();
 
 /**
  * POST /api/outbound/initiate
  * API endpoint to initiate an outbound call
- * Request body: { "to": "+14155551212", "from": "+15551234567" }
+ * Requires an API key (Authorization: Bearer <key> or X-API-Key) allowed to use the "from" number
+ * Calls blocked by the compliance checks answer 403 with a "reason" (see ComplianceGuard)
+ * Request body: {
+ *   "to": "+14155551212", "from": "+15551234567",
+ *   "context": { "purpose", "customer", "greeting", "agentId", "voicemail" },
+ *   "amd": true  (answering machine detection, defaults to OUTBOUND_AMD)
+ * }
  */
-router.post('/initiate', async (req, res) => {
-  try {
-    console.log(' POST /api/outbound/initiate');
+router.post('/initiate', requireApiKey, async (req, res) => {
+  const { to, from, context, amd } = req.body || {};
+  const audit = { keyId: req.apiKey.id, ip: req.ip, from, to, purpose: context?.purpose };
 
-    const { to, from } = req.body;
+  try {
+    console.log(` POST /api/outbound/initiate (key: ${req.apiKey.id})`);
 
     // Validate required parameters
     if (!to || !from) {
@@ -26,12 +40,86 @@ router.post('/initiate', async (req, res) => {
       });
     }
 
+    if (!isValidE164(to) || !isValidE164(from)) {
+      return res.status(400).json({
+        error: 'Invalid phone number',
+        message: 'Both "to" and "from" must be in E.164 format (e.g., +14155551212)'
+      });
+    }
+
+    if (amd !== undefined && typeof amd !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid amd',
+        message: '"amd" must be true or false'
+      });
+    }
+
+    const contextProblem = context === undefined ? null : validateOutboundContext(context);
+    if (contextProblem) {
+      return res.status(400).json({
+        error: 'Invalid context',
+        message: contextProblem
+      });
+    }
+
+    // The key may only use its own agents, when it is limited to some
+    if (context?.agentId && !isAgentAllowed(req.apiKey, context.agentId)) {
+      await writeAuditEntry({ event: 'call.rejected', ...audit, reason: 'agent_not_allowed' });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key may not use agent ${context.agentId}`
+      });
+    }
+
+    // The key may only place calls from its own numbers
+    if (!isFromNumberAllowed(req.apiKey, from)) {
+      console.warn(` Key ${req.apiKey.id} is not allowed to call from ${from}`);
+      await writeAuditEntry({ event: 'call.rejected', ...audit, reason: 'from_not_allowed' });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key may not place calls from ${from}`
+      });
+    }
+
+    const limit = await OutboundLimiter.getInstance().consume(req.apiKey);
+    if (!limit.allowed) {
+      console.warn(` Key ${req.apiKey.id} refused: ${limit.reason}`);
+      await writeAuditEntry({ event: 'call.rejected', ...audit, reason: limit.reason });
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        reason: limit.reason,
+        message: limit.reason === 'daily_cap_reached'
+          ? `Daily cap of ${req.apiKey.dailyCap} calls reached for this API key`
+          : `Rate limit of ${req.apiKey.rateLimitPerMinute} calls per minute exceeded for this API key`,
+        retryAfterSeconds: limit.retryAfterSeconds
+      });
+    }
+
     // Initiate the call
-    const result = await initiateOutboundCall({ to, from });
+    const result = await initiateOutboundCall({ to, from, context, amd });
+    if (result.blocked) {
+      // No call was placed, so it does not count against the key's limits
+      await OutboundLimiter.getInstance().release(req.apiKey);
+      await writeAuditEntry({ event: 'call.blocked', ...audit, reason: result.reason });
+      if (result.retryAt) {
+        res.set('Retry-After', String(Math.max(0, Math.ceil((Date.parse(result.retryAt) - Date.now()) / 1000))));
+      }
+      return res.status(403).json({
+        success: false,
+        error: 'Blocked',
+        reason: result.reason,
+        message: result.message,
+        ...(result.retryAt ? { retryAt: result.retryAt } : {}),
+        remainingToday: limit.remainingToday + 1
+      });
+    }
+    await writeAuditEntry({ event: 'call.created', ...audit, callSid: result.callSid, contextId: result.contextId });
 
-    res.status(200).json(result);
+    res.status(200).json({ ...result, remainingToday: limit.remainingToday });
   } catch (error) {
     console.error(' Error initiating outbound call:', error);
+    await writeAuditEntry({ event: 'call.failed', ...audit, error: error.message });
 
     res.status(500).json({
       success: false,
@@ -46,7 +134,7 @@ router.post('/initiate', async (req, res) => {
  * Webhook endpoint for outbound call TwiML
  * Returns TwiML to establish ConversationRelay connection
  */
-router.post('/twiml', async (req, res) => {
+router.post('/twiml', requireTwilioSignature, async (req, res) => {
   try {
     console.log(' POST /api/outbound/twiml');
 
@@ -72,12 +160,38 @@ router.post('/twiml', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/outbound/amd
+ * Webhook endpoint for asynchronous answering machine detection results
+ * Sends the call to the agent or leaves a voicemail
+ */
+router.post('/amd', requireTwilioSignature, async (req, res) => {
+  try {
+    console.log(` POST /api/outbound/amd (${req.body.AnsweredBy})`);
+
+    // Merge query params (context ID) and body params
+    await handleAmdCallback({
+      ...req.query,
+      ...req.body
+    });
+
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error(' Error handling answering machine detection:', error);
+
+    res.status(500).json({
+      error: 'Failed to process answering machine detection',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/outbound/status
  * Webhook endpoint for call status callbacks
  * Logs call status updates from Twilio
  */
-router.post('/status', async (req, res) => {
+router.post('/status', requireTwilioSignature, async (req, res) => {
   try {
     if (req.body.CallStatus) {
       console.log(` POST /api/outbound/status (${req.body.CallStatus})`);
@@ -0,0 +1,198 @@
+import express from 'express';
+import { requireApiKey, isFromNumberAllowed, isAgentAllowed } from '../middleware/apiKeyAuth.js';
+import { isValidE164 } from '../services/twilioClient.js';
+import { validateOutboundContext } from '../services/outboundContext.js';
+import { CallRecordStore } from '../services/callRecords.js';
+import { CallScheduler, resolveScheduleTime } from '../services/callScheduler.js';
+
+const router = express.Router();
+
+// Every endpoint requires an outbound API key; keys see the scheduled calls from their own numbers
+router.use(requireApiKey);
+
+/**
+ * Find a scheduled call from one of the key's numbers, or answer 404
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @returns {Promise<import('../services/callScheduler.js').ScheduledCall | null>}
+ */
+async function findOwnCall(req, res) {
+  const call = await CallScheduler.getInstance().get(req.params.id);
+  if (!call || !isFromNumberAllowed(req.apiKey, call.from)) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: `Scheduled call ${req.params.id} not found`
+    });
+    return null;
+  }
+  return call;
+}
+
+/**
+ * POST /api/scheduled-calls
+ * Schedule an outbound call
+ * Request body: {
+ *   "to": "+14155551212", "from": "+15551234567",
+ *   "at": "2025-03-04T09:30:00-05:00"  (or "delayMinutes": 90),
+ *   "context": { "purpose", "customer", "greeting", "agentId", "voicemail" },
+ *   "amd": true,
+ *   "callSid": "CA..."  (earlier call whose conversation the agent resumes)
+ * }
+ */
+router.post('/', async (req, res) => {
+  const { to, from, at, delayMinutes, context, amd, callSid } = req.body || {};
+
+  try {
+    console.log(` POST /api/scheduled-calls (key: ${req.apiKey.id})`);
+
+    if (!isValidE164(to) || !isValidE164(from)) {
+      return res.status(400).json({
+        error: 'Invalid phone number',
+        message: 'Both "to" and "from" must be in E.164 format (e.g., +14155551212)'
+      });
+    }
+
+    if (!isFromNumberAllowed(req.apiKey, from)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key may not place calls from ${from}`
+      });
+    }
+
+    const { time, problem } = resolveScheduleTime({ at, delayMinutes });
+    if (problem) {
+      return res.status(400).json({
+        error: 'Invalid time',
+        message: problem
+      });
+    }
+
+    const contextProblem = context === undefined ? null : validateOutboundContext(context);
+    if (contextProblem) {
+      return res.status(400).json({
+        error: 'Invalid context',
+        message: contextProblem
+      });
+    }
+
+    if (context?.agentId && !isAgentAllowed(req.apiKey, context.agentId)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key may not use agent ${context.agentId}`
+      });
+    }
+
+    if (amd !== undefined && typeof amd !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid amd',
+        message: '"amd" must be true or false'
+      });
+    }
+
+    // Follow up on an earlier call: the agent resumes its thread
+    let callback;
+    if (callSid !== undefined) {
+      const record = typeof callSid === 'string' ? await CallRecordStore.getInstance().get(callSid) : null;
+      const numbers = req.apiKey.fromNumbers;
+      if (!record || !(numbers.includes('*') || numbers.includes(record.from) || numbers.includes(record.to))) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Call ${callSid} not found`
+        });
+      }
+      callback = {
+        callSid,
+        threadId: record.threadId,
+        reason: context?.purpose,
+        requestedAt: new Date().toISOString()
+      };
+    }
+
+    const call = await CallScheduler.getInstance().schedule({
+      to,
+      from,
+      time,
+      context: callback ? { ...context, callback } : context,
+      amd,
+      source: 'api',
+      keyId: req.apiKey.id,
+      originCallSid: callSid
+    });
+
+    res.status(201).json(call);
+  } catch (error) {
+    console.error(' Error scheduling call:', error);
+
+    res.status(500).json({
+      error: 'Failed to schedule call',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scheduled-calls
+ * Scheduled calls from the key's numbers (including agent callbacks), soonest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const calls = await CallScheduler.getInstance().list(req.apiKey.fromNumbers);
+    res.json({ calls, count: calls.length });
+  } catch (error) {
+    console.error(' Error listing scheduled calls:', error);
+
+    res.status(500).json({
+      error: 'Failed to list scheduled calls',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scheduled-calls/:id
+ * A scheduled call and its outcome
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const call = await findOwnCall(req, res);
+    if (!call) return;
+
+    res.json(call);
+  } catch (error) {
+    console.error(' Error reading scheduled call:', error);
+
+    res.status(500).json({
+      error: 'Failed to read scheduled call',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/scheduled-calls/:id
+ * Cancel a call that has not been placed yet
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const call = await findOwnCall(req, res);
+    if (!call) return;
+
+    if (call.status !== 'scheduled') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Scheduled call is ${call.status}`
+      });
+    }
+
+    res.json(await CallScheduler.getInstance().cancel(call.id));
+  } catch (error) {
+    console.error(' Error canceling scheduled call:', error);
+
+    res.status(500).json({
+      error: 'Failed to cancel scheduled call',
+      message: error.message
+    });
+  }
+});
+
+export default router;
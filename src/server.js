@@ -3,15 +3,30 @@ import { WebSocketServer } from 'ws';
 import http from 'http';
 import { config } from './config.js';
 import { initializeWebSocketHandlers } from './services/websocketService.js';
+import { checkAzureCredential } from './services/azureCredential.js';
+import { verifyTwilioUpgrade } from './middleware/twilioSignature.js';
+import { registerTools } from './tools/index.js';
 import callRoutes from './routes/callRoutes.js';
 import connectActionRoutes from './routes/connectActionRoutes.js';
 import outboundCallRoutes from './routes/outboundCallRoutes.js';
+import campaignRoutes from './routes/campaignRoutes.js';
+import callRecordRoutes from './routes/callRecordRoutes.js';
+import complianceRoutes from './routes/complianceRoutes.js';
+import scheduledCallRoutes from './routes/scheduledCallRoutes.js';
+import ivrRoutes from './routes/ivrRoutes.js';
+import { CampaignManager } from './services/campaignManager.js';
+import { CallScheduler } from './services/callScheduler.js';
+
+// Register local function tools for the agent
+registerTools();
 
 // Create Express app
 const app = express();
 const port = config.server.port;
 
 // Middleware
+// Campaign contact lists are larger than the default 100kb JSON limit
+app.use('/api/campaigns', express.json({ limit: '5mb' }));
 // IMPORTANT: urlencoded parser MUST come before json parser for Twilio webhooks
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
@@ -24,11 +39,16 @@ app.use((req, res, next) => {
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+// Reports whether the Azure credential can obtain a token; stays 200 so a credential
+// problem shows up as 'degraded' instead of restarting the container
+app.get('/health', async (req, res) => {
+  const azure = config.agent.backend === 'azure' ? await checkAzureCredential() : undefined;
+
   res.json({
-    status: 'healthy',
+    status: azure && !azure.ok ? 'degraded' : 'healthy',
     service: 'twilio-azure-conversation-relay',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    azure
   });
 });
 
@@ -36,6 +56,11 @@ app.get('/health', (req, res) => {
 app.use('/api', callRoutes);
 app.use('/api', connectActionRoutes);
 app.use('/api/outbound', outboundCallRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/calls', callRecordRoutes);
+app.use('/api/compliance', complianceRoutes);
+app.use('/api/scheduled-calls', scheduledCallRoutes);
+app.use('/api/ivr', ivrRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -46,9 +71,16 @@ app.get('/', (req, res) => {
       health: '/health',
       incomingCall: 'POST /api/incoming-call',
       connectAction: 'POST /api/action',
+      ivrMenu: 'POST /api/ivr/menu',
+      ivrVoicemail: 'POST /api/ivr/voicemail',
       outboundInitiate: 'POST /api/outbound/initiate',
       outboundTwiml: 'POST /api/outbound/twiml',
       outboundStatus: 'POST /api/outbound/status',
+      outboundAmd: 'POST /api/outbound/amd',
+      campaigns: 'GET|POST /api/campaigns',
+      calls: 'GET /api/calls',
+      compliance: 'GET|POST|DELETE /api/compliance/*',
+      scheduledCalls: 'GET|POST|DELETE /api/scheduled-calls',
       websocket: 'wss://' + (config.ngrok.domain || 'localhost:' + port)
     }
   });
@@ -76,7 +108,8 @@ app.use((err, req, res, next) => {
 const server = http.createServer(app);
 
 // Create WebSocket server
-const wss = new WebSocketServer({ server });
+// Upgrades must carry Twilio's signature, like the webhooks
+const wss = new WebSocketServer({ server, verifyClient: verifyTwilioUpgrade });
 
 // Initialize WebSocket handlers
 initializeWebSocketHandlers(wss);
@@ -113,23 +146,63 @@ server.listen(port, () => {
     console.log('');
   }
 
-  console.log('Azure AI Configuration:');
-  console.log(`   Project: ${config.azure.projectId}`);
-  console.log(`   Agent: ${config.azure.agentId}`);
+  if (config.agent.backend === 'azure') {
+    console.log('Azure AI Configuration:');
+    console.log(`   Project: ${config.azure.projectId}`);
+    console.log(`   Agent: ${config.azure.agentId}`);
+    console.log(`   Auth Mode: ${config.azure.authMode}`);
+  } else {
+    console.log('Agent Backend:');
+    console.log(`   Backend: ${config.agent.backend}`);
+    console.log(`   Script: ${config.agent.scriptPath}`);
+  }
   console.log('');
 
   console.log('Twilio Configuration:');
   console.log(`   Account SID: ${config.twilio.accountSid}`);
   console.log(`   Workflow SID: ${config.twilio.workflowSid}`);
+  console.log(`   Signature Validation: ${config.twilio.validateSignatures ? 'enabled' : 'DISABLED (development only)'}`);
   console.log('');
 
   console.log('Language Configuration:');
-  console.log(`   Locale: ${config.language.locale_code} (${config.language.voice})`);
+  for (const language of Object.values(config.languages)) {
+    const isDefault = language.code === config.language.code ? ' [default]' : '';
+    console.log(`   ${language.name}: ${language.locale_code} (${language.voice})${isDefault}`);
+  }
   console.log('');
 
   console.log('Server ready to accept connections');
   console.log('');
   console.log('');
+
+  // Resume campaigns that were running before a restart
+  CampaignManager.getInstance().init().then(resumed => {
+    if (resumed > 0) {
+      console.log(`✓ Resumed ${resumed} running campaign(s)`);
+    }
+  }).catch(error => {
+    console.error('ERROR: Could not load campaigns:', error.message);
+  });
+
+  // Place scheduled calls and callbacks that are due, including those missed while stopped
+  CallScheduler.getInstance().init().then(waiting => {
+    if (waiting > 0) {
+      console.log(`✓ ${waiting} scheduled call(s) waiting`);
+    }
+  }).catch(error => {
+    console.error('ERROR: Could not load scheduled calls:', error.message);
+  });
+
+  // Verify the Azure credential up front instead of on the first call
+  if (config.agent.backend === 'azure') {
+    checkAzureCredential({ force: true }).then(status => {
+      if (status.ok) {
+        console.log(`✓ Azure credential (${status.mode}) ready${status.expiresOn ? `, token expires ${status.expiresOn}` : ''}`);
+      } else {
+        console.warn(`WARNING: Azure credential (${status.mode}) could not obtain a token: ${status.error || 'no API key'}`);
+      }
+    });
+  }
 });
 
 // Graceful shutdown
@@ -0,0 +1,396 @@
+import { EventEmitter } from 'events';
+import { ToolRegistry } from './toolRegistry.js';
+import { config, findLanguage } from '../config.js';
+
+/**
+ * Agent Backend
+ * Base class for the conversational backends behind a ConversationRelay session
+ * Implementations differ in how they generate responses, but share the event contract,
+ * tool execution and interruption bookkeeping defined here
+ *
+ * Events emitted:
+ * - 'textDelta': Partial text streaming (token: string)
+ * - 'textComplete': Final complete text (content: string)
+ * - 'toolCall': Tool execution requested (toolCall: Object)
+ * - 'runComplete': Agent run completed
+ * - 'error': Error occurred (error: Error)
+ * - 'thinking': Agent is thinking/processing
+ * - 'languageSwitch': Language switch requested (data: { targetLanguage: string })
+ * - 'handoff': Human agent handoff requested (data: Object)
+ *
+ * Subclasses must implement createThread(), addMessage() and streamResponse()
+ */
+export class AgentBackend extends EventEmitter {
+  /**
+   * @param {string} sessionId - Unique session identifier (callSid)
+   */
+  constructor(sessionId) {
+    super();
+    this.sessionId = sessionId;
+    this.threadId = null;
+    this.isStreaming = false;
+
+    /** @type {import('../types/index.js').SessionContext} */
+    this.sessionContext = { callSid: sessionId };
+
+    /** @type {ToolRegistry} */
+    this.toolRegistry = ToolRegistry.getInstance();
+
+    /** @type {{ utteranceUntilInterrupt: string } | null} - Interruption to record before the next turn */
+    this.pendingInterruption = null;
+
+    /** @type {Promise<void> | null} - In-flight run cancellation */
+    this._cancelPromise = null;
+  }
+
+  /**
+   * Create a new thread for this conversation
+   * @abstract
+   * @param {Object} [metadata] - Optional thread metadata
+   * @returns {Promise<string>} Thread ID
+   */
+  async createThread(metadata = {}) {
+    throw new Error(`${this.constructor.name} does not implement createThread()`);
+  }
+
+  /**
+   * Add a user message to the thread
+   * @abstract
+   * @param {string} content - Message content
+   * @returns {Promise<Object>} Message object
+   */
+  async addMessage(content) {
+    throw new Error(`${this.constructor.name} does not implement addMessage()`);
+  }
+
+  /**
+   * Generate and stream the agent response for the thread
+   * @abstract
+   * @returns {Promise<void>}
+   */
+  async streamResponse() {
+    throw new Error(`${this.constructor.name} does not implement streamResponse()`);
+  }
+
+  /**
+   * Merge values into the session context passed to tool handlers
+   * @param {Partial<import('../types/index.js').SessionContext>} context - Context values (callSid, from, to, ...)
+   */
+  setSessionContext(context) {
+    this.sessionContext = { ...this.sessionContext, ...context };
+  }
+
+  /**
+   * Get the call details from the session context
+   * @returns {import('../types/index.js').CallContext}
+   */
+  getCallContext() {
+    const { from, to, callerName, direction, customParameters } = this.sessionContext;
+    return { from, to, callerName, direction, customParameters: customParameters || {} };
+  }
+
+  /**
+   * Get the call details as flat thread metadata
+   * Custom parameters are prefixed with 'param_' so they cannot replace the call fields
+   * @returns {Object<string, string>}
+   */
+  getCallMetadata() {
+    const { customParameters, ...call } = this.getCallContext();
+    const metadata = {};
+
+    for (const [key, value] of Object.entries(call)) {
+      if (value) metadata[key] = String(value);
+    }
+    for (const [name, value] of Object.entries(customParameters)) {
+      // The IVR selection is JSON; its path is enough
+      if (name === 'ivr') continue;
+      metadata[`param_${name}`] = String(value);
+    }
+    if (this.sessionContext.ivr) {
+      metadata.ivrPath = this.sessionContext.ivr.path.join(' > ');
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Set existing thread ID (for reconnection scenarios)
+   * @param {string} threadId - Existing thread ID
+   */
+  setThreadId(threadId) {
+    this.threadId = threadId;
+    if (config.debug) {
+      console.log(` [${this.sessionId}] Thread ID set: ${threadId}`);
+    }
+  }
+
+  /**
+   * Execute a single tool call requested by the agent
+   * Registered local tools are run through the tool registry; special tools
+   * (language switch, handoff) are acknowledged after their events are emitted
+   * @protected
+   * @param {Object} toolCall - Tool call ({ id, function: { name, arguments } })
+   * @returns {Promise<{toolCallId: string, output: string}>} Tool output to submit
+   */
+  async _executeToolCall(toolCall) {
+    const functionName = toolCall.function?.name;
+
+    if (config.debug) {
+      console.log(` [${this.sessionId}] Tool call: ${functionName}`);
+    }
+
+    this.emit('toolCall', {
+      id: toolCall.id,
+      name: functionName,
+      arguments: toolCall.function?.arguments
+    });
+
+    // Check for special tool calls
+    const specialOutput = this._handleSpecialToolCalls(toolCall);
+
+    let output;
+    try {
+      if (this.toolRegistry.has(functionName)) {
+        output = await this.toolRegistry.execute(
+          functionName,
+          parseToolArguments(toolCall.function?.arguments),
+          { ...this.sessionContext, sessionId: this.sessionId, threadId: this.threadId }
+        );
+      } else if (specialOutput) {
+        output = JSON.stringify(specialOutput);
+      } else {
+        throw new Error(`Unknown tool: ${functionName}`);
+      }
+    } catch (error) {
+      console.error(` [${this.sessionId}] Tool ${functionName} failed:`, error.message);
+      output = JSON.stringify({ success: false, error: error.message });
+    }
+
+    return { toolCallId: toolCall.id, output };
+  }
+
+  /**
+   * Handle special tool calls (language switch, handoff, etc.)
+   * Event listeners run synchronously, so the output reflects what they did
+   * @protected
+   * @param {Object} toolCall - Tool call object
+   * @returns {Object | null} Tool output for special tools, null otherwise
+   */
+  _handleSpecialToolCalls(toolCall) {
+    const functionName = toolCall.function?.name;
+
+    if (!functionName) return null;
+
+    try {
+      const args = parseToolArguments(toolCall.function.arguments);
+
+      // Check for language switching
+      if (functionName === 'switch_language' || functionName === 'change_language') {
+        const targetLanguage = args.targetLanguage || args.language;
+        if (targetLanguage) {
+          console.log(` [${this.sessionId}] Language switch requested: ${targetLanguage}`);
+          this.emit('languageSwitch', { targetLanguage });
+        }
+
+        const requested = findLanguage(targetLanguage);
+        const active = findLanguage(this.sessionContext.language);
+        return {
+          success: Boolean(requested && active && requested.code === active.code),
+          activeLanguage: active ? `${active.name} (${active.locale_code})` : null,
+          supportedLanguages: Object.values(config.languages).map(language => language.name)
+        };
+      }
+
+      // Check for human agent handoff
+      if (functionName === 'human_agent_handoff' || functionName === 'transfer_to_agent' || functionName === 'escalate') {
+        console.log(` [${this.sessionId}] Human agent handoff requested`);
+        this.emit('handoff', args);
+        return { success: true };
+      }
+    } catch (error) {
+      console.error(` [${this.sessionId}] Error handling tool call:`, error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Build additional instructions for the next run from the session context
+   * @returns {string} Instructions appended to the agent's own instructions (empty if none)
+   */
+  getRunInstructions() {
+    const instructions = [];
+
+    const { from, to, callerName, direction, customParameters } = this.getCallContext();
+    if (direction?.startsWith('outbound')) {
+      instructions.push(`This is an outbound call you placed to ${to || 'an unknown number'}${from ? ` from ${from}` : ''}.`);
+    } else if (from || to) {
+      const caller = callerName ? `${callerName} (${from || 'unknown number'})` : from || 'an unknown number';
+      instructions.push(`The caller is ${caller}${to ? ` and dialed ${to}` : ''}.`);
+    }
+
+    const purpose = this.sessionContext.outboundContext?.purpose;
+    if (purpose) {
+      instructions.push(`Purpose of this call: ${purpose}.`);
+    }
+
+    const ivrPath = this.sessionContext.ivr?.path;
+    if (ivrPath?.length) {
+      instructions.push(`The caller came through the phone menu and chose: ${ivrPath.join(' > ')}.`);
+    }
+
+    // The IVR selection is described above
+    const parameters = Object.entries(customParameters).filter(([name]) => name !== 'ivr');
+    if (parameters.length > 0) {
+      instructions.push(`Call parameters: ${parameters.map(([name, value]) => `${name}=${value}`).join(', ')}.`);
+    }
+
+    const language = findLanguage(this.sessionContext.language);
+    if (language) {
+      instructions.push(
+        `The caller's active language is ${language.name} (${language.locale_code}). ` +
+        `Respond only in ${language.name}.`
+      );
+    }
+
+    return instructions.join('\n');
+  }
+
+  /**
+   * Stop current streaming (for user interruptions)
+   */
+  stopStreaming() {
+    if (this.isStreaming) {
+      if (config.debug) {
+        console.log(` [${this.sessionId}] Stopping stream...`);
+      }
+      this.isStreaming = false;
+    }
+  }
+
+  /**
+   * Handle a caller interruption
+   * Stops streaming and records what the caller actually heard so the next turn
+   * can tell the agent that the rest of its reply was never spoken
+   * @param {Object} [interruption] - Interrupt message from Twilio
+   * @param {string} [interruption.utteranceUntilInterrupt] - Text spoken before the interrupt
+   * @param {string} [interruption.durationUntilInterruptMs] - Duration until interrupt in ms
+   * @returns {Promise<void>}
+   */
+  async interrupt({ utteranceUntilInterrupt = '', durationUntilInterruptMs } = {}) {
+    this.stopStreaming();
+
+    if (config.debug) {
+      console.log(` [${this.sessionId}] Interrupted after ${durationUntilInterruptMs || '?'}ms: "${utteranceUntilInterrupt}"`);
+    }
+
+    this.pendingInterruption = { utteranceUntilInterrupt };
+  }
+
+  /**
+   * Add a notice describing the last interruption, if any
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _recordPendingInterruption() {
+    if (!this.pendingInterruption) return;
+
+    const { utteranceUntilInterrupt } = this.pendingInterruption;
+    this.pendingInterruption = null;
+
+    const heard = utteranceUntilInterrupt
+      ? `They only heard: "${utteranceUntilInterrupt}".`
+      : 'They did not hear any of it.';
+
+    await this.addMessage(
+      `SYSTEM NOTICE: The caller interrupted your previous response. ${heard} ` +
+      'Anything after that was not spoken to the caller.'
+    );
+  }
+
+  /**
+   * Process a user message and stream response
+   * @param {string} message - User message
+   * @returns {Promise<void>}
+   */
+  async processMessage(message) {
+    try {
+      // Ensure thread exists (waits for eager creation if still in progress)
+      if (!this.threadId) {
+        await this.createThread();
+      }
+
+      // Wait for an interrupted run to finish cancelling
+      if (this._cancelPromise) {
+        await this._cancelPromise;
+      }
+
+      // Tell the agent which part of its last reply was actually heard
+      await this._recordPendingInterruption();
+
+      // Add user message
+      await this.addMessage(message);
+
+      // Stream response
+      await this.streamResponse();
+    } catch (error) {
+      console.error(` [${this.sessionId}] Error processing message:`, error);
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get state for persistence
+   * @returns {import('../types/index.js').AgentServiceState} Service state
+   */
+  getState() {
+    return {
+      sessionId: this.sessionId,
+      threadId: this.threadId,
+      language: this.sessionContext.language,
+      call: this.getCallContext(),
+      outboundContext: this.sessionContext.outboundContext,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Restore state (for reconnection)
+   * @param {import('../types/index.js').AgentServiceState} state - Saved state
+   */
+  restoreState(state) {
+    if (state.outboundContext) {
+      this.setSessionContext({ outboundContext: state.outboundContext });
+    }
+    if (state.threadId) {
+      this.setThreadId(state.threadId);
+      if (config.debug) {
+        console.log(` [${this.sessionId}] State restored with thread ${state.threadId}`);
+      }
+    }
+  }
+
+  /**
+   * Cleanup resources
+   */
+  cleanup() {
+    this.stopStreaming();
+    this.removeAllListeners();
+    if (config.debug) {
+      console.log(` [${this.sessionId}] Service cleaned up`);
+    }
+  }
+}
+
+/**
+ * Parse tool call arguments (Azure sends them as a JSON string)
+ * @param {string | Object} args - Raw tool arguments
+ * @returns {Object} Parsed arguments
+ */
+export function parseToolArguments(args) {
+  if (!args) return {};
+  return typeof args === 'string' ? JSON.parse(args) : args;
+}
+
+export default AgentBackend;
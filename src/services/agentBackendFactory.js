@@ -0,0 +1,30 @@
+import { AzureAgentService } from './azureAgentService.js';
+import { ScriptedAgentService } from './scriptedAgentService.js';
+import { config } from '../config.js';
+
+/**
+ * Available agent backends, selected with AGENT_BACKEND
+ * @type {Object<string, typeof import('./agentBackend.js').AgentBackend>}
+ */
+const backends = {
+  azure: AzureAgentService,
+  scripted: ScriptedAgentService
+};
+
+/**
+ * Create the configured agent backend for a session
+ * @param {string} sessionId - Unique session identifier (callSid)
+ * @returns {import('./agentBackend.js').AgentBackend}
+ * @throws {Error} if the configured backend is unknown
+ */
+export function createAgentBackend(sessionId) {
+  const Backend = backends[config.agent.backend];
+
+  if (!Backend) {
+    throw new Error(`Unknown agent backend: ${config.agent.backend}`);
+  }
+
+  return new Backend(sessionId);
+}
+
+export default { createAgentBackend };
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+
+/**
+ * Audit Log
+ * Append-only JSON Lines record of outbound call requests: who (API key) asked
+ * to call whom from which number, and whether a call was created. Changes to the
+ * do-not-call list and consent records are logged too.
+ *
+ * Each line is one entry. Writes are serialized so lines never interleave.
+ * A failed write is logged and does not fail the request (the call already exists).
+ */
+
+/**
+ * Audit log entry
+ * @typedef {Object} AuditEntry
+ * @property {'call.created' | 'call.failed' | 'call.rejected' | 'call.blocked' | 'call.scheduled' | 'dnc.added' | 'dnc.removed' | 'consent.recorded' | 'consent.revoked'} event - What happened
+ * @property {string} [keyId] - API key that made the request
+ * @property {string} [ip] - Client address
+ * @property {string} [from] - Caller ID
+ * @property {string} [to] - Called number
+ * @property {string} [purpose] - Purpose from the call context
+ * @property {string} [callSid] - Twilio call SID (call.created), or the call a callback was booked on (call.scheduled)
+ * @property {string} [contextId] - Saved call context (call.created)
+ * @property {string} [campaignId] - Campaign that placed the call
+ * @property {string} [scheduledCallId] - Scheduled call that placed the call
+ * @property {string} [reason] - Why the request was rejected or blocked (call.rejected, call.blocked), or why a number was added to the do-not-call list
+ * @property {string} [number] - Number whose do-not-call entry or consent changed
+ * @property {string} [error] - Twilio error (call.failed)
+ */
+
+/** @type {Promise<void>} - Pending write */
+let writeQueue = Promise.resolve();
+
+/** @type {Promise<void> | null} */
+let directoryReady = null;
+
+/**
+ * Append an entry to the audit log
+ * @param {AuditEntry} entry - Entry to record (timestamp is added)
+ * @returns {Promise<void>}
+ */
+export function writeAuditEntry(entry) {
+  const file = path.resolve(config.outbound.auditLogPath);
+  const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+
+  writeQueue = writeQueue.then(async () => {
+    try {
+      if (!directoryReady) {
+        directoryReady = fs.mkdir(path.dirname(file), { recursive: true }).then(() => {});
+      }
+      await directoryReady;
+      await fs.appendFile(file, line, 'utf8');
+    } catch (error) {
+      directoryReady = null;
+      console.error(` [AuditLog] Failed to write audit entry (${entry.event}):`, error.message);
+    }
+  });
+
+  return writeQueue;
+}
+
+export default { writeAuditEntry };
@@ -1,24 +1,14 @@
-import { EventEmitter } from 'events';
 import { AgentsClient } from '@azure/ai-agents';
-import { DefaultAzureCredential } from '@azure/identity';
+import { AgentBackend } from './agentBackend.js';
+import { getAgentsClientAuth } from './azureCredential.js';
 import { config } from '../config.js';
 
 /**
  * Azure Agent Service
  * Wraps Azure AI Agents SDK for use with Twilio Conversation Relay
- * Emits events for WebSocket communication
- *
- * Events emitted:
- * - 'textDelta': Partial text streaming (token: string)
- * - 'textComplete': Final complete text (content: string)
- * - 'toolCall': Tool execution detected (toolCall: Object)
- * - 'runComplete': Agent run completed
- * - 'error': Error occurred (error: Error)
- * - 'thinking': Agent is thinking/processing
- * - 'languageSwitch': Language switch requested (language: string)
- * - 'handoff': Human agent handoff requested (data: Object)
+ * Emits the AgentBackend events for WebSocket communication
  */
-export class AzureAgentService extends EventEmitter {
+export class AzureAgentService extends AgentBackend {
   // Shared client instance across all sessions (connection pooling)
   static _sharedClient = null;
   static _clientInitialized = false;
@@ -28,18 +18,29 @@ export class AzureAgentService extends EventEmitter {
    * @param {string} sessionId - Unique session identifier (callSid)
    */
   constructor(sessionId) {
-    super();
-    this.sessionId = sessionId;
-    this.threadId = null;
+    super(sessionId);
     this.client = null;
     this.currentStreamController = null;
-    this.isStreaming = false;
     this._initPromise = null;
 
+    /** @type {string | null} - Run currently generating on the thread */
+    this.activeRunId = null;
+
+    /** @type {Promise<string> | null} - In-flight thread creation */
+    this._threadPromise = null;
+
     // Start initialization but don't await (constructors can't be async)
     this._initPromise = this._initialize();
   }
 
+  /**
+   * Agent answering this call: the outbound call's agent, the agent chosen in the IVR menu, or AGENT_ID
+   * @returns {string}
+   */
+  get agentId() {
+    return this.sessionContext.outboundContext?.agentId || this.sessionContext.ivr?.agentId || config.azure.agentId;
+  }
+
   /**
    * Ensure client is initialized before use
    * @private
@@ -76,8 +77,8 @@ export class AzureAgentService extends EventEmitter {
       // Start initialization (singleton pattern)
       AzureAgentService._initializationPromise = (async () => {
         const fullEndpoint = `${config.azure.projectEndpoint}/api/projects/${config.azure.projectId}`;
-        const credential = new DefaultAzureCredential();
-        const client = new AgentsClient(fullEndpoint, credential);
+        const { credential, clientOptions } = getAgentsClientAuth();
+        const client = new AgentsClient(fullEndpoint, credential, clientOptions);
 
         AzureAgentService._sharedClient = client;
         AzureAgentService._clientInitialized = true;
@@ -85,6 +86,7 @@ export class AzureAgentService extends EventEmitter {
         if (config.debug) {
           console.log(` [${this.sessionId}] Azure Agent Service initialized (shared client created)`);
           console.log(`   Endpoint: ${fullEndpoint}`);
+          console.log(`   Auth mode: ${config.azure.authMode}`);
           console.log(`   Agent ID: ${config.azure.agentId}`);
         }
       })();
@@ -101,10 +103,26 @@ export class AzureAgentService extends EventEmitter {
 
   /**
    * Create a new thread for this conversation
+   * Concurrent calls share the same in-flight creation
    * @param {Object} [metadata] - Optional thread metadata
    * @returns {Promise<string>} Thread ID
    */
   async createThread(metadata = {}) {
+    if (!this._threadPromise) {
+      this._threadPromise = this._createThread(metadata).finally(() => {
+        this._threadPromise = null;
+      });
+    }
+    return this._threadPromise;
+  }
+
+  /**
+   * Create the thread (createThread() deduplicates concurrent calls)
+   * @private
+   * @param {Object} metadata - Thread metadata
+   * @returns {Promise<string>} Thread ID
+   */
+  async _createThread(metadata) {
     await this._ensureInitialized();
 
     try {
@@ -113,12 +131,12 @@ export class AzureAgentService extends EventEmitter {
       }
 
       const thread = await this.client.threads.create({
-        agentId: config.azure.agentId,
-        metadata: {
+        agentId: this.agentId,
+        metadata: toThreadMetadata({
           sessionId: this.sessionId,
           createdAt: new Date().toISOString(),
           ...metadata
-        }
+        })
       });
 
       this.threadId = thread.id;
@@ -135,17 +153,6 @@ export class AzureAgentService extends EventEmitter {
     }
   }
 
-  /**
-   * Set existing thread ID (for reconnection scenarios)
-   * @param {string} threadId - Existing thread ID
-   */
-  setThreadId(threadId) {
-    this.threadId = threadId;
-    if (config.debug) {
-      console.log(` [${this.sessionId}] Thread ID set: ${threadId}`);
-    }
-  }
-
   /**
    * Add a user message to the thread
    * @param {string} content - Message content
@@ -187,8 +194,6 @@ export class AzureAgentService extends EventEmitter {
     }
 
     try {
-      const startTime = Date.now();
-
       if (config.debug) {
         console.log(` [${this.sessionId}] Starting stream for thread ${this.threadId}...`);
       }
@@ -197,267 +202,271 @@ export class AzureAgentService extends EventEmitter {
       this.emit('thinking'); // Notify that agent is processing
 
       // Create the streaming run
-      const stream = await this.client.runs
-        .create(this.threadId, config.azure.agentId)
+      const additionalInstructions = this.getRunInstructions();
+      let stream = await this.client.runs
+        .create(this.threadId, this.agentId, {
+          additionalInstructions: additionalInstructions || undefined
+        })
         .stream();
 
-      let firstTokenTime = null;
-      let responseStartTime = null;
+      // Timing is tracked across tool call round trips within the same turn
+      const timing = {
+        startTime: Date.now(),
+        firstTokenTime: null,
+        responseStartTime: null
+      };
 
-      let currentMessageContent = '';
+      // Each tool output submission returns a new stream for the same run
+      while (stream) {
+        stream = await this._processStream(stream, timing);
+      }
 
-      // Process stream events
-      for await (const event of stream) {
-        // Check if streaming was interrupted
-        if (!this.isStreaming) {
-          if (config.debug) {
-            console.log(` [${this.sessionId}] Stream interrupted by user`);
-          }
-          break;
-        }
+      this.isStreaming = false;
+
+    } catch (error) {
+      console.error(` [${this.sessionId}] Stream error:`, error);
+      this.emit('error', error);
+      this.isStreaming = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Process events from a run stream
+   * @private
+   * @param {AsyncIterable<Object>} stream - Run event stream
+   * @param {Object} timing - Latency tracking for the current turn
+   * @returns {Promise<AsyncIterable<Object> | null>} Continuation stream after tool outputs were submitted, or null when done
+   */
+  async _processStream(stream, timing) {
+    let currentMessageContent = '';
 
+    for await (const event of stream) {
+      // Check if streaming was interrupted
+      if (!this.isStreaming) {
         if (config.debug) {
-          console.log(` [${this.sessionId}] Stream event: ${event.event}`);
+          console.log(` [${this.sessionId}] Stream interrupted by user`);
         }
+        return null;
+      }
 
-        switch (event.event) {
-          case 'thread.run.created':
-          case 'thread.run.queued':
-          case 'thread.run.in_progress':
-            // Run status events - agent is thinking
-            this.emit('thinking');
-            break;
-
-          case 'thread.run.requires_action':
-            // Agent needs to execute tools
-            // Azure handles this automatically, but we log it
-            if (event.data?.required_action?.submit_tool_outputs?.tool_calls) {
-              for (const toolCall of event.data.required_action.submit_tool_outputs.tool_calls) {
-                if (config.debug) {
-                  console.log(` [${this.sessionId}] Tool call: ${toolCall.function?.name}`);
-                }
+      if (config.debug) {
+        console.log(` [${this.sessionId}] Stream event: ${event.event}`);
+      }
 
-                this.emit('toolCall', {
-                  id: toolCall.id,
-                  name: toolCall.function?.name,
-                  arguments: toolCall.function?.arguments
-                });
+      switch (event.event) {
+        case 'thread.run.created':
+          this.activeRunId = event.data?.id || null;
+          this.emit('thinking');
+          break;
 
-                // Check for special tool calls
-                this._handleSpecialToolCalls(toolCall);
-              }
-            }
-            break;
-
-          case 'thread.run.step.created':
-          case 'thread.run.step.in_progress':
-          case 'thread.run.step.completed':
-            // Step events - continue thinking
-            this.emit('thinking');
-            break;
-
-          case 'thread.message.created':
-          case 'thread.message.in_progress':
-            // Message being created
-            break;
-
-          case 'thread.message.delta':
-            // Streaming text content
-            if (event.data?.delta?.content) {
-              for (const contentPart of event.data.delta.content) {
-                if (contentPart.type === 'text' && contentPart.text?.value) {
-                  const token = contentPart.text.value;
-                  currentMessageContent += token;
-
-                  // Track time to first token
-                  if (!firstTokenTime) {
-                    firstTokenTime = Date.now();
-                    responseStartTime = firstTokenTime; // Start tracking response duration
-                    const latency = firstTokenTime - startTime;
-                    console.log(` [${this.sessionId}] ⚡ First token latency: ${latency}ms`);
-                  }
-
-                  // Emit each token for real-time streaming
-                  this.emit('textDelta', token);
-                }
-              }
-            }
-            break;
+        case 'thread.run.queued':
+        case 'thread.run.in_progress':
+          // Run status events - agent is thinking
+          this.emit('thinking');
+          break;
 
-          case 'thread.message.completed':
-            // Message complete
-            if (currentMessageContent) {
-              if (config.debug) {
-                console.log(` [${this.sessionId}] Message completed (preview): ${currentMessageContent.substring(0, 100)}`);
-              }
-              this.emit('textComplete', currentMessageContent);
+        case 'thread.run.requires_action': {
+          // Agent needs local function tools executed before the run can continue
+          const toolCalls = event.data?.requiredAction?.submitToolOutputs?.toolCalls || [];
+          const toolOutputs = await Promise.all(toolCalls.map(toolCall => this._executeToolCall(toolCall)));
 
-              // Log the complete agent response and timing summary
-              if (responseStartTime) {
-                const totalDuration = ((Date.now() - responseStartTime) / 1000).toFixed(1);
-                const firstTokenLatency = firstTokenTime ? firstTokenTime - startTime : 0;
+          if (!this.isStreaming) {
+            return null;
+          }
 
-                // Log the complete response (keep console.log for important conversation log)
-                console.log(` [${this.sessionId}] Agent: ${currentMessageContent}`);
-                console.log(` [${this.sessionId}] Response completed - ${currentMessageContent.length} chars in ${totalDuration}s (first token: ${firstTokenLatency}ms)`);
-              }
-            }
-            break;
+          if (config.debug) {
+            console.log(` [${this.sessionId}] Submitting ${toolOutputs.length} tool output(s) for run ${event.data.id}`);
+          }
 
-          case 'thread.run.completed':
-            // Run completed successfully
-            if (config.debug) {
-              console.log(` [${this.sessionId}] Run completed`);
-            }
-            this.emit('runComplete');
-            break;
-
-          case 'thread.run.failed':
-          case 'thread.run.cancelled':
-          case 'thread.run.expired':
-            // Error states
-            const error = new Error(`Run ${event.event}: ${event.data?.last_error?.message || 'Unknown error'}`);
-            console.error(` [${this.sessionId}]`, error);
-            this.emit('error', error);
-            break;
-
-          case 'error':
-            // Stream error
-            console.error(` [${this.sessionId}] Stream error:`, event.data);
-            this.emit('error', new Error(event.data?.message || 'Stream error'));
-            break;
-
-          case 'done':
-            // Stream complete
-            if (config.debug) {
-              console.log(` [${this.sessionId}] Stream done`);
+          // The current stream ends once the run requires action; continue on the new stream
+          return this.client.runs
+            .submitToolOutputs(this.threadId, event.data.id, toolOutputs)
+            .stream();
+        }
+
+        case 'thread.run.step.created':
+        case 'thread.run.step.in_progress':
+        case 'thread.run.step.completed':
+          // Step events - continue thinking
+          this.emit('thinking');
+          break;
+
+        case 'thread.message.created':
+          // New message being created
+          currentMessageContent = '';
+          break;
+
+        case 'thread.message.in_progress':
+          // Message being created
+          break;
+
+        case 'thread.message.delta':
+          // Streaming text content
+          if (event.data?.delta?.content) {
+            for (const contentPart of event.data.delta.content) {
+              if (contentPart.type === 'text' && contentPart.text?.value) {
+                const token = contentPart.text.value;
+                currentMessageContent += token;
+
+                // Track time to first token
+                if (!timing.firstTokenTime) {
+                  timing.firstTokenTime = Date.now();
+                  timing.responseStartTime = timing.firstTokenTime; // Start tracking response duration
+                  const latency = timing.firstTokenTime - timing.startTime;
+                  console.log(` [${this.sessionId}] ⚡ First token latency: ${latency}ms`);
+                }
+
+                // Emit each token for real-time streaming
+                this.emit('textDelta', token);
+              }
             }
-            break;
+          }
+          break;
 
-          default:
+        case 'thread.message.completed':
+          // Message complete
+          if (currentMessageContent) {
             if (config.debug) {
-              console.log(` [${this.sessionId}] Unhandled event: ${event.event}`);
+              console.log(` [${this.sessionId}] Message completed (preview): ${currentMessageContent.substring(0, 100)}`);
             }
-        }
-      }
+            this.emit('textComplete', currentMessageContent);
 
-      this.isStreaming = false;
+            // Log the complete agent response and timing summary
+            if (timing.responseStartTime) {
+              const totalDuration = ((Date.now() - timing.responseStartTime) / 1000).toFixed(1);
+              const firstTokenLatency = timing.firstTokenTime ? timing.firstTokenTime - timing.startTime : 0;
 
-    } catch (error) {
-      console.error(` [${this.sessionId}] Stream error:`, error);
-      this.emit('error', error);
-      this.isStreaming = false;
-      throw error;
-    }
-  }
+              // Log the complete response (keep console.log for important conversation log)
+              console.log(` [${this.sessionId}] Agent: ${currentMessageContent}`);
+              console.log(` [${this.sessionId}] Response completed - ${currentMessageContent.length} chars in ${totalDuration}s (first token: ${firstTokenLatency}ms)`);
+            }
+          }
+          break;
 
-  /**
-   * Handle special tool calls (language switch, handoff, etc.)
-   * @private
-   * @param {Object} toolCall - Tool call object
-   */
-  _handleSpecialToolCalls(toolCall) {
-    const functionName = toolCall.function?.name;
+        case 'thread.run.completed':
+          // Run completed successfully
+          if (config.debug) {
+            console.log(` [${this.sessionId}] Run completed`);
+          }
+          this.activeRunId = null;
+          this.emit('runComplete');
+          break;
 
-    if (!functionName) return;
+        case 'thread.run.failed':
+        case 'thread.run.cancelled':
+        case 'thread.run.expired': {
+          // Error states
+          this.activeRunId = null;
+          const error = new Error(`Run ${event.event}: ${event.data?.lastError?.message || 'Unknown error'}`);
+          console.error(` [${this.sessionId}]`, error);
+          this.emit('error', error);
+          break;
+        }
 
-    try {
-      // Parse arguments if they're a string
-      let args = toolCall.function.arguments;
-      if (typeof args === 'string') {
-        args = JSON.parse(args);
-      }
+        case 'error':
+          // Stream error
+          console.error(` [${this.sessionId}] Stream error:`, event.data);
+          this.emit('error', new Error(event.data?.message || 'Stream error'));
+          break;
 
-      // Check for language switching
-      if (functionName === 'switch_language' || functionName === 'change_language') {
-        const targetLanguage = args.targetLanguage || args.language;
-        if (targetLanguage) {
-          console.log(` [${this.sessionId}] Language switch requested: ${targetLanguage}`);
-          this.emit('languageSwitch', { targetLanguage });
-        }
-      }
+        case 'done':
+          // Stream complete
+          if (config.debug) {
+            console.log(` [${this.sessionId}] Stream done`);
+          }
+          break;
 
-      // Check for human agent handoff
-      if (functionName === 'human_agent_handoff' || functionName === 'transfer_to_agent' || functionName === 'escalate') {
-        console.log(` [${this.sessionId}] Human agent handoff requested`);
-        this.emit('handoff', args);
+        default:
+          if (config.debug) {
+            console.log(` [${this.sessionId}] Unhandled event: ${event.event}`);
+          }
       }
-    } catch (error) {
-      console.error(` [${this.sessionId}] Error handling tool call:`, error);
     }
-  }
 
-  /**
-   * Stop current streaming (for user interruptions)
-   */
-  stopStreaming() {
-    if (this.isStreaming) {
-      if (config.debug) {
-        console.log(` [${this.sessionId}] Stopping stream...`);
-      }
-      this.isStreaming = false;
-    }
+    return null;
   }
 
   /**
-   * Process a user message and stream response
-   * @param {string} message - User message
+   * Handle a caller interruption
+   * Also cancels the active run; what the caller heard reaches the model through the base class.
+   * The interrupted assistant message stays on the Azure thread in full (messages cannot be
+   * shortened), so the thread history shows the whole reply followed by that notice.
+   * @param {Object} [interruption] - Interrupt message from Twilio
+   * @param {string} [interruption.utteranceUntilInterrupt] - Text spoken before the interrupt
+   * @param {string} [interruption.durationUntilInterruptMs] - Duration until interrupt in ms
    * @returns {Promise<void>}
    */
-  async processMessage(message) {
-    try {
-      // Ensure thread exists
-      if (!this.threadId) {
-        await this.createThread();
+  async interrupt(interruption = {}) {
+    await super.interrupt(interruption);
+
+    const runId = this.activeRunId;
+    this.activeRunId = null;
+
+    this._cancelPromise = (async () => {
+      await this._ensureInitialized();
+
+      if (runId && this.threadId) {
+        try {
+          await this.client.runs.cancel(this.threadId, runId);
+          await this._waitForRunToStop(runId);
+          console.log(` [${this.sessionId}] Run ${runId} cancelled after interruption`);
+        } catch (error) {
+          // The run may have finished generating before the caller interrupted
+          if (config.debug) {
+            console.log(` [${this.sessionId}] Could not cancel run ${runId}: ${error.message}`);
+          }
+        }
       }
+    })();
 
-      // Add user message
-      await this.addMessage(message);
-
-      // Stream response
-      await this.streamResponse();
-    } catch (error) {
-      console.error(` [${this.sessionId}] Error processing message:`, error);
-      this.emit('error', error);
-      throw error;
+    try {
+      await this._cancelPromise;
+    } finally {
+      this._cancelPromise = null;
     }
   }
 
   /**
-   * Get state for persistence
-   * @returns {Object} Service state
+   * Wait until a cancelled run reaches a terminal state
+   * Azure rejects new messages while a run is still cancelling
+   * @private
+   * @param {string} runId - Run ID
+   * @param {number} [timeoutMs] - Maximum time to wait
+   * @returns {Promise<void>}
    */
-  getState() {
-    return {
-      sessionId: this.sessionId,
-      threadId: this.threadId,
-      timestamp: Date.now()
-    };
-  }
+  async _waitForRunToStop(runId, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
 
-  /**
-   * Restore state (for reconnection)
-   * @param {Object} state - Saved state
-   */
-  restoreState(state) {
-    if (state.threadId) {
-      this.setThreadId(state.threadId);
-      if (config.debug) {
-        console.log(` [${this.sessionId}] State restored with thread ${state.threadId}`);
+    while (Date.now() < deadline) {
+      const run = await this.client.runs.get(this.threadId, runId);
+      if (!['queued', 'in_progress', 'requires_action', 'cancelling'].includes(run.status)) {
+        return;
       }
+      await new Promise(resolve => setTimeout(resolve, 250));
     }
+
+    console.warn(` [${this.sessionId}] Run ${runId} still active ${timeoutMs}ms after cancellation`);
   }
+}
 
-  /**
-   * Cleanup resources
-   */
-  cleanup() {
-    this.stopStreaming();
-    this.removeAllListeners();
-    if (config.debug) {
-      console.log(` [${this.sessionId}] Service cleaned up`);
-    }
+/**
+ * Fit metadata into Azure's thread metadata limits
+ * (at most 16 string pairs, keys up to 64 and values up to 512 characters)
+ * Entries beyond the limit are dropped in order
+ * @param {Object<string, any>} metadata - Metadata
+ * @returns {Object<string, string>}
+ */
+function toThreadMetadata(metadata) {
+  const entries = Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key.slice(0, 64), String(value).slice(0, 512)]);
+
+  if (entries.length > 16) {
+    console.warn(` Thread metadata has ${entries.length} entries, keeping the first 16`);
   }
+
+  return Object.fromEntries(entries.slice(0, 16));
 }
 
 export default AzureAgentService;
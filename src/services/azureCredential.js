@@ -0,0 +1,158 @@
+import {
+  ClientSecretCredential,
+  DefaultAzureCredential,
+  ManagedIdentityCredential,
+  WorkloadIdentityCredential
+} from '@azure/identity';
+import { config } from '../config.js';
+
+/**
+ * Azure Credential
+ * Builds the credential the Azure AI Agents client authenticates with, from AZURE_AUTH_MODE:
+ * - default: DefaultAzureCredential (az login, environment, managed identity, ...)
+ * - client-secret: service principal (AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET)
+ * - managed-identity: system-assigned, or user-assigned with AZURE_CLIENT_ID
+ * - workload-identity: federated token (AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_FEDERATED_TOKEN_FILE)
+ * - api-key: AZURE_API_KEY sent in a request header instead of a token
+ *
+ * The credential is created once and shared, so the client and health checks use the same token cache
+ */
+
+/** Token scope used by the Azure AI Agents client */
+export const AZURE_AI_SCOPE = 'https://ai.azure.com/.default';
+
+/** How long a credential check result is reused (health checks run often) */
+const CHECK_CACHE_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} CredentialStatus
+ * @property {string} mode - Configured AZURE_AUTH_MODE
+ * @property {boolean} ok - Whether a token (or API key) is available
+ * @property {string} [expiresOn] - Token expiry (ISO timestamp)
+ * @property {string} [error] - Why no token could be obtained
+ * @property {string} checkedAt - When the check ran (ISO timestamp)
+ */
+
+/** @type {import('@azure/core-auth').TokenCredential | null} */
+let sharedCredential = null;
+
+/** @type {{status: CredentialStatus, expiresAt: number} | null} */
+let lastCheck = null;
+
+/** @type {Promise<CredentialStatus> | null} */
+let checkInProgress = null;
+
+/**
+ * Get the token credential for the configured mode
+ * @returns {import('@azure/core-auth').TokenCredential | null} Credential, or null in api-key mode
+ */
+export function getAzureCredential() {
+  const { authMode, tenantId, clientId, clientSecret, federatedTokenFile } = config.azure;
+
+  if (authMode === 'api-key') return null;
+  if (sharedCredential) return sharedCredential;
+
+  switch (authMode) {
+    case 'client-secret':
+      sharedCredential = new ClientSecretCredential(tenantId, clientId, clientSecret);
+      break;
+
+    case 'managed-identity':
+      // A client ID selects a user-assigned identity; without one the system-assigned identity is used
+      sharedCredential = clientId
+        ? new ManagedIdentityCredential({ clientId })
+        : new ManagedIdentityCredential();
+      break;
+
+    case 'workload-identity':
+      sharedCredential = new WorkloadIdentityCredential({
+        tenantId,
+        clientId,
+        tokenFilePath: federatedTokenFile
+      });
+      break;
+
+    default:
+      sharedCredential = new DefaultAzureCredential();
+  }
+
+  return sharedCredential;
+}
+
+/**
+ * Get the credential and client options for the AgentsClient constructor
+ * @returns {{credential: import('@azure/core-auth').TokenCredential | undefined, clientOptions: Object}}
+ */
+export function getAgentsClientAuth() {
+  if (config.azure.authMode !== 'api-key') {
+    return { credential: getAzureCredential(), clientOptions: {} };
+  }
+
+  // Without a credential the client adds no auth policy; the key is added as a header instead
+  const { apiKey, apiKeyHeader } = config.azure;
+  return {
+    credential: undefined,
+    clientOptions: {
+      additionalPolicies: [{
+        position: 'perCall',
+        policy: {
+          name: 'azureApiKeyPolicy',
+          sendRequest: (request, next) => {
+            request.headers.set(apiKeyHeader, apiKey);
+            return next(request);
+          }
+        }
+      }]
+    }
+  };
+}
+
+/**
+ * Check whether the configured credential can obtain a token
+ * Results are cached for a minute; concurrent checks share one token request
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.force] - Ignore the cached result
+ * @returns {Promise<CredentialStatus>}
+ */
+export async function checkAzureCredential({ force = false } = {}) {
+  if (!force && lastCheck && lastCheck.expiresAt > Date.now()) {
+    return lastCheck.status;
+  }
+
+  if (!checkInProgress) {
+    checkInProgress = requestToken().finally(() => {
+      checkInProgress = null;
+    });
+  }
+
+  const status = await checkInProgress;
+  lastCheck = { status, expiresAt: Date.now() + CHECK_CACHE_MS };
+  return status;
+}
+
+/**
+ * Request a token with the configured credential
+ * @private
+ * @returns {Promise<CredentialStatus>}
+ */
+async function requestToken() {
+  const mode = config.azure.authMode;
+  const checkedAt = new Date().toISOString();
+
+  // API keys cannot be verified without calling the service
+  if (mode === 'api-key') {
+    return { mode, ok: Boolean(config.azure.apiKey), checkedAt };
+  }
+
+  try {
+    const token = await getAzureCredential().getToken(AZURE_AI_SCOPE);
+    if (!token) {
+      return { mode, ok: false, error: 'Credential returned no token', checkedAt };
+    }
+    return { mode, ok: true, expiresOn: new Date(token.expiresOnTimestamp).toISOString(), checkedAt };
+  } catch (error) {
+    return { mode, ok: false, error: error.message.split('\n')[0], checkedAt };
+  }
+}
+
+export default { getAzureCredential, getAgentsClientAuth, checkAzureCredential, AZURE_AI_SCOPE };
@@ -0,0 +1,217 @@
+import { createStore } from './storage/index.js';
+import { config } from '../config.js';
+
+/**
+ * Call Records
+ * One record per call: numbers, direction, status timeline, duration, agent
+ * thread, handoff outcome and errors
+ *
+ * Records are fed by Twilio status callbacks, answering machine detection, the
+ * /api/action webhook and the WebSocket session, and read through GET /api/calls.
+ * They are kept in the store selected with CALL_RECORD_STORE (files under
+ * STATE_STORE_DIR by default) and expire CALL_RECORD_RETENTION_DAYS after their
+ * last update.
+ *
+ * Updates are serialized within a process, and reads wait for pending updates.
+ * A failed write is logged and never fails the call it describes.
+ */
+
+/**
+ * Entry of a call's timeline
+ * @typedef {Object} CallEvent
+ * @property {string} at - Time (ISO 8601)
+ * @property {'status' | 'action' | 'session' | 'amd' | 'scheduler' | 'ivr'} source - Status callback, /api/action webhook, WebSocket session, answering machine detection, call scheduler or IVR menu
+ * @property {string} event - Call status (e.g., 'ringing'), session event (e.g., 'session.started'), detection result (e.g., 'answered-by.human'), callback (e.g., 'callback.scheduled') or menu choice (e.g., 'ivr.selected')
+ * @property {string} [detail] - Extra information (e.g., the ConversationRelay session status)
+ */
+
+/**
+ * Error reported during a call
+ * @typedef {Object} CallError
+ * @property {string} at - Time (ISO 8601)
+ * @property {'status' | 'action' | 'session' | 'amd' | 'scheduler' | 'ivr'} source - Where the error was reported
+ * @property {string} [code] - Twilio error code (e.g., '64105')
+ * @property {string} [message] - Error message
+ */
+
+/**
+ * Call record
+ * @typedef {Object} CallRecord
+ * @property {string} callSid - Twilio call SID
+ * @property {string} [direction] - 'inbound', 'outbound-api', ...
+ * @property {string} [from] - Caller number
+ * @property {string} [to] - Called number
+ * @property {string} [callerName] - Caller name (CNAM)
+ * @property {string} [status] - Latest call status ('ringing', 'in-progress', 'completed', 'busy', ...)
+ * @property {number} [duration] - Call duration in seconds (from the final status callback)
+ * @property {number} [sessionDuration] - ConversationRelay session duration in seconds
+ * @property {string} [threadId] - Agent thread of the conversation
+ * @property {string} [contextId] - Outbound call context
+ * @property {{reason?: string, status: 'requested' | 'enqueued' | 'unavailable'}} [handoff] - Human agent handoff and its outcome
+ * @property {string} [answeredBy] - Answering machine detection result ('human', 'machine_end_beep', 'fax', 'unknown', ...)
+ * @property {{mode?: 'template' | 'agent', text?: string, status: 'sent' | 'failed' | 'skipped'}} [voicemail] - Voicemail left on an answering machine
+ * @property {{path: string[], route: 'agent' | 'queue' | 'voicemail', queue?: string, recordingUrl?: string, recordingDuration?: number}} [ivr] - IVR menu path and where it led
+ * @property {CallEvent[]} timeline - Status changes and session events, oldest first
+ * @property {CallError[]} errors - Errors reported during the call
+ * @property {string} createdAt - First event (ISO 8601)
+ * @property {string} updatedAt - Latest event (ISO 8601)
+ */
+
+/**
+ * Update to a call record
+ * @typedef {Object} CallRecordUpdate
+ * @property {'status' | 'action' | 'session' | 'amd' | 'scheduler' | 'ivr'} source - Where the update comes from
+ * @property {string} [event] - Timeline event to add
+ * @property {string} [detail] - Detail of the timeline event
+ * @property {Partial<CallRecord>} [fields] - Fields to set (undefined values are ignored)
+ * @property {{code?: string, message?: string}} [error] - Error to add
+ */
+
+/**
+ * Filters for listing call records
+ * @typedef {Object} CallRecordFilter
+ * @property {string} [direction] - Direction
+ * @property {string} [status] - Latest status
+ * @property {string} [from] - Caller number
+ * @property {string} [to] - Called number
+ * @property {string} [since] - Calls created at or after (ISO 8601)
+ * @property {string} [until] - Calls created before (ISO 8601)
+ * @property {string[]} [numbers] - Only calls from or to one of these numbers ('*' for any)
+ * @property {number} [limit] - Maximum number of records (newest first)
+ */
+
+/** Call statuses that end a call; later webhooks do not overwrite them */
+const FINAL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+/** Longest timeline and error list kept per call */
+const MAX_TIMELINE_ENTRIES = 200;
+const MAX_ERRORS = 50;
+
+export class CallRecordStore {
+  /** @type {CallRecordStore} */
+  static instance = null;
+
+  /**
+   * @param {import('./storage/index.js').KeyValueStore} [store] - Storage adapter (defaults to CALL_RECORD_STORE)
+   */
+  constructor(store = createStore('calls', config.callRecords.backend)) {
+    /** @type {import('./storage/index.js').KeyValueStore} */
+    this.store = store;
+
+    /** @type {Promise<any>} - Serializes read-modify-write of records */
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {CallRecordStore}
+   */
+  static getInstance() {
+    if (!CallRecordStore.instance) {
+      CallRecordStore.instance = new CallRecordStore();
+    }
+    return CallRecordStore.instance;
+  }
+
+  /**
+   * Add to a call's record (created on the first update)
+   * @param {string} callSid - Twilio call SID
+   * @param {CallRecordUpdate} update - What happened
+   * @returns {Promise<CallRecord | null>} Updated record, or null if it could not be saved
+   */
+  record(callSid, update) {
+    if (!callSid) return Promise.resolve(null);
+
+    const result = this._queue.then(() => this._record(callSid, update)).catch(error => {
+      console.error(` [CallRecords] Failed to record ${update.event || 'update'} for ${callSid}:`, error.message);
+      return null;
+    });
+    this._queue = result;
+    return result;
+  }
+
+  /**
+   * Get a call record
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<CallRecord | null>}
+   */
+  async get(callSid) {
+    await this._queue;
+    return this.store.get(callSid);
+  }
+
+  /**
+   * List call records, newest first
+   * @param {CallRecordFilter} [filter] - Filters
+   * @returns {Promise<CallRecord[]>}
+   */
+  async list({ direction, status, from, to, since, until, numbers, limit = 50 } = {}) {
+    await this._queue;
+    const records = [];
+    for (const callSid of await this.store.keys()) {
+      const record = await this.store.get(callSid);
+      if (!record) continue;
+      if (direction && record.direction !== direction) continue;
+      if (status && record.status !== status) continue;
+      if (from && record.from !== from) continue;
+      if (to && record.to !== to) continue;
+      if (since && record.createdAt < since) continue;
+      if (until && record.createdAt >= until) continue;
+      if (numbers && !numbers.includes('*') && !numbers.includes(record.from) && !numbers.includes(record.to)) continue;
+      records.push(record);
+    }
+
+    return records
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * @private
+   * @param {string} callSid - Twilio call SID
+   * @param {CallRecordUpdate} update - What happened
+   * @returns {Promise<CallRecord>}
+   */
+  async _record(callSid, { source, event, detail, fields = {}, error }) {
+    const now = new Date().toISOString();
+
+    /** @type {CallRecord} */
+    const record = (await this.store.get(callSid)) || {
+      callSid,
+      timeline: [],
+      errors: [],
+      createdAt: now
+    };
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined || value === null || value === '') continue;
+      // A late webhook (e.g., /api/action while the call is still up) must not undo a final status
+      if (key === 'status' && FINAL_STATUSES.includes(record.status)) continue;
+      record[key] = value;
+    }
+
+    if (event) {
+      record.timeline.push({ at: now, source, event, ...(detail ? { detail } : {}) });
+      if (record.timeline.length > MAX_TIMELINE_ENTRIES) {
+        record.timeline.splice(0, record.timeline.length - MAX_TIMELINE_ENTRIES);
+      }
+    }
+
+    if (error && (error.code || error.message)) {
+      record.errors.push({ at: now, source, ...error });
+      if (record.errors.length > MAX_ERRORS) {
+        record.errors.splice(0, record.errors.length - MAX_ERRORS);
+      }
+    }
+
+    record.updatedAt = now;
+
+    // Details first, then the timeline and errors
+    const { timeline, errors, ...details } = record;
+    const saved = { ...details, timeline, errors };
+    await this.store.set(callSid, saved, config.callRecords.retentionMs);
+    return saved;
+  }
+}
+
+export default CallRecordStore;
@@ -0,0 +1,433 @@
+import { randomUUID } from 'crypto';
+import { createStore } from './storage/index.js';
+import { OutboundLimiter } from './outboundLimiter.js';
+import { ComplianceGuard } from './complianceGuard.js';
+import { CallRecordStore } from './callRecords.js';
+import { writeAuditEntry } from './auditLog.js';
+import { initiateOutboundCall } from '../controllers/outboundCallController.js';
+import { config } from '../config.js';
+
+/**
+ * Call Scheduler
+ * Queue of outbound calls to place at a future time: calls scheduled through
+ * /api/scheduled-calls and callbacks booked by the agent (schedule_callback)
+ *
+ * Due calls are placed through initiateOutboundCall, so they pass the compliance
+ * checks; a call blocked by calling hours or an attempt cap waits until it is
+ * allowed. A callback carries the thread of the call it was booked on, so the
+ * agent resumes that conversation.
+ *
+ * The queue is kept in the store selected with SCHEDULED_CALL_STORE (files under
+ * STATE_STORE_DIR by default) and reloaded on start. A call that was being placed
+ * when the server stopped is not placed again, to avoid calling twice. Only one
+ * instance should place scheduled calls: replicas sharing a store would each
+ * place them.
+ */
+
+/**
+ * @typedef {import('./outboundContext.js').OutboundContext} OutboundContext
+ */
+
+/**
+ * Scheduled call
+ * @typedef {Object} ScheduledCall
+ * @property {string} id - Scheduled call ID
+ * @property {'scheduled' | 'dialing' | 'placed' | 'failed' | 'canceled'} status - Queue state
+ * @property {string} to - Number to call
+ * @property {string} from - Caller ID
+ * @property {string} at - When to place the call (ISO 8601)
+ * @property {string} [requestedAt] - Time asked for, when calling hours moved the call (ISO 8601)
+ * @property {OutboundContext} [context] - Call context (with the callback's thread)
+ * @property {boolean} [amd] - Answering machine detection (defaults to OUTBOUND_AMD)
+ * @property {'api' | 'agent'} source - Scheduled through the API or booked by the agent
+ * @property {string} [keyId] - API key that scheduled the call (its limits apply)
+ * @property {string} [originCallSid] - Call on which the callback was booked
+ * @property {string} [callSid] - Placed call
+ * @property {string} [error] - Why the call could not be placed
+ * @property {string} [blockedReason] - Compliance check that blocked the call
+ * @property {string} createdAt - Creation time (ISO 8601)
+ * @property {string} updatedAt - Last change (ISO 8601)
+ */
+
+/** Longest timer; later calls are re-checked when it fires */
+const MAX_TIMER_MS = 60 * 60 * 1000;
+/** Delay before placing a call again after a network or Twilio server error, and the number of tries */
+const ERROR_RETRY_MS = 60 * 1000;
+const MAX_ERROR_RETRIES = 3;
+/** How long placed, failed and canceled calls are kept */
+const FINISHED_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Read the time of a call to schedule
+ * @param {Object} params - Time, as given by the API or the agent
+ * @param {string} [params.at] - ISO 8601 time with a UTC offset
+ * @param {number} [params.delayMinutes] - Minutes from now
+ * @returns {{time?: number, problem?: string}} Time (ms since epoch), or the problem
+ */
+export function resolveScheduleTime({ at, delayMinutes }) {
+  const now = Date.now();
+  let time;
+  if (at !== undefined && delayMinutes !== undefined) {
+    return { problem: 'Give either "at" or "delayMinutes", not both' };
+  } else if (at !== undefined) {
+    time = typeof at === 'string' && /(Z|[+-]\d{2}:?\d{2})$/i.test(at.trim()) ? Date.parse(at) : NaN;
+    if (Number.isNaN(time)) {
+      return { problem: '"at" must be an ISO 8601 time with a UTC offset (e.g., 2025-03-04T09:30:00-05:00)' };
+    }
+  } else if (delayMinutes !== undefined) {
+    if (typeof delayMinutes !== 'number' || !(delayMinutes >= 0)) {
+      return { problem: '"delayMinutes" must be a number of minutes from now' };
+    }
+    time = now + delayMinutes * 60 * 1000;
+  } else {
+    return { problem: 'Give the time of the call as "at" or "delayMinutes"' };
+  }
+
+  // Allow for clock skew and request time
+  if (time < now - 60 * 1000) {
+    return { problem: 'The time of the call is in the past' };
+  }
+  if (time > now + config.scheduler.maxAheadMs) {
+    return { problem: `Calls can be scheduled at most ${config.scheduler.maxAheadMs / 86400000} days ahead` };
+  }
+  return { time: Math.max(time, now) };
+}
+
+export class CallScheduler {
+  /** @type {CallScheduler} */
+  static instance = null;
+
+  /**
+   * @param {import('./storage/index.js').KeyValueStore} [store] - Storage adapter (defaults to SCHEDULED_CALL_STORE)
+   * @param {(params: {to: string, from: string, context?: OutboundContext, amd?: boolean}) => Promise<Object>} [placeCall] - Place a call
+   */
+  constructor(store = createStore('scheduled-calls', config.scheduler.backend), placeCall = initiateOutboundCall) {
+    /** @type {import('./storage/index.js').KeyValueStore} */
+    this.store = store;
+    this.placeCall = placeCall;
+
+    /** @type {Map<string, ScheduledCall>} - Scheduled calls by ID */
+    this.calls = new Map();
+
+    /** @type {Map<string, number>} - Failed tries by scheduled call ID (network and Twilio server errors) */
+    this.errorCounts = new Map();
+
+    /** @type {{timer: NodeJS.Timeout, at: number} | null} - Next dispatch */
+    this.timer = null;
+
+    /** @type {boolean} - Whether due calls are being placed */
+    this.busy = false;
+
+    /** @type {Promise<void> | null} */
+    this._loaded = null;
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {CallScheduler}
+   */
+  static getInstance() {
+    if (!CallScheduler.instance) {
+      CallScheduler.instance = new CallScheduler();
+    }
+    return CallScheduler.instance;
+  }
+
+  /**
+   * Load the queue and start placing due calls (call once at server start)
+   * @returns {Promise<number>} Number of calls waiting
+   */
+  async init() {
+    await this._load();
+
+    for (const call of this.calls.values()) {
+      if (call.status === 'dialing') {
+        this._finish(call, 'failed', { error: 'Interrupted while the call was being placed; not placed again to avoid calling twice' });
+        await this._save(call);
+      }
+    }
+
+    this._arm();
+    return [...this.calls.values()].filter(call => call.status === 'scheduled').length;
+  }
+
+  /**
+   * Schedule a call
+   * Calls whose time is outside the callee's calling hours are moved to the next allowed time
+   * @param {Object} params - Call parameters
+   * @param {string} params.to - Number to call
+   * @param {string} params.from - Caller ID
+   * @param {number} params.time - When to place the call (ms since epoch)
+   * @param {OutboundContext} [params.context] - Call context
+   * @param {boolean} [params.amd] - Answering machine detection
+   * @param {'api' | 'agent'} params.source - Who scheduled the call
+   * @param {string} [params.keyId] - API key that scheduled the call
+   * @param {string} [params.originCallSid] - Call on which a callback was booked
+   * @returns {Promise<ScheduledCall>}
+   */
+  async schedule({ to, from, time, context, amd, source, keyId, originCallSid }) {
+    await this._load();
+
+    const callingTime = ComplianceGuard.getInstance().findCallingTime(to, time) ?? time;
+    const now = new Date().toISOString();
+
+    /** @type {ScheduledCall} */
+    const call = {
+      id: randomUUID(),
+      status: 'scheduled',
+      to,
+      from,
+      at: new Date(callingTime).toISOString(),
+      ...(callingTime !== time ? { requestedAt: new Date(time).toISOString() } : {}),
+      context,
+      amd,
+      source,
+      keyId,
+      originCallSid,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.calls.set(call.id, call);
+    await this._save(call);
+    await writeAuditEntry({ event: 'call.scheduled', keyId, from, to, purpose: context?.purpose, scheduledCallId: call.id, callSid: originCallSid });
+    console.log(` [Scheduler] Call ${call.id} to ${to} scheduled for ${call.at} (${source}${call.requestedAt ? `, asked for ${call.requestedAt}` : ''})`);
+    if (originCallSid) {
+      CallRecordStore.getInstance().record(originCallSid, { source: 'scheduler', event: 'callback.scheduled', detail: call.at });
+    }
+
+    this._arm();
+    return call;
+  }
+
+  /**
+   * Get a scheduled call
+   * @param {string} id - Scheduled call ID
+   * @returns {Promise<ScheduledCall | null>}
+   */
+  async get(id) {
+    await this._load();
+    return this.calls.get(id) || null;
+  }
+
+  /**
+   * List scheduled calls from some numbers, soonest first
+   * @param {string[]} numbers - Caller IDs ('*' for any)
+   * @returns {Promise<ScheduledCall[]>}
+   */
+  async list(numbers) {
+    await this._load();
+    return [...this.calls.values()]
+      .filter(call => numbers.includes('*') || numbers.includes(call.from))
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  /**
+   * Cancel a scheduled call
+   * @param {string} id - Scheduled call ID
+   * @returns {Promise<ScheduledCall>}
+   * @throws {Error} if the call is no longer scheduled
+   */
+  async cancel(id) {
+    const call = await this.get(id);
+    if (!call || call.status !== 'scheduled') {
+      throw new Error(`Scheduled call ${id} is ${call ? call.status : 'unknown'}`);
+    }
+
+    this._finish(call, 'canceled');
+    await this._save(call);
+    console.log(` [Scheduler] Call ${id} to ${call.to} canceled`);
+    this._arm();
+    return call;
+  }
+
+  /**
+   * Load the saved queue once
+   * @private
+   * @returns {Promise<void>}
+   */
+  _load() {
+    if (!this._loaded) {
+      this._loaded = (async () => {
+        for (const id of await this.store.keys()) {
+          const call = await this.store.get(id);
+          if (call) this.calls.set(call.id, call);
+        }
+      })().catch(error => {
+        this._loaded = null;
+        throw error;
+      });
+    }
+    return this._loaded;
+  }
+
+  /**
+   * Set the timer for the next due call
+   * @private
+   */
+  _arm() {
+    if (this.busy) return;
+
+    const times = [...this.calls.values()].filter(call => call.status === 'scheduled').map(call => Date.parse(call.at));
+    if (this.timer) {
+      clearTimeout(this.timer.timer);
+      this.timer = null;
+    }
+    if (times.length === 0) return;
+
+    const at = Math.min(...times);
+    const delayMs = Math.min(Math.max(at - Date.now(), 0), MAX_TIMER_MS);
+    this.timer = { at, timer: setTimeout(() => this._run(), delayMs) };
+  }
+
+  /**
+   * Place every due call, then wait for the next one
+   * @private
+   */
+  async _run() {
+    this.timer = null;
+    this.busy = true;
+    let call;
+    try {
+      while ((call = this._nextDue())) {
+        await this._dispatch(call);
+      }
+    } catch (error) {
+      console.error(' [Scheduler] Error placing scheduled calls:', error);
+      // Failed before it was placed (e.g. the usage store is down): still due, so it would be retried at once
+      if (call?.status === 'scheduled') {
+        this._postpone(call, Date.now() + ERROR_RETRY_MS, error.message);
+      }
+    } finally {
+      this.busy = false;
+      this._arm();
+    }
+  }
+
+  /**
+   * @private
+   * @returns {ScheduledCall | undefined} A due call
+   */
+  _nextDue() {
+    const now = Date.now();
+    return [...this.calls.values()].find(call => call.status === 'scheduled' && Date.parse(call.at) <= now);
+  }
+
+  /**
+   * Place a due call
+   * @private
+   * @param {ScheduledCall} call - Due call
+   */
+  async _dispatch(call) {
+    const audit = { keyId: call.keyId, from: call.from, to: call.to, purpose: call.context?.purpose, scheduledCallId: call.id };
+
+    // Calls scheduled with an API key count against its limits, like campaign calls
+    const apiKey = call.keyId ? config.outbound.apiKeys.find(key => key.id === call.keyId) : null;
+    if (call.keyId) {
+      if (!apiKey) {
+        this._finish(call, 'failed', { error: `API key ${call.keyId} is no longer configured` });
+        await this._save(call);
+        return;
+      }
+      const limit = await OutboundLimiter.getInstance().consume(apiKey);
+      if (!limit.allowed) {
+        this._postpone(call, Date.now() + limit.retryAfterSeconds * 1000, `Waiting for the API key's ${limit.reason === 'daily_cap_reached' ? 'daily cap' : 'rate limit'}`);
+        await this._save(call);
+        return;
+      }
+    }
+
+    call.status = 'dialing';
+    call.updatedAt = new Date().toISOString();
+    await this._save(call);
+    console.log(` [Scheduler] Placing call ${call.id} to ${call.to}`);
+
+    try {
+      const result = await this.placeCall({ to: call.to, from: call.from, context: call.context, amd: call.amd });
+      if (result.blocked) {
+        if (apiKey) {
+          await OutboundLimiter.getInstance().release(apiKey);
+        }
+        await writeAuditEntry({ event: 'call.blocked', ...audit, reason: result.reason });
+        if (result.retryAt) {
+          call.blockedReason = result.reason;
+          this._postpone(call, Date.parse(result.retryAt), result.message);
+        } else {
+          this._finish(call, 'failed', { error: result.message, blockedReason: result.reason });
+        }
+      } else {
+        await writeAuditEntry({ event: 'call.created', ...audit, callSid: result.callSid, contextId: result.contextId });
+        this._finish(call, 'placed', { callSid: result.callSid });
+        this.errorCounts.delete(call.id);
+      }
+    } catch (error) {
+      await writeAuditEntry({ event: 'call.failed', ...audit, error: error.message });
+      // Twilio refuses bad requests (4xx) for good; network and server errors are retried a few times
+      const tries = (this.errorCounts.get(call.id) || 0) + 1;
+      const permanent = error.status >= 400 && error.status < 500;
+      if (permanent || tries >= MAX_ERROR_RETRIES) {
+        this.errorCounts.delete(call.id);
+        this._finish(call, 'failed', { error: error.message });
+      } else {
+        this.errorCounts.set(call.id, tries);
+        this._postpone(call, Date.now() + ERROR_RETRY_MS, error.message);
+      }
+    }
+
+    await this._save(call);
+  }
+
+  /**
+   * Put a call back in the queue for later
+   * @private
+   * @param {ScheduledCall} call - Scheduled call
+   * @param {number} time - New time (ms since epoch)
+   * @param {string} reason - Why it waits
+   */
+  _postpone(call, time, reason) {
+    call.status = 'scheduled';
+    call.at = new Date(time).toISOString();
+    call.error = reason;
+    call.updatedAt = new Date().toISOString();
+    console.warn(` [Scheduler] Call ${call.id} to ${call.to} postponed to ${call.at}: ${reason}`);
+  }
+
+  /**
+   * End a scheduled call
+   * @private
+   * @param {ScheduledCall} call - Scheduled call
+   * @param {'placed' | 'failed' | 'canceled'} status - Final state
+   * @param {{callSid?: string, error?: string, blockedReason?: string}} [details] - Outcome
+   */
+  _finish(call, status, details = {}) {
+    call.status = status;
+    delete call.error;
+    delete call.blockedReason;
+    Object.assign(call, details);
+    call.updatedAt = new Date().toISOString();
+    if (status === 'failed') {
+      console.warn(` [Scheduler] Call ${call.id} to ${call.to} failed: ${call.error}`);
+    }
+
+    // The call on which a callback was booked shows how the callback went
+    if (call.originCallSid && status !== 'canceled') {
+      CallRecordStore.getInstance().record(call.originCallSid, {
+        source: 'scheduler',
+        event: `callback.${status}`,
+        detail: call.callSid || call.error
+      });
+    }
+  }
+
+  /**
+   * @private
+   * @param {ScheduledCall} call - Scheduled call
+   * @returns {Promise<void>}
+   */
+  _save(call) {
+    const finished = ['placed', 'failed', 'canceled'].includes(call.status);
+    return this.store.set(call.id, call, finished ? FINISHED_TTL_MS : undefined);
+  }
+}
+
+export default CallScheduler;
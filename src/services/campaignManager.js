@@ -0,0 +1,692 @@
+import { randomUUID } from 'crypto';
+import { createStore } from './storage/index.js';
+import { OutboundLimiter } from './outboundLimiter.js';
+import { writeAuditEntry } from './auditLog.js';
+import { twilioClient } from './twilioClient.js';
+import { initiateOutboundCall, onCallStatus } from '../controllers/outboundCallController.js';
+import { config } from '../config.js';
+
+/**
+ * Campaign Manager
+ * Dials the contacts of outbound campaigns through initiateOutboundCall
+ *
+ * Each running campaign has its own dialer: at most `concurrency` calls are in
+ * progress at once and new calls start at `callsPerSecond`. Call results come
+ * from Twilio status callbacks; busy and no-answer calls are retried with a
+ * doubling delay until `maxAttempts`. Every call counts against the limits of
+ * the campaign's API key and is written to the audit log.
+ *
+ * Campaigns are saved in the store selected with CAMPAIGN_STORE (files under
+ * STATE_STORE_DIR by default). After a restart, running campaigns resume and
+ * calls that were in progress are looked up with Twilio. Only one instance
+ * should run campaigns: replicas sharing a store would each dial them.
+ */
+
+/**
+ * @typedef {import('../types/index.js').OutboundApiKey} OutboundApiKey
+ * @typedef {import('./outboundContext.js').OutboundContext} OutboundContext
+ * @typedef {import('./contactList.js').ContactInput} ContactInput
+ */
+
+/**
+ * Campaign contact and its dialing state
+ * @typedef {Object} CampaignContact
+ * @property {string} to - Number to call
+ * @property {Object<string, any>} variables - Per-contact variables (merged into context.customer)
+ * @property {'pending' | 'dialing' | 'completed' | 'failed'} status - Dialing state
+ * @property {number} attempts - Calls placed so far
+ * @property {string} [callSid] - Call of the latest attempt
+ * @property {string} [result] - Outcome of the latest attempt (Twilio call status, 'error' or 'blocked')
+ * @property {string} [error] - Why the latest call could not be placed
+ * @property {string} [blockedReason] - Compliance check that blocked the latest call (e.g., 'do_not_call')
+ * @property {number} [duration] - Duration of the answered call in seconds
+ * @property {string} [lastAttemptAt] - Time of the latest attempt (ISO 8601)
+ * @property {string} [nextAttemptAt] - Earliest time of the next attempt (ISO 8601, retries and postponed calls)
+ */
+
+/**
+ * Dialer settings of a campaign
+ * @typedef {Object} CampaignSettings
+ * @property {number} concurrency - Calls in progress at once
+ * @property {number} callsPerSecond - Calls started per second
+ * @property {number} maxAttempts - Attempts per contact
+ * @property {number} retryDelayMs - Delay before the first retry (doubled for each further retry)
+ */
+
+/**
+ * Outbound campaign
+ * @typedef {Object} Campaign
+ * @property {string} id - Campaign ID
+ * @property {string} name - Display name
+ * @property {string} keyId - API key that created the campaign (its limits apply)
+ * @property {string} from - Caller ID
+ * @property {'created' | 'running' | 'paused' | 'completed'} status - Campaign state
+ * @property {CampaignSettings} settings - Dialer settings
+ * @property {OutboundContext} [context] - Context shared by all calls (purpose, greeting, agent)
+ * @property {CampaignContact[]} contacts - Contacts in dialing order
+ * @property {string} createdAt - ISO 8601
+ * @property {string} updatedAt - ISO 8601
+ * @property {string} [startedAt] - First start (ISO 8601)
+ * @property {string} [completedAt] - ISO 8601
+ * @property {string} [lastError] - Latest problem that held up the dialer
+ */
+
+/** Final call statuses reported by Twilio */
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+/** Call statuses worth another attempt */
+const RETRY_CALL_STATUSES = ['busy', 'no-answer'];
+
+/** Upper bounds for campaign settings */
+const SETTING_LIMITS = {
+  concurrency: 50,
+  callsPerSecond: 50,
+  maxAttempts: 10
+};
+
+/** Wait before the dialer tries again after an unexpected error */
+const ERROR_RETRY_MS = 5000;
+
+/**
+ * Resolve a campaign's dialer settings from the request (defaults from CAMPAIGN_*)
+ * @param {Object} options - Requested settings
+ * @param {number} [options.concurrency] - Calls in progress at once
+ * @param {number} [options.callsPerSecond] - Calls started per second
+ * @param {number} [options.maxAttempts] - Attempts per contact
+ * @param {number} [options.retryDelaySeconds] - Delay before the first retry
+ * @returns {{settings?: CampaignSettings, problem?: string}}
+ */
+export function resolveCampaignSettings({ concurrency, callsPerSecond, maxAttempts, retryDelaySeconds } = {}) {
+  const settings = {
+    concurrency: concurrency ?? config.campaigns.concurrency,
+    callsPerSecond: callsPerSecond ?? config.campaigns.callsPerSecond,
+    maxAttempts: maxAttempts ?? config.campaigns.maxAttempts,
+    retryDelayMs: retryDelaySeconds !== undefined ? retryDelaySeconds * 1000 : config.campaigns.retryDelayMs
+  };
+
+  if (!Number.isInteger(settings.concurrency) || settings.concurrency < 1 || settings.concurrency > SETTING_LIMITS.concurrency) {
+    return { problem: `"concurrency" must be a whole number from 1 to ${SETTING_LIMITS.concurrency}` };
+  }
+  if (typeof settings.callsPerSecond !== 'number' || !(settings.callsPerSecond > 0) || settings.callsPerSecond > SETTING_LIMITS.callsPerSecond) {
+    return { problem: `"callsPerSecond" must be a number above 0 and at most ${SETTING_LIMITS.callsPerSecond}` };
+  }
+  if (!Number.isInteger(settings.maxAttempts) || settings.maxAttempts < 1 || settings.maxAttempts > SETTING_LIMITS.maxAttempts) {
+    return { problem: `"maxAttempts" must be a whole number from 1 to ${SETTING_LIMITS.maxAttempts}` };
+  }
+  if (typeof settings.retryDelayMs !== 'number' || !(settings.retryDelayMs >= 0)) {
+    return { problem: '"retryDelaySeconds" must be a number of seconds (0 or more)' };
+  }
+
+  return { settings };
+}
+
+/**
+ * Build the call context for one contact
+ * The contact's variables are added to the campaign's customer record
+ * @param {{context?: OutboundContext}} campaign - Campaign (or campaign request)
+ * @param {{variables: Object<string, any>}} contact - Contact
+ * @returns {OutboundContext | undefined}
+ */
+export function buildContactContext(campaign, contact) {
+  const { customer, ...context } = campaign.context || {};
+  const record = { ...customer, ...contact.variables };
+  if (Object.keys(record).length > 0) {
+    context.customer = record;
+  }
+  return Object.keys(context).length > 0 ? context : undefined;
+}
+
+/**
+ * Campaign as returned by the API (counts by contact status, contacts on request)
+ * @param {Campaign} campaign - Campaign
+ * @param {Object} [options]
+ * @param {boolean} [options.includeContacts] - Include the contact list
+ * @returns {Object}
+ */
+export function describeCampaign(campaign, { includeContacts = false } = {}) {
+  const { contacts, ...summary } = campaign;
+  const counts = { pending: 0, dialing: 0, completed: 0, failed: 0 };
+  for (const contact of contacts) {
+    counts[contact.status]++;
+  }
+
+  return {
+    ...summary,
+    total: contacts.length,
+    counts,
+    ...(includeContacts ? { contacts } : {})
+  };
+}
+
+export class CampaignManager {
+  /** @type {CampaignManager} */
+  static instance = null;
+
+  /**
+   * @param {import('./storage/index.js').KeyValueStore} [store] - Storage adapter (defaults to CAMPAIGN_STORE)
+   * @param {Object} [calls] - Twilio call operations
+   * @param {(params: {to: string, from: string, context?: OutboundContext}) => Promise<{callSid: string, contextId?: string}>} [calls.create] - Place a call
+   * @param {(callSid: string) => Promise<{status: string, duration?: string}>} [calls.fetch] - Look up a call
+   */
+  constructor(store = createStore('campaigns', config.campaigns.backend), calls = {
+    create: initiateOutboundCall,
+    fetch: callSid => twilioClient.calls(callSid).fetch()
+  }) {
+    /** @type {import('./storage/index.js').KeyValueStore} */
+    this.store = store;
+    this.calls = calls;
+
+    /** @type {Map<string, Campaign>} - Campaigns by ID */
+    this.campaigns = new Map();
+
+    /** @type {Map<string, {campaignId: string, index: number}>} - Calls in progress by call SID */
+    this.callIndex = new Map();
+
+    /** @type {Map<string, {timer: NodeJS.Timeout, at: number}>} - Scheduled dialer runs by campaign */
+    this.timers = new Map();
+
+    /** @type {Map<string, number>} - Earliest time of the next call by campaign (pacing, key limits) */
+    this.nextDialAt = new Map();
+
+    /** @type {Set<string>} - Campaigns whose dialer is running */
+    this.busy = new Set();
+
+    /** @type {Set<string>} - Campaigns woken while their dialer was running */
+    this.wokenWhileBusy = new Set();
+
+    /** @type {Promise<void> | null} */
+    this._loaded = null;
+
+    /** @type {Promise<void>} - Serializes writes to the store */
+    this._saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {CampaignManager}
+   */
+  static getInstance() {
+    if (!CampaignManager.instance) {
+      CampaignManager.instance = new CampaignManager();
+    }
+    return CampaignManager.instance;
+  }
+
+  /**
+   * Load saved campaigns and resume the running ones
+   * Calls that were in progress are looked up with Twilio, since their status
+   * callbacks may have arrived while the server was down
+   * @returns {Promise<number>} Number of resumed campaigns
+   */
+  async init() {
+    await this._load();
+
+    let resumed = 0;
+    for (const campaign of this.campaigns.values()) {
+      if (campaign.status === 'completed') continue;
+
+      await this._reconcile(campaign);
+      if (campaign.status === 'running') {
+        console.log(` [Campaign ${campaign.id}] Resuming "${campaign.name}"`);
+        this._wake(campaign);
+        resumed++;
+      }
+    }
+    return resumed;
+  }
+
+  /**
+   * Create a campaign (not started)
+   * @param {Object} params - Campaign parameters
+   * @param {string} [params.name] - Display name
+   * @param {OutboundApiKey} params.apiKey - API key that owns the campaign
+   * @param {string} params.from - Caller ID
+   * @param {ContactInput[]} params.contacts - Contacts to call
+   * @param {CampaignSettings} params.settings - Dialer settings
+   * @param {OutboundContext} [params.context] - Context shared by all calls
+   * @returns {Promise<Campaign>}
+   */
+  async create({ name, apiKey, from, contacts, settings, context }) {
+    await this._load();
+
+    const now = new Date().toISOString();
+    /** @type {Campaign} */
+    const campaign = {
+      id: randomUUID(),
+      name: name || `Campaign ${now}`,
+      keyId: apiKey.id,
+      from,
+      status: 'created',
+      settings,
+      context,
+      contacts: contacts.map(({ to, variables }) => ({ to, variables, status: 'pending', attempts: 0 })),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.campaigns.set(campaign.id, campaign);
+    await this._save(campaign);
+    console.log(` [Campaign ${campaign.id}] Created "${campaign.name}" with ${contacts.length} contacts (key: ${apiKey.id})`);
+    return campaign;
+  }
+
+  /**
+   * Get a campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Campaign | null>}
+   */
+  async get(campaignId) {
+    await this._load();
+    return this.campaigns.get(campaignId) || null;
+  }
+
+  /**
+   * List the campaigns of an API key, newest first
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Campaign[]>}
+   */
+  async list(keyId) {
+    await this._load();
+    return [...this.campaigns.values()]
+      .filter(campaign => campaign.keyId === keyId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Start or resume dialing a campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Campaign | null>} The campaign, or null if unknown
+   * @throws {Error} If the campaign is completed
+   */
+  async start(campaignId) {
+    const campaign = await this.get(campaignId);
+    if (!campaign) return null;
+    if (campaign.status === 'completed') {
+      throw new Error('Campaign is already completed');
+    }
+    if (campaign.status === 'running') return campaign;
+
+    const now = new Date().toISOString();
+    campaign.status = 'running';
+    campaign.startedAt = campaign.startedAt || now;
+    campaign.updatedAt = now;
+    delete campaign.lastError;
+    await this._save(campaign);
+
+    console.log(` [Campaign ${campaign.id}] Started "${campaign.name}"`);
+    this._wake(campaign);
+    return campaign;
+  }
+
+  /**
+   * Pause a campaign
+   * Calls in progress continue and their results are still recorded
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Campaign | null>} The campaign, or null if unknown
+   * @throws {Error} If the campaign is not running
+   */
+  async pause(campaignId) {
+    const campaign = await this.get(campaignId);
+    if (!campaign) return null;
+    if (campaign.status !== 'running') {
+      throw new Error(`Campaign is ${campaign.status}, not running`);
+    }
+
+    this._pause(campaign);
+    await this._save(campaign);
+    console.log(` [Campaign ${campaign.id}] Paused "${campaign.name}"`);
+    return campaign;
+  }
+
+  /**
+   * Record the result of a campaign call from a Twilio status callback
+   * Calls that are not part of a campaign are ignored
+   * @param {Object} statusData - Status callback parameters (CallSid, CallStatus, CallDuration)
+   * @returns {Promise<void>}
+   */
+  async handleCallStatus({ CallSid, CallStatus, CallDuration }) {
+    if (!FINAL_CALL_STATUSES.includes(CallStatus)) return;
+
+    await this._load();
+    const entry = this.callIndex.get(CallSid);
+    if (!entry) return;
+
+    const campaign = this.campaigns.get(entry.campaignId);
+    const contact = campaign?.contacts[entry.index];
+    this.callIndex.delete(CallSid);
+    if (!contact || contact.callSid !== CallSid || contact.status !== 'dialing') return;
+
+    this._finishAttempt(campaign, contact, CallStatus);
+    if (CallDuration) {
+      contact.duration = Number(CallDuration);
+    }
+    campaign.updatedAt = new Date().toISOString();
+    await this._save(campaign);
+
+    console.log(` [Campaign ${campaign.id}] ${contact.to}: ${CallStatus} (${contact.status}${contact.nextAttemptAt ? `, retry at ${contact.nextAttemptAt}` : ''})`);
+    this._wake(campaign);
+  }
+
+  /**
+   * Load all saved campaigns once and subscribe to call status callbacks
+   * @private
+   * @returns {Promise<void>}
+   */
+  _load() {
+    if (!this._loaded) {
+      this._loaded = (async () => {
+        for (const campaignId of await this.store.keys()) {
+          const campaign = await this.store.get(campaignId);
+          if (!campaign) continue;
+
+          this.campaigns.set(campaign.id, campaign);
+          campaign.contacts.forEach((contact, index) => {
+            if (contact.status === 'dialing' && contact.callSid) {
+              this.callIndex.set(contact.callSid, { campaignId: campaign.id, index });
+            }
+          });
+        }
+        onCallStatus(statusData => this.handleCallStatus(statusData));
+      })().catch(error => {
+        this._loaded = null;
+        throw error;
+      });
+    }
+    return this._loaded;
+  }
+
+  /**
+   * Settle calls that were in progress when the server stopped
+   * @private
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<void>}
+   */
+  async _reconcile(campaign) {
+    let changed = false;
+
+    for (const contact of campaign.contacts) {
+      if (contact.status !== 'dialing') continue;
+
+      // Stopped before Twilio returned a call: dial the contact again
+      if (!contact.callSid) {
+        contact.status = 'pending';
+        changed = true;
+        continue;
+      }
+
+      try {
+        const call = await this.calls.fetch(contact.callSid);
+        if (FINAL_CALL_STATUSES.includes(call.status)) {
+          this.callIndex.delete(contact.callSid);
+          this._finishAttempt(campaign, contact, call.status);
+          if (call.duration) {
+            contact.duration = Number(call.duration);
+          }
+          changed = true;
+        }
+      } catch (error) {
+        console.warn(` [Campaign ${campaign.id}] Could not look up call ${contact.callSid}: ${error.message}`);
+      }
+    }
+
+    if (changed) {
+      campaign.updatedAt = new Date().toISOString();
+      await this._save(campaign);
+    }
+  }
+
+  /**
+   * Schedule a dialer run for a running campaign
+   * Runs are paced by callsPerSecond and the API key's limits (nextDialAt)
+   * @private
+   * @param {Campaign} campaign - Campaign
+   * @param {number} [delayMs] - Earliest run from now
+   */
+  _wake(campaign, delayMs = 0) {
+    if (campaign.status !== 'running') return;
+    if (this.busy.has(campaign.id)) {
+      this.wokenWhileBusy.add(campaign.id);
+      return;
+    }
+
+    const now = Date.now();
+    const at = Math.max(now + delayMs, this.nextDialAt.get(campaign.id) ?? 0);
+    const scheduled = this.timers.get(campaign.id);
+    if (scheduled) {
+      if (scheduled.at <= at) return;
+      clearTimeout(scheduled.timer);
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(campaign.id);
+      this._run(campaign);
+    }, at - now);
+    this.timers.set(campaign.id, { timer, at });
+  }
+
+  /**
+   * Run the dialer once and schedule the next run
+   * @private
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<void>}
+   */
+  async _run(campaign) {
+    this.busy.add(campaign.id);
+    let nextRunMs;
+    try {
+      nextRunMs = await this._dialNext(campaign);
+    } catch (error) {
+      console.error(` [Campaign ${campaign.id}] Dialer error:`, error.message);
+      nextRunMs = ERROR_RETRY_MS;
+    } finally {
+      this.busy.delete(campaign.id);
+    }
+
+    // A call finished while dialing: look again right away
+    if (this.wokenWhileBusy.delete(campaign.id)) {
+      nextRunMs = 0;
+    }
+    if (nextRunMs !== null) {
+      this._wake(campaign, nextRunMs);
+    }
+  }
+
+  /**
+   * Place the next due call of a campaign, or complete it
+   * @private
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<number | null>} Delay before the next run, or null to wait for a call to finish
+   */
+  async _dialNext(campaign) {
+    if (campaign.status !== 'running') return null;
+
+    const now = Date.now();
+    const { contacts, settings } = campaign;
+    const active = contacts.filter(contact => contact.status === 'dialing').length;
+    const pending = contacts.filter(contact => contact.status === 'pending');
+
+    if (pending.length === 0) {
+      if (active === 0) {
+        await this._complete(campaign);
+      }
+      return null;
+    }
+    if (active >= settings.concurrency) return null;
+
+    const contact = pending.find(candidate => !candidate.nextAttemptAt || Date.parse(candidate.nextAttemptAt) <= now);
+    if (!contact) {
+      // Only retries that are not due yet
+      const due = Math.min(...pending.map(candidate => Date.parse(candidate.nextAttemptAt)));
+      return due - now;
+    }
+
+    const apiKey = config.outbound.apiKeys.find(key => key.id === campaign.keyId);
+    if (!apiKey) {
+      campaign.lastError = `API key ${campaign.keyId} is no longer configured`;
+      this._pause(campaign);
+      await this._save(campaign);
+      console.warn(` [Campaign ${campaign.id}] Paused: ${campaign.lastError}`);
+      return null;
+    }
+
+    const limit = await OutboundLimiter.getInstance().consume(apiKey);
+    if (!limit.allowed) {
+      campaign.lastError = `Waiting ${limit.retryAfterSeconds}s for the API key's ${limit.reason === 'daily_cap_reached' ? 'daily cap' : 'rate limit'}`;
+      campaign.updatedAt = new Date().toISOString();
+      this.nextDialAt.set(campaign.id, now + limit.retryAfterSeconds * 1000);
+      await this._save(campaign);
+      console.warn(` [Campaign ${campaign.id}] ${campaign.lastError}`);
+      return 0;
+    }
+
+    // Paused while the limits were checked
+    if (campaign.status !== 'running') return null;
+
+    contact.status = 'dialing';
+    contact.attempts++;
+    contact.lastAttemptAt = new Date(now).toISOString();
+    delete contact.callSid;
+    delete contact.nextAttemptAt;
+    delete contact.error;
+    delete contact.blockedReason;
+    delete campaign.lastError;
+    this.nextDialAt.set(campaign.id, now + 1000 / settings.callsPerSecond);
+
+    const audit = { keyId: apiKey.id, from: campaign.from, to: contact.to, purpose: campaign.context?.purpose, campaignId: campaign.id };
+    console.log(` [Campaign ${campaign.id}] Dialing ${contact.to} (attempt ${contact.attempts}/${settings.maxAttempts})`);
+
+    try {
+      const result = await this.calls.create({
+        to: contact.to,
+        from: campaign.from,
+        context: buildContactContext(campaign, contact)
+      });
+      if (result.blocked) {
+        await OutboundLimiter.getInstance().release(apiKey);
+        await writeAuditEntry({ event: 'call.blocked', ...audit, reason: result.reason });
+        this._block(campaign, contact, result);
+      } else {
+        contact.callSid = result.callSid;
+        this.callIndex.set(result.callSid, { campaignId: campaign.id, index: contacts.indexOf(contact) });
+        await writeAuditEntry({ event: 'call.created', ...audit, callSid: result.callSid, contextId: result.contextId });
+      }
+    } catch (error) {
+      await writeAuditEntry({ event: 'call.failed', ...audit, error: error.message });
+      // Twilio refuses bad requests (4xx) for good; network and server errors are retried
+      const permanent = error.status >= 400 && error.status < 500;
+      this._finishAttempt(campaign, contact, 'error', { error: error.message, retry: !permanent });
+      console.warn(` [Campaign ${campaign.id}] ${contact.to}: call not placed (${error.message})`);
+    }
+
+    campaign.updatedAt = new Date().toISOString();
+    await this._save(campaign);
+    return 0;
+  }
+
+  /**
+   * Record a call blocked by the compliance checks
+   * @private
+   * @param {Campaign} campaign - Campaign
+   * @param {CampaignContact} contact - Contact
+   * @param {{reason: string, message: string, retryAt?: string}} block - Compliance block
+   */
+  _block(campaign, contact, { reason, message, retryAt }) {
+    contact.result = 'blocked';
+    contact.blockedReason = reason;
+    contact.error = message;
+
+    // Calling hours and attempt caps only postpone the call, which does not use up an attempt
+    if (retryAt) {
+      contact.attempts--;
+      contact.status = 'pending';
+      contact.nextAttemptAt = retryAt;
+    } else {
+      contact.status = 'failed';
+    }
+    console.warn(` [Campaign ${campaign.id}] ${contact.to}: blocked (${reason})${retryAt ? `, postponed to ${retryAt}` : ''}`);
+  }
+
+  /**
+   * Record the outcome of an attempt and decide whether to retry the contact
+   * @private
+   * @param {Campaign} campaign - Campaign
+   * @param {CampaignContact} contact - Contact
+   * @param {string} result - Final call status, or 'error' if the call was not placed
+   * @param {Object} [options]
+   * @param {string} [options.error] - Why the call was not placed
+   * @param {boolean} [options.retry] - Whether an 'error' result may be retried
+   */
+  _finishAttempt(campaign, contact, result, { error, retry = false } = {}) {
+    contact.result = result;
+    if (error) {
+      contact.error = error;
+    }
+
+    const retryable = RETRY_CALL_STATUSES.includes(result) || (result === 'error' && retry);
+    if (result === 'completed') {
+      contact.status = 'completed';
+    } else if (retryable && contact.attempts < campaign.settings.maxAttempts) {
+      const delayMs = campaign.settings.retryDelayMs * 2 ** (contact.attempts - 1);
+      contact.status = 'pending';
+      contact.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    } else {
+      contact.status = 'failed';
+    }
+  }
+
+  /**
+   * Stop dialing a campaign
+   * @private
+   * @param {Campaign} campaign - Campaign
+   */
+  _pause(campaign) {
+    campaign.status = 'paused';
+    campaign.updatedAt = new Date().toISOString();
+    this._clearTimer(campaign.id);
+  }
+
+  /**
+   * Mark a campaign as completed
+   * @private
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<void>}
+   */
+  async _complete(campaign) {
+    const now = new Date().toISOString();
+    campaign.status = 'completed';
+    campaign.completedAt = now;
+    campaign.updatedAt = now;
+    this._clearTimer(campaign.id);
+    this.nextDialAt.delete(campaign.id);
+    await this._save(campaign);
+
+    const { counts } = describeCampaign(campaign);
+    console.log(` [Campaign ${campaign.id}] Completed "${campaign.name}": ${counts.completed} answered, ${counts.failed} failed`);
+  }
+
+  /**
+   * @private
+   * @param {string} campaignId - Campaign ID
+   */
+  _clearTimer(campaignId) {
+    const scheduled = this.timers.get(campaignId);
+    if (scheduled) {
+      clearTimeout(scheduled.timer);
+      this.timers.delete(campaignId);
+    }
+  }
+
+  /**
+   * Save a campaign (writes are serialized so an older copy never overwrites a newer one)
+   * @private
+   * @param {Campaign} campaign - Campaign
+   * @returns {Promise<void>}
+   */
+  _save(campaign) {
+    const write = this._saveQueue.then(() => this.store.set(campaign.id, campaign));
+    this._saveQueue = write.catch(() => {});
+    return write;
+  }
+}
+
+export default CampaignManager;
@@ -0,0 +1,328 @@
+import { createStore } from './storage/index.js';
+import { findTimezones } from './phoneTimezones.js';
+import { config } from '../config.js';
+
+/**
+ * Compliance Guard
+ * Checks run before every outbound call: the local do-not-call list, recorded
+ * consent, the callee's local calling hours and call attempts per number
+ *
+ * The do-not-call list and consent are managed through /api/compliance, and
+ * callers are added to the list by the agent's opt_out tool. Everything is kept
+ * in the store selected with COMPLIANCE_STORE (files under STATE_STORE_DIR by
+ * default). Checks within one process are serialized, so attempt caps hold for
+ * concurrent calls to the same number.
+ */
+
+/**
+ * Entry of the do-not-call list
+ * @typedef {Object} DoNotCallEntry
+ * @property {string} number - Phone number (E.164 format)
+ * @property {string} addedAt - When it was added (ISO 8601)
+ * @property {'agent' | 'api'} source - Added by the agent (opt_out tool) or through the API
+ * @property {string} [reason] - Why (e.g., what the customer said)
+ * @property {string} [keyId] - API key that added it
+ * @property {string} [callSid] - Call on which the customer opted out
+ */
+
+/**
+ * Consent to be called
+ * @typedef {Object} ConsentRecord
+ * @property {string} number - Phone number (E.164 format)
+ * @property {string} grantedAt - When consent was given (ISO 8601)
+ * @property {string} [source] - How it was obtained (e.g., 'web form')
+ * @property {string} [expiresAt] - When it lapses (ISO 8601)
+ * @property {string} [keyId] - API key that recorded it
+ */
+
+/**
+ * Result of a compliance check
+ * @typedef {Object} ComplianceResult
+ * @property {boolean} allowed - Whether the call may be placed
+ * @property {'do_not_call' | 'no_consent' | 'timezone_unknown' | 'outside_calling_hours' | 'attempt_cap_reached'} [reason] - Why the call is blocked
+ * @property {string} [message] - Explanation of the block
+ * @property {string} [retryAt] - When the call would be allowed (ISO 8601), for blocks that end by themselves
+ * @property {string[]} [timezones] - Timezones the calling hours were checked in
+ */
+
+/** Granularity of the search for the next allowed calling time */
+const STEP_MS = 15 * 60 * 1000;
+/** How far ahead to search for the next allowed calling time */
+const SEARCH_MS = 8 * 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** @type {Map<string, Intl.DateTimeFormat>} - Formatters by timezone */
+const formatters = new Map();
+
+/**
+ * Get the local weekday and time of day in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @param {number} time - Time (ms since epoch)
+ * @returns {{day: number, minutes: number}} Weekday (0 = Sunday) and minutes since midnight
+ */
+function localTime(timeZone, time) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+  return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether a time is within calling hours in every timezone
+ * @param {string[]} timezones - Timezones of the callee
+ * @param {number} time - Time (ms since epoch)
+ * @param {typeof config.compliance} settings - Compliance settings
+ * @returns {boolean}
+ */
+export function isWithinCallingHours(timezones, time, settings = config.compliance) {
+  if (!settings.callingHours) return true;
+  const { start, end } = settings.callingHours;
+  return timezones.every(timeZone => {
+    const { day, minutes } = localTime(timeZone, time);
+    return settings.callingDays.includes(day) && minutes >= start && minutes < end;
+  });
+}
+
+/**
+ * Find the next time within calling hours in every timezone
+ * @param {string[]} timezones - Timezones of the callee
+ * @param {number} from - Search start (ms since epoch)
+ * @param {typeof config.compliance} settings - Compliance settings
+ * @returns {number | null} Time (ms since epoch), or null if there is none within a week
+ */
+export function nextCallingTime(timezones, from, settings = config.compliance) {
+  // Every timezone's hours start on a quarter hour
+  for (let time = Math.ceil(from / STEP_MS) * STEP_MS; time <= from + SEARCH_MS; time += STEP_MS) {
+    if (isWithinCallingHours(timezones, time, settings)) return time;
+  }
+  return null;
+}
+
+export class ComplianceGuard {
+  /** @type {ComplianceGuard} */
+  static instance = null;
+
+  /**
+   * @param {import('./storage/index.js').KeyValueStore} [store] - Storage adapter (defaults to COMPLIANCE_STORE)
+   * @param {typeof config.compliance} [settings] - Compliance settings
+   */
+  constructor(store = createStore('compliance', config.compliance.backend), settings = config.compliance) {
+    /** @type {import('./storage/index.js').KeyValueStore} */
+    this.store = store;
+    this.settings = settings;
+
+    /** @type {Promise<any>} - Serializes checks and attempt counts */
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {ComplianceGuard}
+   */
+  static getInstance() {
+    if (!ComplianceGuard.instance) {
+      ComplianceGuard.instance = new ComplianceGuard();
+    }
+    return ComplianceGuard.instance;
+  }
+
+  /**
+   * Check whether a number may be called now
+   * @param {string} number - Number to call (E.164 format)
+   * @param {Object} [options] - Check options
+   * @param {boolean} [options.countAttempt] - Count the call as an attempt when it is allowed
+   * @returns {Promise<ComplianceResult>}
+   */
+  check(number, { countAttempt = false } = {}) {
+    const result = this._queue.then(() => this._check(number, countAttempt, Date.now()));
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Find the first time, from a given time, within the calling hours of a number
+   * @param {string} number - Number to call (E.164 format)
+   * @param {number} from - Earliest time (ms since epoch)
+   * @returns {number | null} Time (ms since epoch), or null if the number's timezone is unknown
+   */
+  findCallingTime(number, from) {
+    if (!this.settings.callingHours) return from;
+    let timezones = findTimezones(number);
+    if (timezones.length === 0 && this.settings.defaultTimezone) {
+      timezones = [this.settings.defaultTimezone];
+    }
+    if (timezones.length === 0) return null;
+    return isWithinCallingHours(timezones, from, this.settings) ? from : nextCallingTime(timezones, from, this.settings);
+  }
+
+  /**
+   * Add a number to the do-not-call list
+   * @param {string} number - Phone number (E.164 format)
+   * @param {Omit<DoNotCallEntry, 'number' | 'addedAt'>} details - Who added it and why
+   * @returns {Promise<DoNotCallEntry>}
+   */
+  async addToDoNotCall(number, details) {
+    const entry = { number, addedAt: new Date().toISOString(), ...details };
+    await this.store.set(`dnc:${number}`, entry);
+    // Opting out also withdraws consent
+    await this.store.delete(`consent:${number}`);
+    console.log(` [Compliance] ${number} added to the do-not-call list (${details.source}${details.reason ? `: ${details.reason}` : ''})`);
+    return entry;
+  }
+
+  /**
+   * Remove a number from the do-not-call list
+   * @param {string} number - Phone number (E.164 format)
+   * @returns {Promise<boolean>} Whether the number was on the list
+   */
+  async removeFromDoNotCall(number) {
+    const entry = await this.store.get(`dnc:${number}`);
+    if (!entry) return false;
+    await this.store.delete(`dnc:${number}`);
+    console.log(` [Compliance] ${number} removed from the do-not-call list`);
+    return true;
+  }
+
+  /**
+   * Get a number's do-not-call entry
+   * @param {string} number - Phone number (E.164 format)
+   * @returns {Promise<DoNotCallEntry | null>}
+   */
+  async getDoNotCall(number) {
+    return this.store.get(`dnc:${number}`);
+  }
+
+  /**
+   * List the do-not-call list
+   * @returns {Promise<DoNotCallEntry[]>} Entries, most recent first
+   */
+  async listDoNotCall() {
+    const entries = [];
+    for (const key of await this.store.keys()) {
+      if (!key.startsWith('dnc:')) continue;
+      const entry = await this.store.get(key);
+      if (entry) entries.push(entry);
+    }
+    return entries.sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+  }
+
+  /**
+   * Record a number's consent to be called
+   * @param {string} number - Phone number (E.164 format)
+   * @param {Omit<ConsentRecord, 'number' | 'grantedAt'> & {grantedAt?: string}} details - Source, expiry, key
+   * @returns {Promise<ConsentRecord>}
+   */
+  async recordConsent(number, details) {
+    const record = { number, grantedAt: new Date().toISOString(), ...details };
+    const ttlMs = record.expiresAt ? Date.parse(record.expiresAt) - Date.now() : undefined;
+    await this.store.set(`consent:${number}`, record, ttlMs);
+    return record;
+  }
+
+  /**
+   * Withdraw a number's consent
+   * @param {string} number - Phone number (E.164 format)
+   * @returns {Promise<boolean>} Whether consent was recorded
+   */
+  async revokeConsent(number) {
+    const record = await this.store.get(`consent:${number}`);
+    if (!record) return false;
+    await this.store.delete(`consent:${number}`);
+    return true;
+  }
+
+  /**
+   * Get a number's consent, unless it has lapsed
+   * @param {string} number - Phone number (E.164 format)
+   * @returns {Promise<ConsentRecord | null>}
+   */
+  async getConsent(number) {
+    const record = await this.store.get(`consent:${number}`);
+    if (!record || (record.expiresAt && Date.parse(record.expiresAt) <= Date.now())) return null;
+    return record;
+  }
+
+  /**
+   * @private
+   * @param {string} number - Number to call
+   * @param {boolean} countAttempt - Count an allowed call as an attempt
+   * @param {number} now - Current time (ms since epoch)
+   * @returns {Promise<ComplianceResult>}
+   */
+  async _check(number, countAttempt, now) {
+    const { settings } = this;
+
+    if (await this.getDoNotCall(number)) {
+      return { allowed: false, reason: 'do_not_call', message: `${number} is on the do-not-call list` };
+    }
+
+    if (settings.requireConsent && !(await this.getConsent(number))) {
+      return { allowed: false, reason: 'no_consent', message: `No consent to call ${number} is recorded` };
+    }
+
+    let timezones;
+    if (settings.callingHours) {
+      timezones = findTimezones(number);
+      if (timezones.length === 0 && settings.defaultTimezone) {
+        timezones = [settings.defaultTimezone];
+      }
+      if (timezones.length === 0) {
+        return {
+          allowed: false,
+          reason: 'timezone_unknown',
+          message: `The local time of ${number} is unknown, so calling hours cannot be checked`
+        };
+      }
+
+      if (!isWithinCallingHours(timezones, now, settings)) {
+        const next = nextCallingTime(timezones, now, settings);
+        const hours = `${formatMinutes(settings.callingHours.start)}-${formatMinutes(settings.callingHours.end)}`;
+        return {
+          allowed: false,
+          reason: 'outside_calling_hours',
+          message: `Outside calling hours (${hours}) in ${timezones.join(', ')}`,
+          ...(next ? { retryAt: new Date(next).toISOString() } : {}),
+          timezones
+        };
+      }
+    }
+
+    if (settings.maxAttempts > 0) {
+      const key = `attempts:${number}`;
+      const attempts = ((await this.store.get(key)) || []).filter(time => time > now - settings.attemptPeriodMs);
+      if (attempts.length >= settings.maxAttempts) {
+        return {
+          allowed: false,
+          reason: 'attempt_cap_reached',
+          message: `${attempts.length} call attempts to ${number} within ${settings.attemptPeriodMs / 3600000} hours`,
+          retryAt: new Date(attempts[0] + settings.attemptPeriodMs).toISOString()
+        };
+      }
+      if (countAttempt) {
+        await this.store.set(key, [...attempts, now], settings.attemptPeriodMs);
+      }
+    }
+
+    return { allowed: true, ...(timezones ? { timezones } : {}) };
+  }
+}
+
+export default ComplianceGuard;
@@ -0,0 +1,149 @@
+import { isValidE164 } from './twilioClient.js';
+
+/**
+ * Contact List
+ * Reads the contacts of an outbound campaign from CSV text or a JSON array
+ *
+ * CSV needs a header row with a "to" column (E.164 number); every other column
+ * becomes a variable of the contact. JSON entries are { to, variables } or flat
+ * objects whose fields besides "to" are the variables.
+ */
+
+/**
+ * Campaign contact as read from the input
+ * @typedef {Object} ContactInput
+ * @property {string} to - Number to call (E.164 format)
+ * @property {Object<string, any>} variables - Per-contact variables (e.g., firstName)
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * Supports quoted fields with embedded commas, quotes ("") and line breaks
+ * @param {string} text - CSV text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read contacts from CSV text
+ * @param {string} text - CSV with a header row
+ * @returns {{contacts: ContactInput[], problems: string[]}}
+ */
+export function readCsvContacts(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { contacts: [], problems: ['CSV is empty'] };
+  }
+
+  const columns = header.map(column => column.trim());
+  const toColumn = columns.findIndex(column => column.toLowerCase() === 'to');
+  if (toColumn === -1) {
+    return { contacts: [], problems: ['CSV header must include a "to" column'] };
+  }
+
+  const entries = rows.map(fields => {
+    const variables = {};
+    columns.forEach((column, index) => {
+      if (index !== toColumn && column) {
+        variables[column] = (fields[index] ?? '').trim();
+      }
+    });
+    return { to: (fields[toColumn] ?? '').trim(), variables };
+  });
+
+  // Data rows start on line 2
+  return checkContacts(entries, 2);
+}
+
+/**
+ * Read contacts from a JSON array
+ * @param {any[]} entries - Contacts ({ to, variables } or { to, ...variables })
+ * @returns {{contacts: ContactInput[], problems: string[]}}
+ */
+export function readJsonContacts(entries) {
+  const problems = [];
+  const normalized = entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`contacts[${index}]: must be an object`);
+      return { to: '', variables: {} };
+    }
+    const { to, variables, ...fields } = entry;
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      problems.push(`contacts[${index}]: "variables" must be an object`);
+    }
+    return { to, variables: variables ?? fields };
+  });
+
+  if (problems.length > 0) {
+    return { contacts: [], problems };
+  }
+  return checkContacts(normalized, 0, 'contacts[');
+}
+
+/**
+ * Check numbers and duplicates
+ * @param {ContactInput[]} entries - Parsed contacts
+ * @param {number} firstIndex - Index of the first entry in the input (for messages)
+ * @param {string} [label] - Prefix of entry references in messages
+ * @returns {{contacts: ContactInput[], problems: string[]}}
+ */
+function checkContacts(entries, firstIndex, label = 'line ') {
+  const problems = [];
+  const seen = new Set();
+  const closing = label.endsWith('[') ? ']' : '';
+
+  entries.forEach((entry, index) => {
+    const where = `${label}${index + firstIndex}${closing}`;
+    if (!isValidE164(entry.to)) {
+      problems.push(`${where}: invalid number "${entry.to ?? ''}" (E.164 format required)`);
+    } else if (seen.has(entry.to)) {
+      problems.push(`${where}: duplicate number ${entry.to}`);
+    }
+    seen.add(entry.to);
+  });
+
+  return { contacts: problems.length > 0 ? [] : entries, problems };
+}
+
+export default { parseCsv, readCsvContacts, readJsonContacts };
@@ -0,0 +1,203 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Digit Collector
+ * Collects keypad input the agent asks for (collect_digits tool) and hands the
+ * result back to the waiting tool call instead of starting a new agent turn, so
+ * the input stays tied to the question that asked for it
+ *
+ * The collector drives the session's DTMFHelper and IdleTimer: it sets the
+ * collection type and timeout, asks again after invalid input or silence, and
+ * restores both when the collection ends. Sensitive entries arrive already
+ * protected by the secure input vault, so the output has their token instead of
+ * the digits.
+ *
+ * Events:
+ * - 'prompt': Text to say to the caller (data: string)
+ */
+
+/**
+ * @typedef {import('./dtmfCollectionTypes.js').DTMFCollectionOptions} DTMFCollectionOptions
+ */
+
+/**
+ * Keypad input requested by the agent
+ * @typedef {Object} DigitRequest
+ * @property {string} type - Collection type (DTMFHelper.States)
+ * @property {DTMFCollectionOptions} [options] - Overrides of the type's defaults
+ * @property {string} prompt - What to say to ask for the input
+ * @property {string} [reprompt] - What to say when asking again (defaults to the prompt)
+ * @property {number} [timeoutMs] - How long to wait for a key before asking again (default: the session's DTMF timeouts)
+ * @property {number} [retries] - How many times to ask again after invalid input or silence
+ */
+
+/**
+ * Outcome of a collection (the collect_digits tool output)
+ * @typedef {Object} DigitCollection
+ * @property {boolean} success - Whether valid input was collected
+ * @property {string} type - Collection type
+ * @property {string} [value] - Formatted input (e.g., '1980-03-04')
+ * @property {string} [digits] - Keys pressed
+ * @property {boolean} [sensitive] - Secure entry: token instead of value and digits
+ * @property {string} [token] - Token standing for the digits (sensitive entries)
+ * @property {string} [lastDigits] - Trailing digits the agent may see (sensitive entries)
+ * @property {boolean | null} [verified] - Verification outcome (sensitive entries; null: no verifier)
+ * @property {{code: string, message: string}} [error] - Why no valid input was collected (last problem)
+ * @property {number} attempts - Times the caller was asked
+ */
+
+/** Longest wait for one collection, whatever its retries and timeouts */
+const MAX_COLLECTION_MS = 4 * 60 * 1000;
+
+export class DigitCollector extends EventEmitter {
+  /**
+   * @param {import('./dtmfHelper.js').DTMFHelper} dtmfHelper - Session's DTMF helper
+   * @param {import('./idleTimer.js').IdleTimer} idleTimer - Session's idle timer
+   */
+  constructor(dtmfHelper, idleTimer) {
+    super();
+
+    this.dtmfHelper = dtmfHelper;
+    this.idleTimer = idleTimer;
+
+    /** @type {(DigitRequest & {attempts: number, resolve: Function, deadline: NodeJS.Timeout, idleTimeouts: import('./idleTimer.js').IdleTimeouts}) | null} - Collection in progress */
+    this.request = null;
+  }
+
+  /**
+   * Check whether input is being collected
+   * @returns {boolean}
+   */
+  isActive() {
+    return Boolean(this.request);
+  }
+
+  /**
+   * Ask the caller for keypad input and wait for it
+   * @param {DigitRequest} request - What to collect
+   * @returns {Promise<DigitCollection>}
+   * @throws {Error} if input is already being collected or the type is unknown
+   */
+  collect(request) {
+    if (this.request) {
+      return Promise.reject(new Error('Keypad input is already being collected'));
+    }
+
+    try {
+      this.dtmfHelper.setState(request.type, request.options);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return new Promise(resolve => {
+      this.request = {
+        ...request,
+        attempts: 1,
+        resolve,
+        deadline: setTimeout(() => {
+          this._finish({ success: false, error: { code: 'timeout', message: 'The caller did not finish the input in time' } });
+        }, MAX_COLLECTION_MS),
+        idleTimeouts: this.idleTimer.getTimeouts()
+      };
+      console.log(` [DigitCollector] Collecting ${request.type} (${request.timeoutMs ? `timeout ${request.timeoutMs}ms` : 'default timeouts'}, ${request.retries || 0} retries)`);
+
+      if (request.timeoutMs) {
+        this.idleTimer.setTimeouts({ firstDigitMs: request.timeoutMs, interDigitMs: request.timeoutMs });
+      }
+      this.idleTimer.resetTimeouts();
+      this._ask(request.prompt);
+    });
+  }
+
+  /**
+   * Take a complete entry from the DTMF helper
+   * @param {import('./dtmfHelper.js').DTMFResult} result - Complete entry
+   * @returns {boolean} Whether the entry belonged to a collection (and is handled)
+   */
+  handleResult(result) {
+    if (!this.request) return false;
+
+    if (result.valid && result.sensitive) {
+      const { token, lastDigits, verified } = result;
+      this._finish({ success: true, sensitive: true, token, ...(lastDigits ? { lastDigits } : {}), verified });
+    } else if (result.valid) {
+      this._finish({ success: true, value: result.formatted, digits: result.value });
+    } else {
+      this._retry(result.error);
+    }
+    return true;
+  }
+
+  /**
+   * Take an idle timeout
+   * @returns {boolean} Whether the timeout belonged to a collection (and is handled)
+   */
+  handleTimeout() {
+    if (!this.request) return false;
+
+    this._retry({ code: 'timeout', message: 'No keys were pressed in time' });
+    return true;
+  }
+
+  /**
+   * End the collection without input (e.g., the call ended)
+   * @param {string} reason - Why
+   */
+  cancel(reason) {
+    if (!this.request) return;
+
+    this._finish({ success: false, error: { code: 'canceled', message: reason } });
+  }
+
+  /**
+   * Say a prompt and wait for the first key
+   * @private
+   * @param {string} text - Prompt
+   */
+  _ask(text) {
+    if (text) {
+      this.emit('prompt', text);
+    }
+    this.idleTimer.start();
+  }
+
+  /**
+   * Ask again, or end the collection when the retries are used up
+   * @private
+   * @param {{code: string, message: string}} error - Problem of the last attempt
+   */
+  _retry(error) {
+    const request = this.request;
+    if (request.attempts > (request.retries || 0)) {
+      this._finish({ success: false, error });
+      return;
+    }
+
+    request.attempts++;
+    console.log(` [DigitCollector] ${error.code}: asking again (attempt ${request.attempts})`);
+    this.dtmfHelper.setState(request.type, request.options);
+    this._ask(request.reprompt || request.prompt);
+  }
+
+  /**
+   * End the collection and hand the outcome to the waiting tool call
+   * @private
+   * @param {Omit<DigitCollection, 'type' | 'attempts'>} outcome - Outcome
+   */
+  _finish(outcome) {
+    const request = this.request;
+    this.request = null;
+
+    clearTimeout(request.deadline);
+    this.idleTimer.clear();
+    this.idleTimer.setTimeouts(request.idleTimeouts);
+    this.idleTimer.resetTimeouts();
+    this.dtmfHelper.resetState();
+
+    console.log(` [DigitCollector] ${request.type} ${outcome.success ? 'collected' : `not collected (${outcome.error.code})`} after ${request.attempts} attempt(s)`);
+    const { success, ...details } = outcome;
+    request.resolve({ success, type: request.type, ...details, attempts: request.attempts });
+  }
+}
+
+export default DigitCollector;
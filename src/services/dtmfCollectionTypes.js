@@ -0,0 +1,243 @@
+/**
+ * DTMF Collection Types
+ * Declarative definitions of what the caller can enter on the keypad
+ *
+ * Each type sets the accepted length, the terminator key that ends variable-length
+ * input, the key that clears the entry, a validator and a formatter for the result
+ * sent to the agent. Input completes when the terminator is pressed or the maximum
+ * length is reached. Options given when collection starts (DTMFHelper.setState)
+ * override the type's defaults.
+ *
+ * Sensitive types (PIN, card number, SSN) are never logged or sent to the agent:
+ * the entry is validated here and handed to the secure input vault
+ * (secureInput.js), and the agent only sees a token, the last digits where the
+ * type allows it, and whether the value was verified.
+ */
+
+/**
+ * Options of a collection, overriding the type's defaults
+ * @typedef {Object} DTMFCollectionOptions
+ * @property {number} [expectedLength] - Exact number of digits (sets minLength and maxLength)
+ * @property {number} [minLength] - Fewest digits
+ * @property {number} [maxLength] - Most digits; input completes when reached
+ * @property {string | null} [terminator] - Key that ends the input (null: none)
+ * @property {string | null} [clearKey] - Key that clears the entry to start over (null: none)
+ * @property {boolean} [luhn] - Require a valid Luhn check digit (account numbers)
+ * @property {'MMDDYYYY' | 'DDMMYYYY' | 'YYYYMMDD'} [dateOrder] - Order of the date digits (date of birth)
+ * @property {number} [min] - Smallest amount, in currency units
+ * @property {number} [max] - Largest amount, in currency units
+ * @property {number} [decimals] - Digits after the decimal point of amounts (2: "12550" is 125.50)
+ * @property {string[]} [choices] - Keys accepted as a menu selection
+ * @property {boolean} [sensitive] - Keep the digits out of logs and the agent's thread (default: the type's)
+ */
+
+/**
+ * Validation problem of an entry
+ * @typedef {Object} DTMFInputError
+ * @property {'too_short' | 'invalid_key' | 'checksum_failed' | 'invalid_date' | 'out_of_range' | 'invalid_choice' | 'invalid_number' | 'not_verified' | 'verification_failed'} code - Problem
+ * @property {string} message - Explanation the agent can reprompt with
+ */
+
+/**
+ * Collection type
+ * @typedef {Object} DTMFCollectionType
+ * @property {string} label - Name of the input in messages, as written mid-sentence (e.g., 'phone number', 'PIN')
+ * @property {number} minLength - Fewest digits
+ * @property {number} maxLength - Most digits
+ * @property {string | null} terminator - Key that ends the input
+ * @property {string | null} clearKey - Key that clears the entry
+ * @property {string} [keys] - Keys accepted as input (default: the digits 0-9)
+ * @property {boolean} [sensitive] - Secure entry: the digits are masked and tokenized
+ * @property {number} [visibleDigits] - Trailing digits the agent may see of a sensitive entry (default 0)
+ * @property {(value: string, options: DTMFCollectionOptions) => DTMFInputError | null} [validate] - Problem of a complete entry, if any
+ * @property {(value: string, options: DTMFCollectionOptions) => string} [format] - Result sent to the agent
+ */
+
+/**
+ * Check the Luhn check digit of a number (card and many account numbers)
+ * @param {string} digits - Digits, the check digit last
+ * @returns {boolean}
+ */
+export function isValidLuhn(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length > 1 && sum % 10 === 0;
+}
+
+/**
+ * Capitalize the first letter of a label (for the start of a message)
+ * @param {string} text - Label
+ * @returns {string}
+ */
+export function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Read a date entered on the keypad
+ * @param {string} digits - 8 digits
+ * @param {DTMFCollectionOptions['dateOrder']} order - Order of day, month and year
+ * @returns {string | null} Date (YYYY-MM-DD), or null if it is not a calendar date
+ */
+function readDate(digits, order = 'MMDDYYYY') {
+  const parts = {
+    MMDDYYYY: [digits.slice(4), digits.slice(0, 2), digits.slice(2, 4)],
+    DDMMYYYY: [digits.slice(4), digits.slice(2, 4), digits.slice(0, 2)],
+    YYYYMMDD: [digits.slice(0, 4), digits.slice(4, 6), digits.slice(6)]
+  }[order];
+  if (!parts) return null;
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read an amount entered on the keypad
+ * @param {string} digits - Digits
+ * @param {number} decimals - Digits after the decimal point
+ * @returns {number} Amount in currency units
+ */
+function readAmount(digits, decimals) {
+  return Number(digits) / 10 ** decimals;
+}
+
+/** @type {Object<string, DTMFCollectionType>} - Collection types by name (see DTMFHelper.States) */
+export const CollectionTypes = {
+  phoneNumber: {
+    label: 'phone number',
+    minLength: 10,
+    maxLength: 10,
+    terminator: '#',
+    clearKey: '*',
+    // US format: (XXX) XXX-XXXX
+    format: value => value.length === 10 ? `(${value.slice(0, 3)}) ${value.slice(3, 6)}-${value.slice(6)}` : value
+  },
+
+  accountNumber: {
+    label: 'account number',
+    minLength: 4,
+    maxLength: 20,
+    terminator: '#',
+    clearKey: '*',
+    // Shown if the collection is made sensitive
+    visibleDigits: 4,
+    validate: (value, options) => options.luhn && !isValidLuhn(value)
+      ? { code: 'checksum_failed', message: 'The account number is not valid (check digit mismatch)' }
+      : null
+  },
+
+  pin: {
+    label: 'PIN',
+    minLength: 4,
+    maxLength: 6,
+    terminator: '#',
+    clearKey: '*',
+    sensitive: true
+  },
+
+  cardNumber: {
+    label: 'card number',
+    minLength: 13,
+    maxLength: 19,
+    terminator: '#',
+    clearKey: '*',
+    sensitive: true,
+    visibleDigits: 4,
+    validate: value => isValidLuhn(value)
+      ? null
+      : { code: 'checksum_failed', message: 'The card number is not valid (check digit mismatch)' }
+  },
+
+  ssn: {
+    label: 'Social Security number',
+    minLength: 9,
+    maxLength: 9,
+    terminator: '#',
+    clearKey: '*',
+    sensitive: true,
+    visibleDigits: 4,
+    // Never issued: area 000, 666 or 900-999, group 00, serial 0000
+    validate: value => /^(000|666|9\d\d)/.test(value) || value.slice(3, 5) === '00' || value.slice(5) === '0000'
+      ? { code: 'invalid_number', message: 'The Social Security number is not valid' }
+      : null
+  },
+
+  dateOfBirth: {
+    label: 'date of birth',
+    minLength: 8,
+    maxLength: 8,
+    terminator: '#',
+    clearKey: '*',
+    validate: (value, options) => {
+      const date = readDate(value, options.dateOrder);
+      if (!date) {
+        return { code: 'invalid_date', message: `${value} is not a valid date (expected ${options.dateOrder || 'MMDDYYYY'})` };
+      }
+      if (date < '1900-01-01' || date > new Date().toISOString().slice(0, 10)) {
+        return { code: 'out_of_range', message: `${date} is not a possible date of birth` };
+      }
+      return null;
+    },
+    format: (value, options) => readDate(value, options.dateOrder)
+  },
+
+  zipCode: {
+    label: 'ZIP code',
+    minLength: 5,
+    maxLength: 5,
+    terminator: '#',
+    clearKey: '*'
+  },
+
+  amount: {
+    label: 'amount',
+    minLength: 1,
+    maxLength: 9,
+    terminator: '#',
+    clearKey: '*',
+    validate: (value, options) => {
+      const { min, max, decimals = 2 } = options;
+      const amount = readAmount(value, decimals);
+      if ((min !== undefined && amount < min) || (max !== undefined && amount > max)) {
+        const range = min !== undefined && max !== undefined ? `between ${min} and ${max}` : min !== undefined ? `at least ${min}` : `at most ${max}`;
+        return { code: 'out_of_range', message: `The amount must be ${range}; ${amount.toFixed(decimals)} was entered` };
+      }
+      return null;
+    },
+    format: (value, options) => readAmount(value, options.decimals ?? 2).toFixed(options.decimals ?? 2)
+  },
+
+  menu: {
+    label: 'menu selection',
+    minLength: 1,
+    maxLength: 1,
+    // Every key can be a menu option
+    terminator: null,
+    clearKey: null,
+    keys: '0123456789*#',
+    validate: (value, options) => options.choices && !options.choices.includes(value)
+      ? { code: 'invalid_choice', message: `${value} is not an option (options: ${options.choices.join(', ')})` }
+      : null
+  },
+
+  digits: {
+    label: 'digits',
+    minLength: 1,
+    maxLength: 32,
+    terminator: '#',
+    clearKey: '*'
+  }
+};
+
+export default { CollectionTypes, isValidLuhn, capitalize };
@@ -1,9 +1,44 @@
+import { CollectionTypes, capitalize } from './dtmfCollectionTypes.js';
+import { config } from '../config.js';
+
 /**
  * DTMF Helper
  * State machine for handling DTMF (Dual-Tone Multi-Frequency) keypad input
- * Supports phone number collection
+ * Collects one entry at a time, of a type from dtmfCollectionTypes.js (phone
+ * number, account number, PIN, date of birth, ZIP code, amount, menu selection
+ * or free-length digits), and validates and formats it when it is complete
+ * Digits of sensitive entries (PIN, card number, SSN) are masked in logs and
+ * messages; the complete value is handed to the secure input vault
+ */
+
+/**
+ * @typedef {import('./dtmfCollectionTypes.js').DTMFCollectionOptions} DTMFCollectionOptions
+ * @typedef {import('./dtmfCollectionTypes.js').DTMFInputError} DTMFInputError
  */
 
+/**
+ * Result of a complete entry
+ * @typedef {Object} DTMFResult
+ * @property {string} type - Collection type (DTMFHelper.States)
+ * @property {boolean} valid - Whether the entry passed validation
+ * @property {string} [value] - Keys entered (valid entries)
+ * @property {string} [formatted] - Formatted value for the agent (valid entries)
+ * @property {DTMFInputError} [error] - Why the entry is invalid
+ * @property {boolean} [sensitive] - Secure entry (formatted is masked; see secureInput.js)
+ * @property {string} [token] - Token standing for the digits (entries protected by the vault)
+ * @property {string} [lastDigits] - Trailing digits the agent may see (protected entries)
+ * @property {boolean | null} [verified] - Verification outcome (protected entries; null: no verifier)
+ */
+
+/**
+ * Mask the digits of a sensitive entry
+ * @param {string} digits - Digits
+ * @returns {string}
+ */
+function mask(digits) {
+  return '*'.repeat(digits.length);
+}
+
 export class DTMFHelper {
   /**
    * DTMF input types/states
@@ -11,12 +46,30 @@ export class DTMFHelper {
    * @enum {string}
    */
   static States = {
-    PHONE_NUMBER: 'phoneNumber'
+    PHONE_NUMBER: 'phoneNumber',
+    ACCOUNT_NUMBER: 'accountNumber',
+    PIN: 'pin',
+    CARD_NUMBER: 'cardNumber',
+    SSN: 'ssn',
+    DATE_OF_BIRTH: 'dateOfBirth',
+    ZIP_CODE: 'zipCode',
+    AMOUNT: 'amount',
+    MENU: 'menu',
+    DIGITS: 'digits'
   };
 
-  constructor() {
+  /**
+   * @param {string} [defaultState] - Collection type between requests (defaults to DTMF_DEFAULT_TYPE)
+   */
+  constructor(defaultState = config.dtmf.defaultType) {
+    /** @type {string} */
+    this.defaultState = defaultState;
+
     /** @type {string} */
-    this.state = DTMFHelper.States.PHONE_NUMBER;
+    this.state = defaultState;
+
+    /** @type {DTMFCollectionOptions} - Options of the current collection */
+    this.options = {};
 
     /** @type {string} */
     this.inputBuffer = '';
@@ -24,8 +77,8 @@ export class DTMFHelper {
     /** @type {boolean} */
     this.isCollectionComplete = false;
 
-    /** @type {number} */
-    this.expectedLength = 0;
+    /** @type {DTMFResult | null} - Result of the last complete entry */
+    this.result = null;
   }
 
   /**
@@ -36,87 +89,155 @@ export class DTMFHelper {
   processDTMF(digit) {
     // Reset completion flag
     this.isCollectionComplete = false;
+    this.result = null;
+
+    const type = CollectionTypes[this.state];
+    const { minLength, maxLength, terminator, clearKey } = this.getSettings();
+
+    if (digit === clearKey) {
+      console.log(` [DTMF] State: ${this.state}, entry cleared`);
+      this.inputBuffer = '';
+      return `${capitalize(type.label)} entry cleared, start again`;
+    }
+
+    if (digit === terminator) {
+      console.log(` [DTMF] State: ${this.state}, Terminator: ${digit}, Buffer: ${this.isSensitive() ? mask(this.inputBuffer) : this.inputBuffer}`);
+      return this._complete(type);
+    }
+
+    if (!(type.keys || '0123456789').includes(digit)) {
+      this.inputBuffer = '';
+      return this._fail(type, { code: 'invalid_key', message: `The key ${digit} cannot be used to enter the ${type.label}` });
+    }
 
     // Add digit to buffer
     this.inputBuffer += digit;
 
-    console.log(` [DTMF] State: ${this.state}, Digit: ${digit}, Buffer: ${this.inputBuffer}`);
-
-    // Process based on current state
-    switch (this.state) {
-      case DTMFHelper.States.PHONE_NUMBER:
-        return this._processPhoneNumber(digit);
+    if (this.isSensitive()) {
+      console.log(` [DTMF] State: ${this.state}, Digit: *, Buffer: ${mask(this.inputBuffer)}`);
+    } else {
+      console.log(` [DTMF] State: ${this.state}, Digit: ${digit}, Buffer: ${this.inputBuffer}`);
+    }
 
-      default:
-        this.inputBuffer = '';
-        this.isCollectionComplete = true;
-        return `Unknown DTMF state: ${this.state}`;
+    if (this.inputBuffer.length >= maxLength) {
+      return this._complete(type);
     }
+
+    const progress = minLength === maxLength ? `${this.inputBuffer.length}/${maxLength} digits` : `${this.inputBuffer.length} digits`;
+    return `Collecting ${type.label}... (${progress})`;
   }
 
   /**
-   * Process phone number input (expects 10 digits)
+   * Validate and format the entry in the buffer
    * @private
-   * @param {string} digit
+   * @param {import('./dtmfCollectionTypes.js').DTMFCollectionType} type - Collection type
    * @returns {string}
    */
-  _processPhoneNumber(digit) {
-    // Expected length is 10 digits
-    const expectedLength = this.expectedLength || 10;
+  _complete(type) {
+    const value = this.inputBuffer;
+    const { minLength, maxLength } = this.getSettings();
+    this.inputBuffer = '';
 
-    if (this.inputBuffer.length < expectedLength) {
-      this.isCollectionComplete = false;
-      return `Collecting phone number... (${this.inputBuffer.length}/${expectedLength} digits)`;
+    if (value.length < minLength) {
+      const length = minLength === maxLength ? `${minLength}` : `${minLength} to ${maxLength}`;
+      return this._fail(type, { code: 'too_short', message: `The ${type.label} must have ${length} digits; ${value.length} were entered` });
     }
 
-    if (this.inputBuffer.length === expectedLength) {
-      const phoneNumber = this.inputBuffer;
-      this.inputBuffer = '';
-      this.isCollectionComplete = true;
+    const error = type.validate?.(value, this.options);
+    if (error) {
+      return this._fail(type, error);
+    }
 
-      // Format as (XXX) XXX-XXXX
-      const formatted = `(${phoneNumber.slice(0, 3)}) ${phoneNumber.slice(3, 6)}-${phoneNumber.slice(6)}`;
-      return `Phone number received: ${formatted}`;
+    if (this.isSensitive()) {
+      this.isCollectionComplete = true;
+      this.result = { type: this.state, valid: true, sensitive: true, value, formatted: mask(value) };
+      return `${capitalize(type.label)} received`;
     }
 
-    // Too many digits
-    this.inputBuffer = '';
+    const formatted = type.format ? type.format(value, this.options) : value;
     this.isCollectionComplete = true;
-    return `Phone number input error. Too many digits entered.`;
+    this.result = { type: this.state, valid: true, value, formatted };
+    return `${capitalize(type.label)} received: ${formatted}`;
   }
 
+  /**
+   * End the entry as invalid
+   * @private
+   * @param {import('./dtmfCollectionTypes.js').DTMFCollectionType} type - Collection type
+   * @param {DTMFInputError} error - Validation problem
+   * @returns {string}
+   */
+  _fail(type, error) {
+    // Validator messages can describe or quote the entry; only the code is kept
+    if (this.isSensitive()) {
+      error = { code: error.code, message: `The ${type.label} is not valid` };
+    }
+
+    this.isCollectionComplete = true;
+    this.result = { type: this.state, valid: false, error };
+    console.log(` [DTMF] ${capitalize(type.label)} input error (${error.code}): ${error.message}`);
+    return `${capitalize(type.label)} input error. ${error.message}`;
+  }
 
   /**
    * Set the current DTMF state
    * @param {string} newState - New state from DTMFHelper.States
-   * @param {Object} [options] - Optional configuration
-   * @param {number} [options.expectedLength] - Expected input length for collection states
+   * @param {DTMFCollectionOptions} [options] - Overrides of the collection type's defaults
+   * @throws {Error} if the state is not a collection type
    */
   setState(newState, options = {}) {
+    if (!CollectionTypes[newState]) {
+      throw new Error(`Unknown DTMF collection type: ${newState} (available: ${Object.keys(CollectionTypes).join(', ')})`);
+    }
+
     console.log(` [DTMF] Changing state: ${this.state} → ${newState}`);
 
     this.state = newState;
+    this.options = options;
     this.inputBuffer = '';
     this.isCollectionComplete = false;
-    this.expectedLength = options.expectedLength || 0;
+    this.result = null;
 
     // Log what we're expecting
-    switch (newState) {
-      case DTMFHelper.States.PHONE_NUMBER:
-        console.log(` [DTMF] Now collecting phone number (${this.expectedLength || 10} digits expected)`);
-        break;
-    }
+    const { minLength, maxLength, terminator } = this.getSettings();
+    const length = minLength === maxLength ? `${maxLength}` : `${minLength}-${maxLength}`;
+    console.log(` [DTMF] Now collecting ${CollectionTypes[newState].label} (${length} digits expected${terminator ? `, ${terminator} to finish` : ''})`);
   }
 
   /**
    * Reset to initial state
    */
   resetState() {
-    console.log(` [DTMF] Resetting to initial state (phoneNumber)`);
-    this.state = DTMFHelper.States.PHONE_NUMBER;
+    console.log(` [DTMF] Resetting to initial state (${this.defaultState})`);
+    this.state = this.defaultState;
+    this.options = {};
     this.inputBuffer = '';
     this.isCollectionComplete = false;
-    this.expectedLength = 0;
+    // The result of a secure entry holds the raw digits
+    this.result = null;
+  }
+
+  /**
+   * Check whether the current collection is sensitive (digits masked and tokenized)
+   * @returns {boolean}
+   */
+  isSensitive() {
+    return Boolean(this.options.sensitive ?? CollectionTypes[this.state].sensitive);
+  }
+
+  /**
+   * Get the length limits and keys of the current collection
+   * @returns {{minLength: number, maxLength: number, terminator: string | null, clearKey: string | null}}
+   */
+  getSettings() {
+    const type = CollectionTypes[this.state];
+    const { expectedLength, minLength, maxLength, terminator, clearKey } = this.options;
+    return {
+      minLength: expectedLength || minLength || type.minLength,
+      maxLength: expectedLength || maxLength || type.maxLength,
+      terminator: terminator !== undefined ? terminator : type.terminator,
+      clearKey: clearKey !== undefined ? clearKey : type.clearKey
+    };
   }
 
   /**
@@ -127,6 +248,14 @@ export class DTMFHelper {
     return this.isCollectionComplete;
   }
 
+  /**
+   * Get the result of the last complete entry
+   * @returns {DTMFResult | null}
+   */
+  getResult() {
+    return this.result;
+  }
+
   /**
    * Get current state
    * @returns {string}
@@ -157,11 +286,13 @@ export class DTMFHelper {
    * @returns {Object}
    */
   getProgress() {
+    const { minLength, maxLength } = this.getSettings();
     return {
       state: this.state,
-      buffer: this.inputBuffer,
+      buffer: this.isSensitive() ? mask(this.inputBuffer) : this.inputBuffer,
       bufferLength: this.inputBuffer.length,
-      expectedLength: this.expectedLength,
+      minLength,
+      maxLength,
       isComplete: this.isCollectionComplete
     };
   }
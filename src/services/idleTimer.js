@@ -4,24 +4,40 @@ import { DTMFHelper } from './dtmfHelper.js';
 /**
  * Idle Timer
  * Manages timeouts for DTMF input collection
- * Emits 'idleTimeout' event when timer expires
+ * Waits DTMF_FIRST_DIGIT_TIMEOUT_MS for the first key of an entry and
+ * DTMF_INTER_DIGIT_TIMEOUT_MS for each further key, and counts the timeouts in a
+ * row so the session can escalate (reprompt, then hang up, hand off or move on)
  *
  * Events:
- * - 'idleTimeout': Emitted when timer expires (data: { type: 'idleTimeout', message: string })
+ * - 'idleTimeout': Emitted when timer expires (data: { type: 'idleTimeout', phase: 'firstDigit' | 'interDigit', count: number, message: string })
  */
+
+/**
+ * Timeouts of an entry
+ * @typedef {Object} IdleTimeouts
+ * @property {number} firstDigitMs - Wait for the first key
+ * @property {number} interDigitMs - Wait for the next key once the caller has started
+ */
+
 export class IdleTimer extends EventEmitter {
   /**
-   * @param {number} timeoutDuration - Timeout duration in milliseconds
+   * @param {IdleTimeouts} timeouts - Timeouts in milliseconds
    * @param {DTMFHelper} dtmfHelper - DTMF helper instance to reset on timeout
    */
-  constructor(timeoutDuration, dtmfHelper) {
+  constructor(timeouts, dtmfHelper) {
     super();
 
     /** @type {NodeJS.Timeout | null} */
     this.timer = null;
 
-    /** @type {number} */
-    this.timeoutDuration = timeoutDuration;
+    /** @type {IdleTimeouts} */
+    this.timeouts = { ...timeouts };
+
+    /** @type {'firstDigit' | 'interDigit' | null} - What the running timer waits for */
+    this.phase = null;
+
+    /** @type {number} - Timeouts since the last complete entry or caller speech */
+    this.timeoutCount = 0;
 
     /** @type {DTMFHelper} */
     this.dtmfHelper = dtmfHelper;
@@ -31,18 +47,43 @@ export class IdleTimer extends EventEmitter {
   }
 
   /**
-   * Start or restart the timer
+   * Start or restart the timer, waiting for the first key of an entry
    */
   start() {
+    this._run('firstDigit');
+  }
+
+  /**
+   * Restart the timer after a key, waiting for the next one
+   */
+  restart() {
+    console.log(` [IdleTimer] Restarting timer`);
+    this._run('interDigit');
+  }
+
+  /**
+   * Run the timer for a phase
+   * @private
+   * @param {'firstDigit' | 'interDigit'} phase - What to wait for
+   */
+  _run(phase) {
     // Clear any existing timer
     this.clear();
 
+    const duration = phase === 'firstDigit' ? this.timeouts.firstDigitMs : this.timeouts.interDigitMs;
     this.isActive = true;
+    this.phase = phase;
 
-    console.log(` [IdleTimer] Starting timer (${this.timeoutDuration}ms)`);
+    console.log(` [IdleTimer] Starting timer (${phase}, ${duration}ms)`);
 
     this.timer = setTimeout(() => {
-      console.log(` [IdleTimer] Timer expired after ${this.timeoutDuration}ms`);
+      console.log(` [IdleTimer] Timer expired after ${duration}ms (${phase})`);
+
+      // Listeners may start the timer again
+      this.timer = null;
+      this.isActive = false;
+      this.phase = null;
+      this.timeoutCount++;
 
       // Reset DTMF state on timeout
       if (this.dtmfHelper) {
@@ -52,11 +93,11 @@ export class IdleTimer extends EventEmitter {
       // Emit timeout event
       this.emit('idleTimeout', {
         type: 'idleTimeout',
+        phase,
+        count: this.timeoutCount,
         message: 'Session timed out due to inactivity. DTMF input was not received in time.'
       });
-
-      this.isActive = false;
-    }, this.timeoutDuration);
+    }, duration);
   }
 
   /**
@@ -67,16 +108,28 @@ export class IdleTimer extends EventEmitter {
       clearTimeout(this.timer);
       this.timer = null;
       this.isActive = false;
+      this.phase = null;
       console.log(` [IdleTimer] Timer cleared`);
     }
   }
 
   /**
-   * Restart the timer (convenience method)
+   * Forget earlier timeouts (the caller completed an entry or moved on by speaking)
+   * A wait for the first key of a reprompted entry is stopped too
    */
-  restart() {
-    console.log(` [IdleTimer] Restarting timer`);
-    this.start();
+  resetTimeouts() {
+    this.timeoutCount = 0;
+    if (this.phase === 'firstDigit') {
+      this.clear();
+    }
+  }
+
+  /**
+   * Get the number of timeouts since the last complete entry or caller speech
+   * @returns {number}
+   */
+  getTimeoutCount() {
+    return this.timeoutCount;
   }
 
   /**
@@ -88,25 +141,25 @@ export class IdleTimer extends EventEmitter {
   }
 
   /**
-   * Update the timeout duration
-   * @param {number} newDuration - New timeout duration in milliseconds
+   * Update the timeouts
+   * @param {IdleTimeouts} timeouts - New timeouts in milliseconds
    */
-  setDuration(newDuration) {
-    console.log(` [IdleTimer] Updating duration: ${this.timeoutDuration}ms → ${newDuration}ms`);
-    this.timeoutDuration = newDuration;
+  setTimeouts(timeouts) {
+    console.log(` [IdleTimer] Updating timeouts: ${this.timeouts.firstDigitMs}/${this.timeouts.interDigitMs}ms → ${timeouts.firstDigitMs}/${timeouts.interDigitMs}ms`);
+    this.timeouts = { ...timeouts };
 
     // If timer is active, restart with new duration
     if (this.isActive) {
-      this.start();
+      this._run(this.phase);
     }
   }
 
   /**
-   * Get current timeout duration
-   * @returns {number}
+   * Get current timeouts
+   * @returns {IdleTimeouts}
    */
-  getDuration() {
-    return this.timeoutDuration;
+  getTimeouts() {
+    return { ...this.timeouts };
   }
 
   /**
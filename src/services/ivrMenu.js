@@ -0,0 +1,241 @@
+import twilio from 'twilio';
+import { DTMFHelper } from './dtmfHelper.js';
+import { config } from '../config.js';
+
+const { twiml } = twilio;
+
+/**
+ * IVR Menu
+ * Phone tree played to inbound callers before the agent takes over (IVR_MENU_PATH)
+ *
+ * Each menu is a <Gather> of one key, checked as a DTMFHelper menu selection
+ * against the menu's options. An option opens a submenu or routes the call: to
+ * the agent (a specific agent ID and/or language), to a TaskRouter queue or to a
+ * voicemail box. Callers who press nothing or invalid keys hear the menu again,
+ * up to `retries` times, and then go to the `noInput` route (the agent by default).
+ *
+ * A call's position in the tree is the keys pressed so far, carried in the
+ * webhook URLs, so no state is kept between webhooks.
+ */
+
+/**
+ * Path a caller took through the menu, passed to the session context
+ * @typedef {Object} IvrSelection
+ * @property {string} keys - Keys pressed, in order (e.g., '21')
+ * @property {string[]} path - Labels of the options chosen (e.g., ['Technical support', 'Internet'])
+ * @property {string} [agentId] - Agent chosen (AGENT_ID if omitted)
+ * @property {string} [language] - Language chosen
+ */
+
+/**
+ * Menu reached with some keys
+ * @typedef {Object} IvrPosition
+ * @property {string} name - Menu name
+ * @property {import('../types/index.js').IvrMenu} menu - Menu
+ * @property {string[]} path - Labels of the options chosen to get there
+ */
+
+/**
+ * Label of an option, for the path
+ * @param {import('../types/index.js').IvrRoute} route - Option
+ * @param {string} key - Key of the option
+ * @returns {string}
+ */
+function labelOf(route, key) {
+  return route.label || `Option ${key}`;
+}
+
+/**
+ * Find the menu reached by pressing keys from the start menu
+ * @param {string} keys - Keys pressed, each opening a submenu
+ * @returns {IvrPosition | null} Menu, or null if the keys do not lead to one (e.g., the menu file changed)
+ */
+export function resolveKeys(keys) {
+  let name = config.ivr.start;
+  const path = [];
+
+  for (const key of keys) {
+    const route = config.ivr.menus[name].options?.[key];
+    if (!route?.menu) return null;
+    path.push(labelOf(route, key));
+    name = route.menu;
+  }
+
+  return { name, menu: config.ivr.menus[name], path };
+}
+
+/**
+ * Check a key against a menu's options
+ * @param {import('../types/index.js').IvrMenu} menu - Menu
+ * @param {string} digit - Key pressed
+ * @returns {import('../types/index.js').IvrRoute | null} Chosen option, or null if the key is not an option
+ */
+export function selectOption(menu, digit) {
+  const dtmfHelper = new DTMFHelper(DTMFHelper.States.MENU);
+  dtmfHelper.setState(DTMFHelper.States.MENU, { choices: Object.keys(menu.options || {}) });
+  dtmfHelper.processDTMF(digit);
+
+  const result = dtmfHelper.getResult();
+  return result?.valid ? menu.options[result.value] : null;
+}
+
+/**
+ * Describe where a route leads, for the path of the selection
+ * @param {import('../types/index.js').IvrRoute} route - Option or the no-input route
+ * @param {string} keys - Keys pressed to reach the menu
+ * @param {string[]} path - Labels of the options chosen to reach the menu
+ * @param {string} [key] - Key that chose the route (none for the no-input route)
+ * @returns {IvrSelection}
+ */
+export function buildSelection(route, keys, path, key) {
+  return {
+    keys: key ? `${keys}${key}` : keys,
+    path: key ? [...path, labelOf(route, key)] : [...path, route.label || 'No selection'],
+    ...(route.agent && route.agent !== 'default' ? { agentId: route.agent } : {}),
+    ...(route.language ? { language: route.language } : {})
+  };
+}
+
+/**
+ * Read the selection passed to the session in the "ivr" custom parameter
+ * @param {string} [value] - Parameter value (JSON)
+ * @returns {IvrSelection | null}
+ */
+export function parseIvrSelection(value) {
+  if (!value) return null;
+
+  try {
+    const selection = JSON.parse(value);
+    if (typeof selection?.keys !== 'string' || !Array.isArray(selection.path)) {
+      return null;
+    }
+    return selection;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build an IVR webhook URL on this server
+ * @param {string} path - Path (e.g., '/api/ivr/menu')
+ * @param {Object<string, string | number | undefined>} [query] - Query parameters (empty values are left out)
+ * @returns {string}
+ */
+function ivrUrl(path, query = {}) {
+  const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+  const search = params.toString();
+  return `https://${config.ngrok.domain}${path}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Attributes of the menu's <Say> verbs
+ * @returns {Object}
+ */
+function sayAttributes() {
+  return {
+    language: config.language.locale_code,
+    ...(config.ivr.voice ? { voice: config.ivr.voice } : {})
+  };
+}
+
+/**
+ * Render a menu: its prompt, gathering one key
+ * @param {string} keys - Keys pressed to reach the menu ('' for the start menu)
+ * @param {Object} [options]
+ * @param {number} [options.attempt] - Times the menu was already played
+ * @param {boolean} [options.invalid] - Say that the last key was not an option first
+ * @returns {string} TwiML document
+ */
+export function buildMenuTwiml(keys, { attempt = 0, invalid = false } = {}) {
+  const { menu } = resolveKeys(keys);
+  const response = new twiml.VoiceResponse();
+
+  if (invalid) {
+    response.say(sayAttributes(), config.ivr.invalidPrompt);
+  }
+
+  const gather = response.gather({
+    input: 'dtmf',
+    numDigits: 1,
+    timeout: config.ivr.timeoutSeconds,
+    // Every key can be an option, so none ends the input
+    finishOnKey: '',
+    // No key also goes to the action, to repeat the menu
+    actionOnEmptyResult: true,
+    method: 'POST',
+    action: ivrUrl('/api/ivr/menu', { keys, attempt })
+  });
+  gather.say(sayAttributes(), menu.prompt);
+
+  return response.toString();
+}
+
+/**
+ * Render the transfer to a TaskRouter queue
+ * @param {import('../types/index.js').IvrRoute} route - Queue option
+ * @param {IvrSelection} selection - Path to the option
+ * @param {import('../types/index.js').CallDetails} callData - Call details from the webhook
+ * @returns {string} TwiML document
+ */
+export function buildQueueTwiml(route, selection, callData) {
+  const response = new twiml.VoiceResponse();
+  if (route.say) {
+    response.say(sayAttributes(), route.say);
+  }
+
+  const enqueue = response.enqueue({ workflowSid: route.workflowSid || config.twilio.workflowSid });
+  enqueue.task({}, JSON.stringify({
+    type: 'IVR_transfer',
+    queue: route.queue,
+    reason: `Chose ${selection.path.join(' > ')} in the phone menu`,
+    ivrPath: selection.path,
+    from: callData.From || callData.Caller,
+    timestamp: new Date().toISOString()
+  }));
+
+  return response.toString();
+}
+
+/**
+ * Render a voicemail box: its prompt and the recording
+ * @param {import('../types/index.js').IvrRoute} route - Voicemail option
+ * @returns {string} TwiML document
+ */
+export function buildVoicemailTwiml(route) {
+  const box = config.ivr.voicemail[route.voicemail];
+  const response = new twiml.VoiceResponse();
+
+  response.say(sayAttributes(), route.say ? `${route.say} ${box.prompt}` : box.prompt);
+  response.record({
+    maxLength: box.maxLengthSeconds,
+    playBeep: true,
+    finishOnKey: '#',
+    method: 'POST',
+    action: ivrUrl('/api/ivr/voicemail', { box: route.voicemail })
+  });
+
+  return response.toString();
+}
+
+/**
+ * Render the end of a voicemail: thanks, then hang up
+ * @param {string} boxName - Voicemail box
+ * @returns {string} TwiML document
+ */
+export function buildVoicemailThanksTwiml(boxName) {
+  const response = new twiml.VoiceResponse();
+  response.say(sayAttributes(), config.ivr.voicemail[boxName]?.thanks || 'Thank you. Goodbye.');
+  response.hangup();
+  return response.toString();
+}
+
+export default {
+  resolveKeys,
+  selectOption,
+  buildSelection,
+  parseIvrSelection,
+  buildMenuTwiml,
+  buildQueueTwiml,
+  buildVoicemailTwiml,
+  buildVoicemailThanksTwiml
+};
@@ -0,0 +1,204 @@
+import { config } from '../config.js';
+
+/**
+ * Language Detector
+ * Picks the caller's language during the first turns of a call, either from
+ * what they say (word-list heuristic) or from a DTMF language menu
+ *
+ * Detection is open until a language is chosen or the configured number of
+ * caller prompts has been inspected; after that the language is locked
+ */
+
+/**
+ * @typedef {import('../config.js').LanguageOption} LanguageOption
+ */
+
+/**
+ * @typedef {Object} LanguageDetectionState
+ * @property {boolean} locked - Whether detection has finished
+ * @property {number} turns - Caller prompts inspected so far
+ * @property {string | null} source - How the language was chosen ('speech' or 'menu')
+ */
+
+/**
+ * Common words per language code, with a weight for how strongly they indicate the language
+ * Greetings and thanks weigh more because callers often open with them alone
+ * @type {Object<string, Object<string, number>>}
+ */
+const LANGUAGE_WORDS = {
+  en: {
+    hello: 2, hi: 2, thanks: 2, thank: 2, please: 2,
+    the: 1, and: 1, is: 1, are: 1, you: 1, i: 1, my: 1, to: 1, of: 1, it: 1, what: 1,
+    how: 1, can: 1, yes: 1, this: 1, that: 1, with: 1, for: 1, have: 1, need: 1, want: 1, help: 1
+  },
+  es: {
+    hola: 2, gracias: 2, quiero: 2, necesito: 2, favor: 2, buenos: 2, buenas: 2,
+    el: 1, los: 1, las: 1, que: 1, y: 1, es: 1, en: 1, una: 1, por: 1, para: 1, con: 1, mi: 1,
+    yo: 1, sí: 1, qué: 1, cómo: 1, como: 1, está: 1, estoy: 1, tengo: 1, puede: 1, usted: 1, ayuda: 1
+  },
+  fr: {
+    bonjour: 2, merci: 2, voudrais: 2, plaît: 2, oui: 2,
+    le: 1, les: 1, des: 1, et: 1, est: 1, une: 1, je: 1, vous: 1, pour: 1, avec: 1, mon: 1,
+    ma: 1, non: 1, besoin: 1, aide: 1, comment: 1, suis: 1, pas: 1, du: 1, au: 1, qu: 1, il: 1
+  }
+};
+
+/**
+ * Characters that only appear in one of the supported languages
+ * @type {Object<string, RegExp>}
+ */
+const LANGUAGE_CHARACTERS = {
+  es: /[ñ¿¡]/,
+  fr: /[çœàèêëîôû]/
+};
+
+/** Minimum score for a detection to count */
+const MIN_SCORE = 2;
+
+/**
+ * Score a text against the supported languages
+ * @param {string} text - Caller utterance
+ * @param {LanguageOption[]} [languages] - Candidate languages (defaults to the catalog)
+ * @returns {{language: LanguageOption | null, scores: Object<string, number>}}
+ *   Best language, or null if no language clearly wins
+ */
+export function detectLanguage(text, languages = Object.values(config.languages)) {
+  const normalized = (text || '').toLowerCase();
+  const words = normalized.match(/\p{L}+/gu) || [];
+
+  /** @type {Object<string, number>} */
+  const scores = {};
+  for (const language of languages) {
+    const weights = LANGUAGE_WORDS[language.code] || {};
+    let score = words.reduce((total, word) => total + (weights[word] || 0), 0);
+    if (LANGUAGE_CHARACTERS[language.code]?.test(normalized)) {
+      score += 2;
+    }
+    scores[language.code] = score;
+  }
+
+  const ranked = languages
+    .map(language => ({ language, score: scores[language.code] }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = ranked;
+  if (!best || best.score < MIN_SCORE || (second && second.score >= best.score)) {
+    return { language: null, scores };
+  }
+
+  return { language: best.language, scores };
+}
+
+export class LanguageDetector {
+  /**
+   * @param {Object} [options] - Detection options (defaults to config.languageDetection)
+   * @param {'off' | 'speech' | 'menu' | 'both'} [options.mode] - Detection mode
+   * @param {number} [options.maxTurns] - Caller prompts inspected before the language is locked
+   * @param {Object<string, string>} [options.menu] - Keypad digit to language code
+   */
+  constructor(options = {}) {
+    const { mode, maxTurns, menu } = { ...config.languageDetection, ...options };
+
+    this.mode = mode;
+    this.maxTurns = maxTurns;
+    this.menu = menu;
+
+    /** @type {LanguageDetectionState} */
+    this.state = {
+      locked: mode === 'off',
+      turns: 0,
+      source: null
+    };
+  }
+
+  /**
+   * Whether caller speech is still being inspected
+   * @returns {boolean}
+   */
+  isDetectingSpeech() {
+    return !this.state.locked && (this.mode === 'speech' || this.mode === 'both');
+  }
+
+  /**
+   * Whether keypad digits are still treated as language menu choices
+   * @returns {boolean}
+   */
+  isMenuActive() {
+    return !this.state.locked && (this.mode === 'menu' || this.mode === 'both');
+  }
+
+  /**
+   * Inspect a caller prompt
+   * Locks the language once it is detected or the turn limit is reached
+   * @param {string} text - Caller utterance
+   * @returns {LanguageOption | null} Detected language, or null if undecided
+   */
+  detectFromSpeech(text) {
+    if (this.state.locked) return null;
+
+    this.state.turns++;
+
+    const language = this.isDetectingSpeech() ? detectLanguage(text).language : null;
+    if (language) {
+      this._lock('speech');
+      return language;
+    }
+
+    if (this.state.turns >= this.maxTurns) {
+      this._lock(null);
+    }
+    return null;
+  }
+
+  /**
+   * Handle a keypad digit while the language menu is active
+   * @param {string} digit - Digit pressed
+   * @returns {LanguageOption | null} Chosen language, or null if the digit is not a menu option
+   */
+  selectFromMenu(digit) {
+    if (!this.isMenuActive()) return null;
+
+    const language = config.languages[this.menu[digit]];
+    if (!language) return null;
+
+    this._lock('menu');
+    return language;
+  }
+
+  /**
+   * Stop detecting (e.g., the language was chosen another way)
+   */
+  lock() {
+    this._lock(this.state.source);
+  }
+
+  /**
+   * Get state for persistence
+   * @returns {LanguageDetectionState}
+   */
+  getState() {
+    return { ...this.state };
+  }
+
+  /**
+   * Restore state (for reconnection)
+   * @param {LanguageDetectionState} [state] - Saved state
+   */
+  restoreState(state) {
+    if (state) {
+      this.state = { ...this.state, ...state };
+    }
+  }
+
+  /**
+   * Lock the detected language
+   * @private
+   * @param {string | null} source - How the language was chosen
+   */
+  _lock(source) {
+    this.state.locked = true;
+    this.state.source = source;
+  }
+}
+
+export default LanguageDetector;
@@ -0,0 +1,193 @@
+import { randomUUID } from 'crypto';
+import { createStore } from './storage/index.js';
+import { config } from '../config.js';
+
+/**
+ * Outbound Context
+ * Per-call context for outbound calls (purpose, customer record, greeting, agent)
+ *
+ * The context is saved under a context ID when the call is placed. The ID travels
+ * in the TwiML URL and then as a <Parameter>, so the TwiML webhook can speak the
+ * greeting and the WebSocket session can hand the context to the agent before the
+ * first turn.
+ */
+
+/**
+ * Context payload accepted by POST /api/outbound/initiate
+ * @typedef {Object} OutboundContext
+ * @property {string} [purpose] - Why the call is placed (e.g., 'appointment reminder')
+ * @property {Object} [customer] - Customer record shared with the agent
+ * @property {string} [greeting] - Welcome greeting template ({{customer.firstName}}, {{purpose}})
+ * @property {string} [agentId] - Azure AI agent for this call (defaults to AGENT_ID)
+ * @property {string} [voicemail] - Voicemail template when an answering machine picks up ({{from}}, {{customer.firstName}}, ...)
+ * @property {CallbackContext} [callback] - Set by the call scheduler when the call is a callback (not accepted from requests)
+ */
+
+/**
+ * Earlier call that a callback follows up on
+ * @typedef {Object} CallbackContext
+ * @property {string} [callSid] - Call on which the callback was requested
+ * @property {string} [threadId] - Agent thread of that call, resumed by the callback
+ * @property {string} [reason] - What the customer wants to be called back about
+ * @property {string} [summary] - Summary of the earlier conversation
+ * @property {string} requestedAt - When the callback was requested (ISO 8601)
+ */
+
+/** Size limits for context values */
+const LIMITS = {
+  purpose: 500,
+  greeting: 1000,
+  voicemail: 1000,
+  customer: 4000
+};
+
+/**
+ * Check a context payload
+ * @param {any} context - Context from the request body
+ * @returns {string | null} Problem description, or null if the context is valid
+ */
+export function validateOutboundContext(context) {
+  if (typeof context !== 'object' || context === null || Array.isArray(context)) {
+    return '"context" must be an object';
+  }
+
+  const { purpose, customer, greeting, agentId, voicemail } = context;
+  if (purpose !== undefined && (typeof purpose !== 'string' || purpose.length > LIMITS.purpose)) {
+    return `"context.purpose" must be a string of at most ${LIMITS.purpose} characters`;
+  }
+  if (greeting !== undefined && (typeof greeting !== 'string' || greeting.length > LIMITS.greeting)) {
+    return `"context.greeting" must be a string of at most ${LIMITS.greeting} characters`;
+  }
+  if (voicemail !== undefined && (typeof voicemail !== 'string' || voicemail.length > LIMITS.voicemail)) {
+    return `"context.voicemail" must be a string of at most ${LIMITS.voicemail} characters`;
+  }
+  if (customer !== undefined) {
+    if (typeof customer !== 'object' || customer === null || Array.isArray(customer)) {
+      return '"context.customer" must be an object';
+    }
+    if (JSON.stringify(customer).length > LIMITS.customer) {
+      return `"context.customer" must be at most ${LIMITS.customer} characters as JSON`;
+    }
+  }
+  if (agentId !== undefined && (typeof agentId !== 'string' || !/^[\w-]{1,128}$/.test(agentId))) {
+    return '"context.agentId" must be an agent ID (e.g., asst_...)';
+  }
+
+  const unknown = Object.keys(context).filter(key => !['purpose', 'customer', 'greeting', 'agentId', 'voicemail'].includes(key));
+  if (unknown.length > 0) {
+    return `Unknown context field(s): ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Fill in a greeting template from the context
+ * Placeholders are paths into the context, e.g. {{customer.firstName}} or {{purpose}}
+ * @param {string} template - Greeting template
+ * @param {OutboundContext} context - Call context
+ * @returns {string}
+ */
+export function renderGreeting(template, context) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+    const value = key.split('.').reduce((object, part) => object?.[part], context);
+    return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+  });
+}
+
+/**
+ * Get the welcome greeting for a call placed with a context
+ * @param {OutboundContext | null} context - Call context
+ * @returns {string} The context's greeting, the callback greeting, or WELCOME_GREETING
+ */
+export function getContextGreeting(context) {
+  if (context?.greeting) {
+    return renderGreeting(context.greeting, context);
+  }
+  if (context?.callback) {
+    if (config.scheduler.callbackGreeting) {
+      return renderGreeting(config.scheduler.callbackGreeting, context);
+    }
+    return context.callback.reason
+      ? `Hello, you asked us to call you back about ${context.callback.reason}.`
+      : 'Hello, you asked us to call you back.';
+  }
+  return config.twilio.welcomeGreeting;
+}
+
+/**
+ * Build the notice that gives the agent the call context before the first turn
+ * @param {OutboundContext} context - Call context
+ * @param {string} [greeting] - Greeting already spoken to the customer
+ * @returns {string}
+ */
+export function buildContextNotice(context, greeting) {
+  const lines = ['SYSTEM NOTICE: This is an outbound call placed by us.'];
+  if (context.purpose) {
+    lines.push(`Purpose of the call: ${context.purpose}.`);
+  }
+  if (context.customer) {
+    lines.push(`Customer record: ${JSON.stringify(context.customer)}`);
+  }
+  if (context.callback) {
+    const { callback } = context;
+    lines.push(`This is the callback the customer asked for on ${callback.requestedAt}${callback.reason ? ` about: ${callback.reason}` : ''}.`);
+    if (callback.summary) {
+      lines.push(`Summary of the earlier call: ${callback.summary}`);
+    }
+    if (callback.threadId) {
+      lines.push('The earlier conversation is above on this thread. Pick up where it left off.');
+    }
+  }
+  if (greeting) {
+    lines.push(`The customer has already heard this greeting: "${greeting}". Continue the conversation from there.`);
+  }
+  return lines.join('\n');
+}
+
+export class OutboundContextStore {
+  /** @type {OutboundContextStore} */
+  static instance = null;
+
+  /**
+   * @param {import('./storage/index.js').KeyValueStore} [store] - Storage adapter (defaults to the configured store)
+   */
+  constructor(store = createStore('outbound-context')) {
+    /** @type {import('./storage/index.js').KeyValueStore} */
+    this.store = store;
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {OutboundContextStore}
+   */
+  static getInstance() {
+    if (!OutboundContextStore.instance) {
+      OutboundContextStore.instance = new OutboundContextStore();
+    }
+    return OutboundContextStore.instance;
+  }
+
+  /**
+   * Save a context for a call about to be placed
+   * @param {OutboundContext} context - Call context
+   * @returns {Promise<string>} Context ID
+   */
+  async save(context) {
+    const contextId = randomUUID();
+    await this.store.set(contextId, context, config.storage.sessionTtlMs);
+    return contextId;
+  }
+
+  /**
+   * Load a saved context
+   * @param {string} contextId - Context ID
+   * @returns {Promise<OutboundContext | null>} Context, or null if unknown or expired
+   */
+  async load(contextId) {
+    if (!contextId) return null;
+    return this.store.get(contextId);
+  }
+}
+
+export default OutboundContextStore;
@@ -0,0 +1,161 @@
+import { createStore } from './storage/index.js';
+import { config } from '../config.js';
+
+/**
+ * Outbound Limiter
+ * Per-key rate limit (calls per minute) and daily cap (calls per UTC day) for
+ * the outbound call API
+ *
+ * Counters live in OUTBOUND_USAGE_STORE (files by default), so daily caps
+ * survive restarts and, with Redis, are shared by replicas. Checks within one
+ * process are serialized; replicas may overshoot a limit by a call or two.
+ *
+ * Calls the compliance checks block are given back (release), so they do not
+ * use up the limits.
+ */
+
+/**
+ * @typedef {import('../types/index.js').OutboundApiKey} OutboundApiKey
+ */
+
+/**
+ * Result of a limit check
+ * @typedef {Object} LimitResult
+ * @property {boolean} allowed - Whether the call may be placed
+ * @property {'rate_limited' | 'daily_cap_reached'} [reason] - Why the call was refused
+ * @property {number} [retryAfterSeconds] - When the refused call may be retried
+ * @property {number} remainingToday - Calls left under the daily cap
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export class OutboundLimiter {
+  /** @type {OutboundLimiter} */
+  static instance = null;
+
+  /**
+   * @param {import('./storage/index.js').KeyValueStore} [store] - Storage adapter (defaults to OUTBOUND_USAGE_STORE)
+   */
+  constructor(store = createStore('outbound-usage', config.outbound.usageBackend)) {
+    /** @type {import('./storage/index.js').KeyValueStore} */
+    this.store = store;
+
+    /** @type {Promise<any>} - Serializes read-modify-write of the counters */
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {OutboundLimiter}
+   */
+  static getInstance() {
+    if (!OutboundLimiter.instance) {
+      OutboundLimiter.instance = new OutboundLimiter();
+    }
+    return OutboundLimiter.instance;
+  }
+
+  /**
+   * Count a call against a key's limits, unless a limit is reached
+   * @param {OutboundApiKey} apiKey - Authenticated key
+   * @returns {Promise<LimitResult>}
+   */
+  consume(apiKey) {
+    const result = this._queue.then(() => this._consume(apiKey));
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Give back a counted call that was not placed (e.g., blocked by the compliance checks)
+   * @param {OutboundApiKey} apiKey - Key the call was counted against
+   * @returns {Promise<void>}
+   */
+  release(apiKey) {
+    const result = this._queue.then(() => this._release(apiKey));
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get a key's usage for the current minute and day
+   * @param {OutboundApiKey} apiKey - API key
+   * @returns {Promise<{minute: number, day: number}>}
+   */
+  async getUsage(apiKey) {
+    const { minuteKey, dayKey } = this._keys(apiKey, Date.now());
+    return {
+      minute: (await this.store.get(minuteKey)) || 0,
+      day: (await this.store.get(dayKey)) || 0
+    };
+  }
+
+  /**
+   * @private
+   * @param {OutboundApiKey} apiKey - Authenticated key
+   * @returns {Promise<LimitResult>}
+   */
+  async _consume(apiKey) {
+    const now = Date.now();
+    const { minuteKey, dayKey } = this._keys(apiKey, now);
+    const minuteCount = (await this.store.get(minuteKey)) || 0;
+    const dayCount = (await this.store.get(dayKey)) || 0;
+
+    if (dayCount >= apiKey.dailyCap) {
+      return {
+        allowed: false,
+        reason: 'daily_cap_reached',
+        retryAfterSeconds: Math.ceil((DAY_MS - (now % DAY_MS)) / 1000),
+        remainingToday: 0
+      };
+    }
+
+    if (minuteCount >= apiKey.rateLimitPerMinute) {
+      return {
+        allowed: false,
+        reason: 'rate_limited',
+        retryAfterSeconds: Math.ceil((MINUTE_MS - (now % MINUTE_MS)) / 1000),
+        remainingToday: apiKey.dailyCap - dayCount
+      };
+    }
+
+    await this.store.set(minuteKey, minuteCount + 1, 2 * MINUTE_MS);
+    await this.store.set(dayKey, dayCount + 1, 2 * DAY_MS);
+
+    return { allowed: true, remainingToday: apiKey.dailyCap - dayCount - 1 };
+  }
+
+  /**
+   * @private
+   * @param {OutboundApiKey} apiKey - Key the call was counted against
+   */
+  async _release(apiKey) {
+    const { minuteKey, dayKey } = this._keys(apiKey, Date.now());
+    const minuteCount = (await this.store.get(minuteKey)) || 0;
+    const dayCount = (await this.store.get(dayKey)) || 0;
+
+    if (minuteCount > 0) {
+      await this.store.set(minuteKey, minuteCount - 1, 2 * MINUTE_MS);
+    }
+    if (dayCount > 0) {
+      await this.store.set(dayKey, dayCount - 1, 2 * DAY_MS);
+    }
+  }
+
+  /**
+   * Counter keys for the minute and UTC day of a timestamp
+   * @private
+   * @param {OutboundApiKey} apiKey - API key
+   * @param {number} now - Timestamp
+   * @returns {{minuteKey: string, dayKey: string}}
+   */
+  _keys(apiKey, now) {
+    return {
+      minuteKey: `${apiKey.id}:minute:${Math.floor(now / MINUTE_MS)}`,
+      dayKey: `${apiKey.id}:day:${new Date(now).toISOString().slice(0, 10)}`
+    };
+  }
+}
+
+export default OutboundLimiter;
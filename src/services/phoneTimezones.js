@@ -0,0 +1,150 @@
+/**
+ * Phone Timezones
+ * Timezones of phone numbers, from the country code and, in North America, the
+ * area code
+ *
+ * Numbers are mapped by where they were issued, not where the callee is now
+ * (mobile numbers travel). Area codes that span timezones list each of them,
+ * so calling hours can be enforced in all of them. Countries and area codes
+ * not listed here have no known timezone.
+ */
+
+/** North American area codes (+1) by timezone */
+const AREA_CODES = {
+  'America/New_York': [
+    // CT, DC, DE, FL, GA, MA, MD, ME, MI, NC, NH, NJ, NY, OH, PA, RI, SC, VA, VT, WV, and eastern KY and TN
+    203, 475, 860, 959, 202, 771, 302,
+    239, 305, 321, 324, 352, 386, 407, 448, 561, 645, 656, 689, 727, 728, 754, 772, 786, 813, 863, 904, 941, 954,
+    229, 404, 470, 478, 678, 706, 762, 770, 912, 943,
+    339, 351, 413, 508, 617, 774, 781, 857, 978, 227, 240, 301, 410, 443, 667, 207,
+    231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 947, 989,
+    252, 336, 472, 704, 743, 828, 910, 919, 980, 984, 603,
+    201, 551, 609, 640, 732, 848, 856, 862, 908, 973,
+    212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934,
+    216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937,
+    215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878, 401,
+    803, 839, 843, 854, 864, 276, 434, 540, 571, 703, 757, 804, 826, 948, 802, 304, 681,
+    502, 606, 859, 423, 865
+  ],
+  'America/Indiana/Indianapolis': [260, 317, 463, 574, 765],
+  'America/Chicago': [
+    // AL, AR, IA, IL, LA, MN, MO, MS, OK, WI, most of TX, and western KY and TN
+    205, 251, 256, 334, 659, 938, 327, 479, 501, 870, 319, 515, 563, 641, 712,
+    217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 861, 872,
+    225, 318, 337, 504, 985, 218, 320, 507, 612, 651, 763, 952,
+    314, 417, 557, 573, 636, 660, 816, 975, 228, 601, 662, 769, 405, 539, 572, 580, 918,
+    262, 274, 414, 534, 608, 715, 920,
+    210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832, 903, 936, 940, 945, 956, 972, 979,
+    219, 316, 913, 402, 531, 615, 629, 731, 901
+  ],
+  'America/Denver': [303, 719, 720, 970, 983, 406, 505, 575, 385, 435, 801, 307, 915],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Los_Angeles': [
+    209, 213, 279, 310, 323, 341, 350, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650, 657, 661, 669,
+    707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951,
+    702, 725, 775, 458, 503, 971, 206, 253, 360, 425, 509, 564
+  ],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Puerto_Rico': [787, 939],
+  'America/Toronto': [
+    226, 249, 289, 343, 365, 382, 416, 437, 519, 548, 613, 647, 683, 705, 742, 753, 905,
+    263, 354, 367, 418, 438, 450, 468, 514, 579, 581, 819, 873
+  ],
+  'America/Winnipeg': [204, 431, 584],
+  'America/Regina': [306, 474, 639],
+  'America/Edmonton': [368, 403, 587, 780, 825],
+  'America/Vancouver': [236, 257, 604, 672, 778],
+  'America/Moncton': [428, 506],
+  'America/Halifax': [782, 902],
+  'America/St_Johns': [709, 879]
+};
+
+/** North American area codes that span timezones */
+const SPLIT_AREA_CODES = {
+  208: ['America/Boise', 'America/Los_Angeles'],
+  986: ['America/Boise', 'America/Los_Angeles'],
+  250: ['America/Vancouver', 'America/Edmonton'],
+  270: ['America/Chicago', 'America/New_York'],
+  364: ['America/Chicago', 'America/New_York'],
+  308: ['America/Chicago', 'America/Denver'],
+  541: ['America/Los_Angeles', 'America/Boise'],
+  605: ['America/Chicago', 'America/Denver'],
+  620: ['America/Chicago', 'America/Denver'],
+  701: ['America/Chicago', 'America/Denver'],
+  785: ['America/Chicago', 'America/Denver'],
+  807: ['America/Toronto', 'America/Winnipeg'],
+  812: ['America/Indiana/Indianapolis', 'America/Chicago'],
+  930: ['America/Indiana/Indianapolis', 'America/Chicago'],
+  850: ['America/New_York', 'America/Chicago'],
+  906: ['America/New_York', 'America/Chicago'],
+  931: ['America/Chicago', 'America/New_York'],
+  867: ['America/Whitehorse', 'America/Yellowknife', 'America/Iqaluit']
+};
+
+/** Country codes (other than +1) by timezone; countries with several timezones list each of them */
+const COUNTRY_CODES = {
+  44: ['Europe/London'],
+  353: ['Europe/Dublin'],
+  351: ['Europe/Lisbon'],
+  33: ['Europe/Paris'],
+  49: ['Europe/Berlin'],
+  34: ['Europe/Madrid', 'Atlantic/Canary'],
+  39: ['Europe/Rome'],
+  31: ['Europe/Amsterdam'],
+  32: ['Europe/Brussels'],
+  41: ['Europe/Zurich'],
+  43: ['Europe/Vienna'],
+  45: ['Europe/Copenhagen'],
+  46: ['Europe/Stockholm'],
+  47: ['Europe/Oslo'],
+  48: ['Europe/Warsaw'],
+  358: ['Europe/Helsinki'],
+  30: ['Europe/Athens'],
+  52: ['America/Mexico_City', 'America/Cancun', 'America/Tijuana'],
+  55: ['America/Sao_Paulo', 'America/Manaus'],
+  54: ['America/Argentina/Buenos_Aires'],
+  56: ['America/Santiago'],
+  57: ['America/Bogota'],
+  27: ['Africa/Johannesburg'],
+  971: ['Asia/Dubai'],
+  972: ['Asia/Jerusalem'],
+  91: ['Asia/Kolkata'],
+  65: ['Asia/Singapore'],
+  81: ['Asia/Tokyo'],
+  82: ['Asia/Seoul'],
+  61: ['Australia/Sydney', 'Australia/Adelaide', 'Australia/Brisbane', 'Australia/Perth'],
+  64: ['Pacific/Auckland']
+};
+
+/** @type {Map<string, string[]>} - Timezones by area code */
+const areaCodeZones = new Map(Object.entries(SPLIT_AREA_CODES));
+for (const [zone, codes] of Object.entries(AREA_CODES)) {
+  for (const code of codes) {
+    if (!areaCodeZones.has(String(code))) {
+      areaCodeZones.set(String(code), [zone]);
+    }
+  }
+}
+
+/**
+ * Find the timezones of a phone number
+ * @param {string} number - Phone number (E.164 format)
+ * @returns {string[]} IANA timezones (empty if unknown)
+ */
+export function findTimezones(number) {
+  const digits = String(number || '').replace(/^\+/, '');
+
+  if (digits.startsWith('1')) {
+    return areaCodeZones.get(digits.slice(1, 4)) || [];
+  }
+
+  // Country codes are 1 to 3 digits and none is a prefix of another
+  for (const length of [1, 2, 3]) {
+    const zones = COUNTRY_CODES[digits.slice(0, length)];
+    if (zones) return zones;
+  }
+  return [];
+}
+
+export default { findTimezones };
@@ -0,0 +1,335 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import YAML from 'yaml';
+import { AgentBackend } from './agentBackend.js';
+import { createStore } from './storage/index.js';
+import { config } from '../config.js';
+
+/**
+ * Scripted Agent Service
+ * Offline, rule-based agent backend driven by a JSON/YAML conversation script
+ * Lets the whole server run without Azure access (local development, CI)
+ *
+ * Each turn, the caller's message is matched against the script rules in order.
+ * The first matching rule runs its tool calls (through the same tool pipeline as
+ * Azure, so handoff and language switch events fire) and streams its reply.
+ *
+ * Reply templates support:
+ * - {{1}}, {{2}}, ... - Regex capture groups from the matched rule
+ * - {{callSid}}, {{from}}, {{to}}, {{callerName}}, {{direction}} - Session context values
+ * - {{customParameters.<name>}} - Custom TwiML parameters
+ * - {{instructions}} - Additional run instructions the Azure backend would send
+ * - {{threadId}} - Current thread ID
+ * - {{turn}} - Number of agent replies on the thread, including this one
+ * - {{toolOutput}} - Output of the rule's last tool call
+ * - {{previousMessage}} - Thread message before the caller message (e.g. an interruption notice)
+ */
+
+/**
+ * @typedef {Object} ScriptRule
+ * @property {string | string[]} match - Case-insensitive regular expression(s) matched against the caller message
+ * @property {string} [reply] - Reply text (template)
+ * @property {Array<{name: string, arguments?: Object}>} [toolCalls] - Tools to call before replying
+ */
+
+/**
+ * @typedef {Object} ScriptedThread
+ * @property {Array<{role: string, content: string}>} messages - Thread messages
+ * @property {Object} metadata - Thread metadata
+ */
+
+/**
+ * @typedef {Object} ConversationScript
+ * @property {string} [name] - Script name (for logging)
+ * @property {number} [tokenDelayMs] - Delay between streamed tokens
+ * @property {ScriptRule[]} rules - Rules evaluated in order
+ * @property {string} [fallback] - Reply when no rule matches
+ */
+
+export class ScriptedAgentService extends AgentBackend {
+  /** @type {import('./storage/index.js').KeyValueStore} - Threads shared across sessions (reconnection), kept in the state store */
+  static threads = createStore('scripted-threads');
+
+  /** @type {Map<string, ConversationScript>} - Parsed scripts by file path */
+  static _scriptCache = new Map();
+
+  /**
+   * @param {string} sessionId - Unique session identifier (callSid)
+   * @param {Object} [options] - Backend options
+   * @param {string} [options.scriptPath] - Conversation script path (defaults to AGENT_SCRIPT_PATH)
+   */
+  constructor(sessionId, options = {}) {
+    super(sessionId);
+
+    /** @type {ConversationScript} */
+    this.script = ScriptedAgentService.loadScript(options.scriptPath || config.agent.scriptPath);
+
+    /** @type {Promise<string> | null} - In-flight thread creation */
+    this._threadPromise = null;
+  }
+
+  /**
+   * Load and validate a conversation script (cached per path)
+   * @param {string} scriptPath - Path to a .json, .yaml or .yml script
+   * @returns {ConversationScript}
+   * @throws {Error} if the script cannot be read or is invalid
+   */
+  static loadScript(scriptPath) {
+    if (!scriptPath) {
+      throw new Error('Scripted agent backend requires AGENT_SCRIPT_PATH');
+    }
+
+    const resolvedPath = path.resolve(scriptPath);
+    const cached = ScriptedAgentService._scriptCache.get(resolvedPath);
+    if (cached) return cached;
+
+    const source = fs.readFileSync(resolvedPath, 'utf8');
+    const script = /\.ya?ml$/i.test(resolvedPath) ? YAML.parse(source) : JSON.parse(source);
+
+    if (!script || !Array.isArray(script.rules)) {
+      throw new Error(`Invalid conversation script ${scriptPath}: "rules" must be an array`);
+    }
+
+    script.rules.forEach((rule, index) => {
+      if (!rule.match) {
+        throw new Error(`Invalid conversation script ${scriptPath}: rule ${index} has no "match"`);
+      }
+      if (!rule.reply && !rule.toolCalls) {
+        throw new Error(`Invalid conversation script ${scriptPath}: rule ${index} needs a "reply" or "toolCalls"`);
+      }
+      rule.patterns = (Array.isArray(rule.match) ? rule.match : [rule.match])
+        .map(pattern => new RegExp(pattern, 'i'));
+    });
+
+    console.log(` [ScriptedAgent] Loaded script "${script.name || scriptPath}" (${script.rules.length} rules)`);
+
+    ScriptedAgentService._scriptCache.set(resolvedPath, script);
+    return script;
+  }
+
+  /**
+   * Create a new thread for this conversation
+   * @param {Object} [metadata] - Optional thread metadata
+   * @returns {Promise<string>} Thread ID
+   */
+  async createThread(metadata = {}) {
+    if (!this._threadPromise) {
+      this._threadPromise = this._createThread(metadata).finally(() => {
+        this._threadPromise = null;
+      });
+    }
+    return this._threadPromise;
+  }
+
+  /**
+   * Create the thread (createThread() deduplicates concurrent calls)
+   * @private
+   * @param {Object} metadata - Thread metadata
+   * @returns {Promise<string>} Thread ID
+   */
+  async _createThread(metadata) {
+    const threadId = `thread_scripted_${randomUUID()}`;
+
+    await ScriptedAgentService.threads.set(threadId, {
+      messages: [],
+      metadata: {
+        sessionId: this.sessionId,
+        createdAt: new Date().toISOString(),
+        ...metadata
+      }
+    }, config.storage.sessionTtlMs);
+
+    this.threadId = threadId;
+
+    if (config.debug) {
+      console.log(` [${this.sessionId}] Thread created: ${this.threadId}`);
+    }
+
+    return this.threadId;
+  }
+
+  /**
+   * Add a user message to the thread
+   * @param {string} content - Message content
+   * @returns {Promise<Object>} Message object
+   */
+  async addMessage(content) {
+    const message = { role: 'user', content };
+    const thread = await this._loadThread();
+    thread.messages.push(message);
+    await this._saveThread(thread);
+
+    if (config.debug) {
+      console.log(` [${this.sessionId}] Adding message to thread ${this.threadId}`);
+      console.log(`   Content: ${content.substring(0, 100)}${content.length > 100 ? '...' : ''}`);
+    }
+
+    return message;
+  }
+
+  /**
+   * Generate the scripted reply for the last caller message and stream it
+   * @returns {Promise<void>}
+   */
+  async streamResponse() {
+    const thread = await this._loadThread();
+    const lastIndex = thread.messages.findLastIndex(message => message.role === 'user');
+    const lastMessage = thread.messages[lastIndex];
+    const previousMessage = thread.messages[lastIndex - 1]?.content || '';
+
+    this.isStreaming = true;
+    this.emit('thinking');
+
+    try {
+      const { rule, groups } = this._findRule(lastMessage?.content || '');
+
+      // Run tool calls first, as Azure does when a run requires action
+      let toolOutput = '';
+      for (const [index, toolCall] of (rule?.toolCalls || []).entries()) {
+        const { output } = await this._executeToolCall({
+          id: `call_scripted_${index}`,
+          function: {
+            name: toolCall.name,
+            arguments: JSON.stringify(toolCall.arguments || {})
+          }
+        });
+        thread.messages.push({ role: 'tool', content: output });
+        toolOutput = output;
+
+        if (!this.isStreaming) return;
+      }
+
+      const template = rule ? rule.reply : this.script.fallback;
+      if (template) {
+        const turn = thread.messages.filter(message => message.role === 'assistant').length + 1;
+        const reply = this._renderTemplate(template, groups, turn, toolOutput, previousMessage);
+        const spoken = await this._streamText(reply);
+
+        // Persist the reply before reporting it complete, as Azure does
+        thread.messages.push({ role: 'assistant', content: spoken });
+        await this._saveThread(thread);
+
+        if (spoken !== reply) {
+          return;
+        }
+
+        this.emit('textComplete', reply);
+        console.log(` [${this.sessionId}] Agent: ${reply}`);
+      }
+
+      this.emit('runComplete');
+    } catch (error) {
+      console.error(` [${this.sessionId}] Script error:`, error);
+      this.emit('error', error);
+      throw error;
+    } finally {
+      this.isStreaming = false;
+      await this._saveThread(thread);
+    }
+  }
+
+  /**
+   * Find the first rule matching a caller message
+   * @private
+   * @param {string} content - Caller message
+   * @returns {{rule: ScriptRule | null, groups: string[]}}
+   */
+  _findRule(content) {
+    for (const rule of this.script.rules) {
+      for (const pattern of rule.patterns) {
+        const match = pattern.exec(content);
+        if (match) {
+          return { rule, groups: match.slice(1) };
+        }
+      }
+    }
+    return { rule: null, groups: [] };
+  }
+
+  /**
+   * Fill in reply template placeholders
+   * @private
+   * @param {string} template - Reply template
+   * @param {string[]} groups - Regex capture groups
+   * @param {number} turn - Agent reply number on this thread
+   * @param {string} [toolOutput] - Output of the rule's last tool call
+   * @param {string} [previousMessage] - Thread message before the caller message
+   * @returns {string}
+   */
+  _renderTemplate(template, groups, turn, toolOutput = '', previousMessage = '') {
+    const values = {
+      ...this.sessionContext,
+      instructions: this.getRunInstructions(),
+      threadId: this.threadId,
+      turn: String(turn),
+      toolOutput,
+      previousMessage
+    };
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+      if (/^\d+$/.test(key)) {
+        return groups[Number(key) - 1] ?? '';
+      }
+      const value = key.split('.').reduce((object, part) => object?.[part], values);
+      return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+    });
+  }
+
+  /**
+   * Emit text word by word, stopping early if interrupted
+   * @private
+   * @param {string} text - Text to stream
+   * @returns {Promise<string>} The text that was actually streamed
+   */
+  async _streamText(text) {
+    const tokens = text.match(/\S+\s*/g) || [];
+    const delay = this.script.tokenDelayMs ?? 20;
+    let streamed = '';
+
+    for (const token of tokens) {
+      if (!this.isStreaming) {
+        if (config.debug) {
+          console.log(` [${this.sessionId}] Stream interrupted by user`);
+        }
+        break;
+      }
+
+      this.emit('textDelta', token);
+      streamed += token;
+
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    return streamed;
+  }
+
+  /**
+   * Load the current thread
+   * @private
+   * @returns {Promise<ScriptedThread>}
+   * @throws {Error} if no thread is set
+   */
+  async _loadThread() {
+    if (!this.threadId) {
+      throw new Error('Thread ID not set. Call createThread() first.');
+    }
+
+    // Threads that expired (or were kept in another process' memory store) start empty
+    return (await ScriptedAgentService.threads.get(this.threadId)) || { messages: [], metadata: {} };
+  }
+
+  /**
+   * Save the current thread
+   * @private
+   * @param {ScriptedThread} thread - Thread to save
+   * @returns {Promise<void>}
+   */
+  async _saveThread(thread) {
+    await ScriptedAgentService.threads.set(this.threadId, thread, config.storage.sessionTtlMs);
+  }
+}
+
+export default ScriptedAgentService;
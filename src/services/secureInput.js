@@ -0,0 +1,237 @@
+import { randomBytes } from 'crypto';
+import { CollectionTypes, capitalize } from './dtmfCollectionTypes.js';
+import { config } from '../config.js';
+
+/**
+ * Secure Input Vault
+ * Takes sensitive keypad entries (PINs, card numbers, SSNs) out of the
+ * conversation: the digits are verified locally and replaced with an opaque token,
+ * and the agent only sees the token, the last digits where the type allows it,
+ * and whether the value was verified
+ *
+ * A value is verified by the local verifier registered for its type
+ * (registerVerifier) or, for other types, by the vault adapter at
+ * SECURE_DTMF_VERIFY_URL. Without either the entry is only tokenized, and local
+ * tool handlers can look the digits up with the token (redeem) to use them.
+ *
+ * Entries are kept in memory only, never in the state store, so the digits are
+ * not written to files or Redis; they expire after SECURE_DTMF_TOKEN_TTL_MS and
+ * are discarded when the call ends.
+ */
+
+/**
+ * @typedef {import('./dtmfHelper.js').DTMFResult} DTMFResult
+ * @typedef {import('../types/index.js').SessionContext} SessionContext
+ */
+
+/**
+ * Checks a sensitive value (e.g., a PIN against the customer's account)
+ * @callback SecureInputVerifier
+ * @param {string} digits - Value entered
+ * @param {{type: string, sessionId: string, context: SessionContext | null}} details - Collection type and call
+ * @returns {boolean | Promise<boolean>} Whether the value is correct
+ */
+
+/**
+ * Sensitive entry held by the vault
+ * @typedef {Object} SecureEntry
+ * @property {string} digits - Value entered
+ * @property {string} type - Collection type
+ * @property {string} sessionId - Call the value was entered on
+ * @property {number} expiresAt - When the entry is dropped (ms since epoch)
+ */
+
+export class SecureInputVault {
+  /** @type {SecureInputVault} */
+  static instance = null;
+
+  /** @type {Map<string, SecureEntry>} - Entries by token */
+  entries = new Map();
+
+  /** @type {Map<string, SecureInputVerifier>} - Local verifiers by collection type */
+  verifiers = new Map();
+
+  /**
+   * Get singleton instance
+   * @returns {SecureInputVault}
+   */
+  static getInstance() {
+    if (!SecureInputVault.instance) {
+      SecureInputVault.instance = new SecureInputVault();
+    }
+    return SecureInputVault.instance;
+  }
+
+  /**
+   * Verify values of a collection type in process instead of with the vault adapter
+   * @param {string} type - Collection type (e.g., 'pin')
+   * @param {SecureInputVerifier} verifier - Verifier
+   * @throws {Error} if the type is unknown
+   */
+  registerVerifier(type, verifier) {
+    if (!CollectionTypes[type]) {
+      throw new Error(`Unknown DTMF collection type: ${type}`);
+    }
+    this.verifiers.set(type, verifier);
+    console.log(` [SecureInput] Registered verifier for ${type}`);
+  }
+
+  /**
+   * Verify and tokenize a valid sensitive entry
+   * @param {string} sessionId - Call the value was entered on
+   * @param {DTMFResult} result - Complete entry from the DTMF helper (with the digits)
+   * @param {SessionContext | null} [context] - Session context, for the verifier
+   * @returns {Promise<DTMFResult>} Entry without the digits: token and verification, or the problem
+   */
+  async protect(sessionId, result, context = null) {
+    const { type, value } = result;
+    const label = CollectionTypes[type].label;
+    const visible = CollectionTypes[type].visibleDigits || 0;
+    this._prune();
+
+    let verified = null;
+    try {
+      verified = await this._verify(value, { type, sessionId, context });
+    } catch (error) {
+      console.error(` [SecureInput] ${type} verification failed: ${error.message}`);
+      return { type, valid: false, sensitive: true, error: { code: 'verification_failed', message: `The ${label} could not be verified right now` } };
+    }
+
+    if (verified === false) {
+      console.log(` [SecureInput] ${type} not verified`);
+      return { type, valid: false, sensitive: true, error: { code: 'not_verified', message: `The ${label} is not correct` } };
+    }
+
+    const token = `sec_${randomBytes(12).toString('hex')}`;
+    this.entries.set(token, { digits: value, type, sessionId, expiresAt: Date.now() + config.secureInput.tokenTtlMs });
+
+    const lastDigits = visible > 0 ? value.slice(-visible) : undefined;
+    console.log(` [SecureInput] ${type} ${verified ? 'verified' : 'tokenized'}: ${token}`);
+    return {
+      type,
+      valid: true,
+      sensitive: true,
+      formatted: '*'.repeat(value.length - (lastDigits?.length || 0)) + (lastDigits || ''),
+      token,
+      ...(lastDigits ? { lastDigits } : {}),
+      verified
+    };
+  }
+
+  /**
+   * Get the digits behind a token (for local tool handlers)
+   * @param {string} token - Token from the entry
+   * @param {string} sessionId - Call asking; tokens only work on the call they were made on
+   * @returns {string | null} Digits, or null if the token is unknown, expired or from another call
+   */
+  redeem(token, sessionId) {
+    const entry = this.entries.get(token);
+    if (!entry || entry.sessionId !== sessionId) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(token);
+      return null;
+    }
+    return entry.digits;
+  }
+
+  /**
+   * Drop the entries of a call
+   * @param {string} sessionId - Call that ended
+   */
+  discard(sessionId) {
+    for (const [token, entry] of this.entries) {
+      if (entry.sessionId === sessionId) {
+        this.entries.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Check a value with the local verifier or the vault adapter
+   * @private
+   * @param {string} digits - Value entered
+   * @param {{type: string, sessionId: string, context: SessionContext | null}} details - Collection type and call
+   * @returns {Promise<boolean | null>} Whether the value is correct (null: no verifier)
+   * @throws {Error} if the verifier fails or times out
+   */
+  async _verify(digits, details) {
+    const verifier = this.verifiers.get(details.type);
+    if (!verifier && !config.secureInput.verifyUrl) {
+      return null;
+    }
+
+    let timer = null;
+    try {
+      return await Promise.race([
+        verifier
+          ? Promise.resolve().then(() => verifier(digits, details)).then(Boolean)
+          : this._verifyWithAdapter(digits, details),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            reject(new Error(`Timed out after ${config.secureInput.verifyTimeoutMs}ms`));
+          }, config.secureInput.verifyTimeoutMs);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Ask the vault adapter to check a value
+   * POSTs {type, value, callSid, from, to} and expects {verified: boolean}
+   * @private
+   * @param {string} digits - Value entered
+   * @param {{type: string, sessionId: string, context: SessionContext | null}} details - Collection type and call
+   * @returns {Promise<boolean>}
+   * @throws {Error} if the adapter cannot be reached or answers with an error
+   */
+  async _verifyWithAdapter(digits, { type, sessionId, context }) {
+    const response = await fetch(config.secureInput.verifyUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.secureInput.verifyToken ? { Authorization: `Bearer ${config.secureInput.verifyToken}` } : {})
+      },
+      body: JSON.stringify({ type, value: digits, callSid: sessionId, from: context?.from, to: context?.to }),
+      signal: AbortSignal.timeout(config.secureInput.verifyTimeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Vault adapter answered ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (typeof body?.verified !== 'boolean') {
+      throw new Error('Vault adapter answer has no "verified" flag');
+    }
+    return body.verified;
+  }
+
+  /**
+   * Drop expired entries
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(token);
+      }
+    }
+  }
+}
+
+/**
+ * Describe a protected entry for the agent (e.g., 'Card number verified (ending 4242, token sec_...)')
+ * @param {DTMFResult} result - Entry returned by SecureInputVault.protect
+ * @returns {string}
+ */
+export function describeSecureInput(result) {
+  const details = [result.lastDigits ? `ending ${result.lastDigits}` : null, `token ${result.token}`].filter(Boolean);
+  return `${capitalize(CollectionTypes[result.type].label)} ${result.verified ? 'verified' : 'received'} (${details.join(', ')})`;
+}
+
+export default SecureInputVault;
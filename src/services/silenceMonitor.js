@@ -0,0 +1,124 @@
+import { EventEmitter } from 'events';
+import { config } from '../config.js';
+
+/**
+ * Silence Monitor
+ * Notices callers who stop responding after the agent has spoken
+ * The timer starts when the agent finishes a reply (textComplete) and stops when
+ * the caller speaks or presses a key. When it expires the caller is asked whether
+ * they are still there, up to CALLER_SILENCE_MAX_PROMPTS times; after that the
+ * call counts as abandoned and is ended, so it does not hold a session open.
+ *
+ * textComplete arrives while the reply is still being spoken, so the time the
+ * text takes to say is added to the timeout.
+ *
+ * Events:
+ * - 'prompt': Ask whether the caller is still there (data: { text: string, count: number })
+ * - 'abandoned': The caller did not answer the prompts (data: { text: string, prompts: number })
+ */
+
+/** Rough speaking time of text-to-speech, per character */
+const SPEECH_MS_PER_CHARACTER = 65;
+
+/**
+ * Silence settings
+ * @typedef {Object} SilenceSettings
+ * @property {number} timeoutMs - Silence before a prompt (0: off)
+ * @property {number} maxPrompts - Prompts before the call is abandoned
+ * @property {string} prompt - What to ask
+ * @property {string} goodbye - What to say before ending the call
+ */
+
+export class SilenceMonitor extends EventEmitter {
+  /**
+   * @param {SilenceSettings} [settings] - Silence settings (defaults to the CALLER_SILENCE_* configuration)
+   */
+  constructor(settings = config.silence) {
+    super();
+
+    /** @type {SilenceSettings} */
+    this.settings = settings;
+
+    /** @type {NodeJS.Timeout | null} */
+    this.timer = null;
+
+    /** @type {number} - Prompts since the caller last responded */
+    this.prompts = 0;
+  }
+
+  /**
+   * Start waiting for the caller after the agent (or a prompt) has spoken
+   * @param {string} [spokenText] - Text being said, whose speaking time is added
+   */
+  start(spokenText = '') {
+    this._clearTimer();
+    if (!this.settings.timeoutMs) return;
+
+    const duration = this.settings.timeoutMs + spokenText.length * SPEECH_MS_PER_CHARACTER;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._expire();
+    }, duration);
+  }
+
+  /**
+   * The caller responded: stop waiting and forget earlier prompts
+   */
+  stop() {
+    this._clearTimer();
+    this.prompts = 0;
+  }
+
+  /**
+   * Stop waiting while something else waits for the caller or the agent is busy (prompts are kept)
+   */
+  pause() {
+    this._clearTimer();
+  }
+
+  /**
+   * Check whether the timer is running
+   * @returns {boolean}
+   */
+  isRunning() {
+    return Boolean(this.timer);
+  }
+
+  /**
+   * Prompt the caller, or give up on the call
+   * @private
+   */
+  _expire() {
+    if (this.prompts >= this.settings.maxPrompts) {
+      console.log(` [SilenceMonitor] No response after ${this.prompts} prompt(s), ending the call`);
+      this.emit('abandoned', { text: this.settings.goodbye, prompts: this.prompts });
+      return;
+    }
+
+    this.prompts++;
+    console.log(` [SilenceMonitor] Caller silent, prompting (${this.prompts}/${this.settings.maxPrompts})`);
+    this.emit('prompt', { text: this.settings.prompt, count: this.prompts });
+    this.start(this.settings.prompt);
+  }
+
+  /**
+   * Clear the timer
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Cleanup resources
+   */
+  cleanup() {
+    this.stop();
+    this.removeAllListeners();
+  }
+}
+
+export default SilenceMonitor;
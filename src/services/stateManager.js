@@ -1,7 +1,14 @@
+import { createStore } from './storage/index.js';
+import { config } from '../config.js';
+
 /**
  * State Manager
  * Manages session state persistence for reconnection handling
  * Singleton pattern ensures single instance across the application
+ *
+ * State is kept in the configured storage adapter (STATE_STORE), so with the
+ * file or redis store a reconnect can be restored by a restarted process or
+ * another replica. Entries expire through the store's TTL.
  */
 
 /**
@@ -12,11 +19,16 @@ export class StateManager {
   /** @type {StateManager} */
   static instance = null;
 
-  /** @type {Map<string, AgentServiceState>} */
-  sessionStates = new Map();
+  /** @type {number} - How long saved state can be restored (default 30 minutes) */
+  static STATE_TIMEOUT = config.storage.sessionTtlMs;
 
-  /** @type {number} - 30 minutes in milliseconds */
-  static STATE_TIMEOUT = 30 * 60 * 1000;
+  /**
+   * @param {import('./storage/index.js').KeyValueStore} [store] - Storage adapter (defaults to the configured store)
+   */
+  constructor(store = createStore('sessions')) {
+    /** @type {import('./storage/index.js').KeyValueStore} */
+    this.store = store;
+  }
 
   /**
    * Get singleton instance
@@ -33,40 +45,31 @@ export class StateManager {
    * Save session state
    * @param {string} sessionId - Session identifier (callSid)
    * @param {AgentServiceState} state - State to save
+   * @returns {Promise<void>}
    */
-  saveState(sessionId, state) {
+  async saveState(sessionId, state) {
     console.log(` [StateManager] Saving state for session ${sessionId}`);
 
-    this.sessionStates.set(sessionId, {
+    await this.store.set(sessionId, {
       ...state,
       timestamp: Date.now()
-    });
-
-    // Trigger cleanup of old states
-    this.cleanupOldStates();
+    }, StateManager.STATE_TIMEOUT);
   }
 
   /**
    * Restore session state
    * @param {string} sessionId - Session identifier
-   * @returns {AgentServiceState | null} Restored state or null if not found/expired
+   * @returns {Promise<AgentServiceState | null>} Restored state or null if not found/expired
    */
-  restoreState(sessionId) {
-    const state = this.sessionStates.get(sessionId);
+  async restoreState(sessionId) {
+    const state = await this.store.get(sessionId);
 
     if (!state) {
       console.log(` [StateManager] No saved state found for session ${sessionId}`);
       return null;
     }
 
-    // Check if state is too old
     const age = Date.now() - state.timestamp;
-    if (age > StateManager.STATE_TIMEOUT) {
-      console.log(` [StateManager] State for session ${sessionId} has expired (age: ${Math.round(age / 1000 / 60)} minutes)`);
-      this.sessionStates.delete(sessionId);
-      return null;
-    }
-
     console.log(` [StateManager] Restoring state for session ${sessionId} (age: ${Math.round(age / 1000)} seconds)`);
     return state;
   }
@@ -74,77 +77,60 @@ export class StateManager {
   /**
    * Delete session state
    * @param {string} sessionId - Session identifier
+   * @returns {Promise<void>}
    */
-  deleteState(sessionId) {
-    if (this.sessionStates.has(sessionId)) {
+  async deleteState(sessionId) {
+    if (await this.store.delete(sessionId)) {
       console.log(`  [StateManager] Deleting state for session ${sessionId}`);
-      this.sessionStates.delete(sessionId);
     }
   }
 
   /**
    * Check if state exists for session
    * @param {string} sessionId - Session identifier
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  hasState(sessionId) {
-    return this.sessionStates.has(sessionId);
+  async hasState(sessionId) {
+    return (await this.store.get(sessionId)) !== null;
   }
 
   /**
-   * Get all active session IDs
-   * @returns {string[]}
+   * Get all session IDs with saved state
+   * @returns {Promise<string[]>}
    */
-  getActiveSessions() {
-    return Array.from(this.sessionStates.keys());
+  async getActiveSessions() {
+    return this.store.keys();
   }
 
   /**
-   * Get count of active sessions
-   * @returns {number}
+   * Get count of sessions with saved state
+   * @returns {Promise<number>}
    */
-  getSessionCount() {
-    return this.sessionStates.size;
-  }
-
-  /**
-   * Clean up expired states
-   * @private
-   */
-  cleanupOldStates() {
-    const now = Date.now();
-    let cleanedCount = 0;
-
-    for (const [sessionId, state] of this.sessionStates.entries()) {
-      const age = now - state.timestamp;
-      if (age > StateManager.STATE_TIMEOUT) {
-        this.sessionStates.delete(sessionId);
-        cleanedCount++;
-        console.log(` [StateManager] Cleaned up expired state for session ${sessionId}`);
-      }
-    }
-
-    if (cleanedCount > 0) {
-      console.log(` [StateManager] Cleaned up ${cleanedCount} expired session(s)`);
-    }
+  async getSessionCount() {
+    return (await this.store.keys()).length;
   }
 
   /**
    * Clear all states (for testing/debugging)
+   * @returns {Promise<void>}
    */
-  clearAll() {
-    const count = this.sessionStates.size;
-    this.sessionStates.clear();
+  async clearAll() {
+    const count = await this.getSessionCount();
+    await this.store.clear();
     console.log(`  [StateManager] Cleared all ${count} session state(s)`);
   }
 
   /**
    * Get statistics about stored states
-   * @returns {Object} Statistics object
+   * @returns {Promise<Object>} Statistics object
    */
-  getStats() {
+  async getStats() {
     const now = Date.now();
-    const states = Array.from(this.sessionStates.values());
+    const states = [];
+    for (const sessionId of await this.store.keys()) {
+      const state = await this.store.get(sessionId);
+      if (state) states.push(state);
+    }
 
     const stats = {
       totalSessions: states.length,
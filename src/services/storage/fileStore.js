@@ -0,0 +1,170 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * File Store
+ * Key-value store with one JSON file per entry, so state survives restarts and
+ * can be shared by replicas that mount the same volume
+ *
+ * Files are written to a temporary name and renamed into place, so readers never
+ * see a partial entry. Expired entries are removed when they are read or listed.
+ */
+
+/**
+ * @implements {import('./index.js').KeyValueStore}
+ */
+export class FileStore {
+  /**
+   * @param {string} directory - Directory for this store's entries (created if missing)
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+
+    /** @type {Promise<void> | null} */
+    this._ready = null;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Entry key
+   * @returns {Promise<any | null>} Stored value, or null if missing or expired
+   */
+  async get(key) {
+    const entry = await this._read(this._file(key));
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Entry key
+   * @param {any} value - JSON-serializable value
+   * @param {number} [ttlMs] - Time to live in ms (no expiry if omitted)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    await this._ensureDirectory();
+
+    const file = this._file(key);
+    const tempFile = `${file}.${randomUUID()}.tmp`;
+    const entry = {
+      key,
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    };
+
+    await fs.writeFile(tempFile, JSON.stringify(entry), 'utf8');
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} True if an entry was deleted
+   */
+  async delete(key) {
+    try {
+      await fs.unlink(this._file(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * List keys of entries that have not expired
+   * @returns {Promise<string[]>}
+   */
+  async keys() {
+    const keys = [];
+    for (const file of await this._listFiles()) {
+      const key = decodeURIComponent(file.slice(0, -'.json'.length));
+      if (await this.get(key) !== null) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Delete all entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    for (const file of await this._listFiles()) {
+      await fs.rm(path.join(this.directory, file), { force: true });
+    }
+  }
+
+  /**
+   * Release resources
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Create the store directory once
+   * @private
+   * @returns {Promise<void>}
+   */
+  _ensureDirectory() {
+    if (!this._ready) {
+      this._ready = fs.mkdir(this.directory, { recursive: true }).then(() => {});
+    }
+    return this._ready;
+  }
+
+  /**
+   * Get the file path for a key
+   * @private
+   * @param {string} key - Entry key
+   * @returns {string}
+   */
+  _file(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * List entry files
+   * @private
+   * @returns {Promise<string[]>}
+   */
+  async _listFiles() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files.filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Read and parse an entry file
+   * @private
+   * @param {string} file - Entry file path
+   * @returns {Promise<{key: string, value: any, expiresAt: number | null} | null>}
+   */
+  async _read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      if (error instanceof SyntaxError) {
+        console.warn(` [FileStore] Ignoring unreadable entry ${file}: ${error.message}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+export default FileStore;
@@ -0,0 +1,59 @@
+import path from 'path';
+import { MemoryStore } from './memoryStore.js';
+import { FileStore } from './fileStore.js';
+import { RedisStore } from './redisStore.js';
+import { config } from '../../config.js';
+
+/**
+ * Storage
+ * Key-value storage adapters used for state that must outlive a WebSocket
+ * connection (session state, threads of the scripted agent, ...)
+ *
+ * The adapter is selected with STATE_STORE:
+ * - memory: in-process (default, single instance only)
+ * - file: JSON files under STATE_STORE_DIR (survives restarts, shared volume for replicas)
+ * - redis: Redis at REDIS_URL (survives restarts, shared by replicas)
+ */
+
+/**
+ * Key-value store interface implemented by every adapter
+ * Values must be JSON-serializable; expired entries are never returned
+ * @typedef {Object} KeyValueStore
+ * @property {(key: string) => Promise<any | null>} get - Get a value (null if missing or expired)
+ * @property {(key: string, value: any, ttlMs?: number) => Promise<void>} set - Set a value with an optional TTL
+ * @property {(key: string) => Promise<boolean>} delete - Delete a value
+ * @property {() => Promise<string[]>} keys - List keys of live entries
+ * @property {() => Promise<void>} clear - Delete all entries
+ * @property {() => Promise<void>} close - Release connections
+ */
+
+/**
+ * Store factories by backend name
+ * @type {Object<string, (namespace: string) => KeyValueStore>}
+ */
+const stores = {
+  memory: () => new MemoryStore(),
+  file: (namespace) => new FileStore(path.join(config.storage.directory, namespace)),
+  redis: (namespace) => new RedisStore({
+    url: config.storage.redisUrl,
+    prefix: `${config.storage.keyPrefix}${namespace}:`
+  })
+};
+
+/**
+ * Create a store for a namespace
+ * @param {string} namespace - Store namespace (e.g., 'sessions')
+ * @param {string} [backend] - Backend name (defaults to STATE_STORE)
+ * @returns {KeyValueStore}
+ */
+export function createStore(namespace, backend = config.storage.backend) {
+  const factory = stores[backend];
+  if (!factory) {
+    throw new Error(`Unknown state store: ${backend} (available: ${Object.keys(stores).join(', ')})`);
+  }
+  return factory(namespace);
+}
+
+export { MemoryStore, FileStore, RedisStore };
+
+export default createStore;
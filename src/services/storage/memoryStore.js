@@ -0,0 +1,85 @@
+/**
+ * Memory Store
+ * In-process key-value store with per-entry TTL
+ * State is lost on restart and not shared between replicas
+ */
+
+/**
+ * @implements {import('./index.js').KeyValueStore}
+ */
+export class MemoryStore {
+  constructor() {
+    /** @type {Map<string, {value: any, expiresAt: number | null}>} */
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Entry key
+   * @returns {Promise<any | null>} Stored value, or null if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Entry key
+   * @param {any} value - JSON-serializable value
+   * @param {number} [ttlMs] - Time to live in ms (no expiry if omitted)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    this.entries.set(key, {
+      value: structuredClone(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} True if an entry was deleted
+   */
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * List keys of entries that have not expired
+   * @returns {Promise<string[]>}
+   */
+  async keys() {
+    const keys = [];
+    for (const key of this.entries.keys()) {
+      if (await this.get(key) !== null) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Delete all entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Release resources
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+export default MemoryStore;
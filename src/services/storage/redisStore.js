@@ -0,0 +1,129 @@
+import { createClient } from 'redis';
+
+/**
+ * Redis Store
+ * Key-value store backed by Redis (or a Redis-compatible service such as
+ * Azure Cache for Redis), shared by every replica of the server
+ *
+ * Values are stored as JSON under "<prefix><namespace>:<key>" and expire with
+ * Redis' own TTL (PX). Connections are shared per URL and opened when the store
+ * is created. While Redis is unreachable, commands fail immediately instead of
+ * queueing, so callers can fall back (e.g., start a fresh session).
+ */
+
+/** @type {Map<string, import('redis').RedisClientType>} - Clients by URL */
+const clients = new Map();
+
+/**
+ * Get the client for a URL, connecting it on first use
+ * The client reconnects by itself after connection errors
+ * @param {string} url - Redis connection URL (redis:// or rediss://)
+ * @returns {import('redis').RedisClientType}
+ */
+function getClient(url) {
+  if (!clients.has(url)) {
+    const client = createClient({ url, disableOfflineQueue: true });
+    client.on('error', error => {
+      console.error(' [RedisStore] Redis client error:', error.message);
+    });
+    client.on('ready', () => {
+      console.log(' [RedisStore] Connected to Redis');
+    });
+
+    client.connect().catch(error => {
+      console.error(' [RedisStore] Could not connect to Redis:', error.message);
+    });
+
+    clients.set(url, client);
+  }
+  return clients.get(url);
+}
+
+/**
+ * @implements {import('./index.js').KeyValueStore}
+ */
+export class RedisStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.url - Redis connection URL
+   * @param {string} options.prefix - Key prefix for this store (e.g., 'relay:sessions:')
+   */
+  constructor({ url, prefix }) {
+    this.url = url;
+    this.prefix = prefix;
+
+    /** @type {import('redis').RedisClientType} */
+    this.client = getClient(url);
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Entry key
+   * @returns {Promise<any | null>} Stored value, or null if missing or expired
+   */
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Entry key
+   * @param {any} value - JSON-serializable value
+   * @param {number} [ttlMs] - Time to live in ms (no expiry if omitted)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttlMs) {
+    const options = ttlMs ? { expiration: { type: 'PX', value: ttlMs } } : undefined;
+    await this.client.set(this.prefix + key, JSON.stringify(value), options);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} True if an entry was deleted
+   */
+  async delete(key) {
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+
+  /**
+   * List keys of entries that have not expired
+   * @returns {Promise<string[]>}
+   */
+  async keys() {
+    const keys = [];
+    for await (const batch of this.client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 100 })) {
+      for (const key of batch) {
+        keys.push(key.slice(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Delete all entries in this store
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const keys = (await this.keys()).map(key => this.prefix + key);
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  /**
+   * Close the shared connection for this store's URL
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (clients.get(this.url) !== this.client) return;
+
+    clients.delete(this.url);
+    if (this.client.isOpen) {
+      await this.client.close();
+    }
+  }
+}
+
+export default RedisStore;
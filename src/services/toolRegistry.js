@@ -0,0 +1,190 @@
+/**
+ * Tool Registry
+ * Holds the local function tools the agent can call during a conversation
+ * Singleton pattern ensures a single registry shared by all sessions
+ */
+
+/**
+ * @typedef {import('../types/index.js').ToolDefinition} ToolDefinition
+ * @typedef {import('../types/index.js').SessionContext} SessionContext
+ */
+
+export class ToolRegistry {
+  /** @type {ToolRegistry} */
+  static instance = null;
+
+  /** @type {number} - Default handler timeout (10 seconds) */
+  static DEFAULT_TIMEOUT = 10000;
+
+  /** @type {Map<string, ToolDefinition>} */
+  tools = new Map();
+
+  /**
+   * Get singleton instance
+   * @returns {ToolRegistry}
+   */
+  static getInstance() {
+    if (!ToolRegistry.instance) {
+      ToolRegistry.instance = new ToolRegistry();
+    }
+    return ToolRegistry.instance;
+  }
+
+  /**
+   * Register a tool
+   * @param {ToolDefinition} tool - Tool definition
+   * @throws {Error} if the definition is invalid or the name is already taken
+   */
+  register(tool) {
+    if (!tool || !tool.name || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool?.name}`);
+    }
+
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} must have a handler function`);
+    }
+
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+
+    this.tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      timeout: ToolRegistry.DEFAULT_TIMEOUT,
+      ...tool
+    });
+
+    console.log(` [ToolRegistry] Registered tool: ${tool.name}`);
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   */
+  unregister(name) {
+    this.tools.delete(name);
+  }
+
+  /**
+   * Check if a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get a registered tool
+   * @param {string} name - Tool name
+   * @returns {ToolDefinition | undefined}
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Get all registered tool names
+   * @returns {string[]}
+   */
+  getToolNames() {
+    return Array.from(this.tools.keys());
+  }
+
+  /**
+   * Get function tool definitions in the format expected by Azure AI Agents
+   * Use these when creating or updating the agent so it knows the tool schemas
+   * @returns {Object[]}
+   */
+  getDefinitions() {
+    return Array.from(this.tools.values()).map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * Execute a tool handler
+   * @param {string} name - Tool name
+   * @param {Object} args - Parsed tool arguments
+   * @param {SessionContext} context - Session context passed to the handler
+   * @returns {Promise<string>} Tool output (objects are serialized to JSON)
+   * @throws {Error} if the tool is unknown, the arguments are invalid, the handler fails or times out
+   */
+  async execute(name, args, context) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    validateArguments(tool.parameters, args);
+
+    const startTime = Date.now();
+    let timer = null;
+
+    try {
+      const result = await Promise.race([
+        Promise.resolve().then(() => tool.handler(args, context)),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            reject(new Error(`Tool ${name} timed out after ${tool.timeout}ms`));
+          }, tool.timeout);
+        })
+      ]);
+
+      console.log(` [ToolRegistry] Tool ${name} completed in ${Date.now() - startTime}ms`);
+
+      if (result === undefined || result === null) {
+        return '';
+      }
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Check tool arguments against the top level of a JSON schema
+ * Only required properties and primitive types are checked
+ * @param {Object} schema - JSON schema for the tool parameters
+ * @param {Object} args - Parsed tool arguments
+ * @throws {Error} if the arguments do not match the schema
+ */
+function validateArguments(schema, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new Error('Tool arguments must be an object');
+  }
+
+  for (const required of schema?.required || []) {
+    if (args[required] === undefined || args[required] === null) {
+      throw new Error(`Missing required argument: ${required}`);
+    }
+  }
+
+  for (const [key, property] of Object.entries(schema?.properties || {})) {
+    const value = args[key];
+    if (value === undefined || value === null || !property.type) continue;
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    const matches = property.type === 'integer'
+      ? Number.isInteger(value)
+      : actualType === property.type;
+
+    if (!matches) {
+      throw new Error(`Argument ${key} must be of type ${property.type}`);
+    }
+
+    if (property.enum && !property.enum.includes(value)) {
+      throw new Error(`Argument ${key} must be one of: ${property.enum.join(', ')}`);
+    }
+  }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,215 @@
+import { config } from '../config.js';
+
+/**
+ * Turn Scheduler
+ * Serializes conversation turns for a single session so only one message/run
+ * is ever active on the agent thread at a time
+ *
+ * - Caller prompts arriving within the merge window (or while queued) are merged into one turn
+ * - Queued system notices are dropped when a newer caller utterance arrives
+ * - Notes are added to the thread without starting a run
+ */
+
+/**
+ * @typedef {Object} QueuedTurn
+ * @property {string} type - Turn type from TurnScheduler.TurnTypes
+ * @property {string} content - Message content
+ * @property {number} enqueuedAt - Time the turn was first queued
+ * @property {number} updatedAt - Time the last fragment was merged in
+ * @property {Array<{resolve: Function, reject: Function}>} waiters - Callers waiting on this turn
+ */
+
+export class TurnScheduler {
+  /**
+   * Turn types
+   * @readonly
+   * @enum {string}
+   */
+  static TurnTypes = {
+    PROMPT: 'prompt',   // Caller speech
+    DTMF: 'dtmf',       // Completed keypad collection
+    SYSTEM: 'system',   // System notice that needs an agent response
+    NOTE: 'note'        // Message added to the thread without a response
+  };
+
+  /**
+   * @param {string} sessionId - Session identifier (callSid)
+   * @param {import('./agentBackend.js').AgentBackend} agentService - Agent backend for this session
+   * @param {Object} [options] - Scheduler options
+   * @param {number} [options.mergeWindowMs] - How long to wait for more prompt fragments before starting a turn
+   */
+  constructor(sessionId, agentService, options = {}) {
+    this.sessionId = sessionId;
+    this.agentService = agentService;
+    this.mergeWindowMs = options.mergeWindowMs ?? config.turns.mergeWindowMs;
+
+    /** @type {QueuedTurn[]} */
+    this.queue = [];
+
+    /** @type {QueuedTurn | null} */
+    this.activeTurn = null;
+
+    /** @type {boolean} */
+    this.isProcessing = false;
+
+    this.stats = {
+      processed: 0,
+      merged: 0,
+      dropped: 0
+    };
+  }
+
+  /**
+   * Queue a turn for processing
+   * @param {string} type - Turn type from TurnScheduler.TurnTypes
+   * @param {string} content - Message content
+   * @returns {Promise<'completed' | 'dropped'>} Resolves when the turn was processed or dropped
+   */
+  enqueue(type, content) {
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+
+      if (type === TurnScheduler.TurnTypes.PROMPT) {
+        // A newer caller utterance makes queued system notices stale
+        this.queue = this.queue.filter(turn => {
+          if (turn.type !== TurnScheduler.TurnTypes.SYSTEM) return true;
+          this._settle(turn, 'dropped');
+          this.stats.dropped++;
+          console.log(` [${this.sessionId}] Dropped stale system turn`);
+          return false;
+        });
+
+        // Merge into a prompt that has not started yet
+        const lastTurn = this.queue[this.queue.length - 1];
+        if (lastTurn && lastTurn.type === TurnScheduler.TurnTypes.PROMPT) {
+          lastTurn.content = `${lastTurn.content} ${content}`;
+          lastTurn.updatedAt = now;
+          lastTurn.waiters.push({ resolve, reject });
+          this.stats.merged++;
+
+          if (config.debug) {
+            console.log(` [${this.sessionId}] Merged prompt fragment (queue depth: ${this.getQueueDepth()})`);
+          }
+          return;
+        }
+      }
+
+      this.queue.push({
+        type,
+        content,
+        enqueuedAt: now,
+        updatedAt: now,
+        waiters: [{ resolve, reject }]
+      });
+
+      if (config.debug) {
+        console.log(` [${this.sessionId}] Turn queued: ${type} (queue depth: ${this.getQueueDepth()})`);
+      }
+
+      this._drain();
+    });
+  }
+
+  /**
+   * Process queued turns one at a time
+   * @private
+   */
+  async _drain() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const turn = this.queue[0];
+
+        // Give the caller a moment to finish speaking before starting the turn
+        if (turn.type === TurnScheduler.TurnTypes.PROMPT) {
+          const wait = turn.updatedAt + this.mergeWindowMs - Date.now();
+          if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+            continue;
+          }
+        }
+
+        this.queue.shift();
+        this.activeTurn = turn;
+
+        try {
+          await this._runTurn(turn);
+          this.stats.processed++;
+          this._settle(turn, 'completed');
+        } catch (error) {
+          console.error(` [${this.sessionId}] Error processing ${turn.type} turn:`, error.message);
+          for (const waiter of turn.waiters) {
+            waiter.reject(error);
+          }
+        } finally {
+          this.activeTurn = null;
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Run a single turn against the agent service
+   * @private
+   * @param {QueuedTurn} turn - Turn to run
+   * @returns {Promise<void>}
+   */
+  async _runTurn(turn) {
+    if (turn.type === TurnScheduler.TurnTypes.NOTE) {
+      await this.agentService.addMessage(turn.content);
+      return;
+    }
+
+    await this.agentService.processMessage(turn.content);
+  }
+
+  /**
+   * Resolve all callers waiting on a turn
+   * @private
+   * @param {QueuedTurn} turn - Turn to settle
+   * @param {'completed' | 'dropped'} status - Outcome
+   */
+  _settle(turn, status) {
+    for (const waiter of turn.waiters) {
+      waiter.resolve(status);
+    }
+  }
+
+  /**
+   * Get number of turns waiting to be processed (excluding the active turn)
+   * @returns {number}
+   */
+  getQueueDepth() {
+    return this.queue.length;
+  }
+
+  /**
+   * Get scheduler statistics (for debugging)
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      queueDepth: this.queue.length,
+      activeTurn: this.activeTurn ? this.activeTurn.type : null,
+      queuedTypes: this.queue.map(turn => turn.type),
+      ...this.stats
+    };
+  }
+
+  /**
+   * Drop all queued turns
+   */
+  clear() {
+    for (const turn of this.queue) {
+      this._settle(turn, 'dropped');
+      this.stats.dropped++;
+    }
+    this.queue = [];
+  }
+}
+
+export default TurnScheduler;
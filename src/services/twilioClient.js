@@ -10,6 +10,11 @@ export const twilioClient = twilio(
   config.twilio.authToken
 );
 
+// Tests point the client at a stand-in for the REST API (TWILIO_API_BASE_URL)
+if (config.twilio.apiBaseUrl) {
+  twilioClient.api.baseUrl = config.twilio.apiBaseUrl;
+}
+
 /**
  * Validates E.164 phone number format
  * @param {string} phoneNumber - Phone number to validate
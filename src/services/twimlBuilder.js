@@ -0,0 +1,171 @@
+import { config } from '../config.js';
+
+/**
+ * TwiML Builder
+ * Renders the <Connect><ConversationRelay> TwiML used by incoming calls,
+ * outbound calls and reconnects
+ *
+ * Attributes come from config.conversationRelay (RELAY_* environment variables)
+ * and can be overridden per call. Attributes that are not set are omitted, so
+ * Twilio's defaults apply.
+ */
+
+/**
+ * @typedef {import('../config.js').LanguageOption} LanguageOption
+ */
+
+/**
+ * ConversationRelay attributes and per-call options
+ * @typedef {Object} ConversationRelayOptions
+ * @property {LanguageOption} [language] - Language the session starts in (defaults to the default language)
+ * @property {LanguageOption[]} [languages] - <Language> elements (defaults to the catalog, starting with language)
+ * @property {string} [welcomeGreeting] - Greeting spoken when the call connects (omitted if empty)
+ * @property {boolean} [dtmfDetection] - Send keypad digits to the server
+ * @property {boolean} [interruptByDtmf] - Let keypad digits interrupt the agent
+ * @property {string} [interruptible] - What interrupts the agent: 'none', 'dtmf', 'speech' or 'any'
+ * @property {string} [welcomeGreetingInterruptible] - What interrupts the welcome greeting
+ * @property {boolean} [profanityFilter] - Mask profanity in transcriptions
+ * @property {string[]} [hints] - Words and phrases the transcription should expect
+ * @property {boolean} [partialPrompts] - Send partial transcriptions as they are recognized
+ * @property {string[]} [debug] - Debug message types ('debugging', 'speaker-events', 'tokens-played')
+ * @property {string} [elevenlabsTextNormalization] - 'on', 'off' or 'auto'
+ * @property {string} [intelligenceService] - Conversational Intelligence Service SID or unique name
+ * @property {Object<string, string>} [parameters] - Custom <Parameter> elements (merged over the configured ones)
+ */
+
+/**
+ * ConversationRelay attributes rendered from the options, in output order
+ * @type {string[]}
+ */
+const RELAY_ATTRIBUTES = [
+  'dtmfDetection',
+  'interruptByDtmf',
+  'interruptible',
+  'welcomeGreetingInterruptible',
+  'profanityFilter',
+  'hints',
+  'partialPrompts',
+  'debug',
+  'elevenlabsTextNormalization',
+  'welcomeGreeting',
+  'intelligenceService'
+];
+
+/**
+ * Render the TwiML that connects a call to this server over ConversationRelay
+ * @param {ConversationRelayOptions} [overrides] - Per-call options, applied over the configuration
+ * @returns {string} TwiML document
+ */
+export function buildConversationRelayTwiml(overrides = {}) {
+  const domain = config.ngrok.domain;
+  const options = {
+    ...config.conversationRelay,
+    intelligenceService: config.twilio.intelligenceServiceSid || undefined,
+    ...overrides,
+    parameters: { ...config.conversationRelay.parameters, ...overrides.parameters }
+  };
+
+  const language = options.language || config.language;
+  const languages = options.languages || [
+    language,
+    ...Object.values(config.languages).filter(option => option.code !== language.code)
+  ];
+
+  // The greeting's interrupt setting only applies when there is a greeting
+  if (!options.welcomeGreeting) {
+    delete options.welcomeGreetingInterruptible;
+  }
+
+  const attributes = [
+    `url="wss://${escapeXml(domain)}"`,
+    `language="${escapeXml(language.locale_code)}"`,
+    ...RELAY_ATTRIBUTES
+      .filter(name => options[name] !== undefined && options[name] !== null && options[name] !== '')
+      .map(name => `${name}="${escapeXml(formatAttribute(name, options[name]))}"`)
+  ];
+
+  const children = [
+    buildLanguageElements(languages),
+    buildParameterElements(options.parameters)
+  ].filter(Boolean);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Connect action="https://${escapeXml(domain)}/api/action">
+    <ConversationRelay
+      ${attributes.join('\n      ')}>
+${children.join('\n')}
+    </ConversationRelay>
+  </Connect>
+</Response>`;
+}
+
+/**
+ * Format an attribute value for TwiML
+ * @param {string} name - Attribute name
+ * @param {any} value - Attribute value
+ * @returns {string}
+ */
+function formatAttribute(name, value) {
+  if (Array.isArray(value)) {
+    // hints are comma-separated, debug options space-separated
+    return value.join(name === 'debug' ? ' ' : ',');
+  }
+  return String(value);
+}
+
+/**
+ * Render <Parameter> elements for custom parameters
+ * They are delivered to the server in the setup message's customParameters
+ * @param {Object<string, string>} [parameters] - Parameter names to values
+ * @param {string} [indent] - Indentation prefix for each element
+ * @returns {string} Parameter elements separated by newlines
+ */
+export function buildParameterElements(parameters = {}, indent = '      ') {
+  return Object.entries(parameters)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${indent}<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}" />`)
+    .join('\n');
+}
+
+/**
+ * Render <Language> elements for every supported language
+ * The default language is rendered first
+ * @param {LanguageOption[]} [languages] - Languages to render (defaults to the catalog)
+ * @param {string} [indent] - Indentation prefix for each element
+ * @returns {string} Language elements separated by newlines
+ */
+export function buildLanguageElements(languages = Object.values(config.languages), indent = '      ') {
+  return languages
+    .map(language => `${indent}<Language code="${escapeXml(language.locale_code)}" ttsProvider="${escapeXml(language.ttsProvider)}" voice="${escapeXml(language.voice)}" transcriptionProvider="${escapeXml(language.transcriptionProvider)}" speechModel="${escapeXml(language.speechModel)}" />`)
+    .join('\n');
+}
+
+/**
+ * Render the spoken DTMF language menu, each option in its own language
+ * @param {Object<string, string>} [menu] - Keypad digit to language code (defaults to LANGUAGE_MENU)
+ * @returns {string} Menu prompt (e.g., "For English, press 1. Para español, oprima el 2.")
+ */
+export function buildLanguageMenuPrompt(menu = config.languageDetection.menu) {
+  return Object.entries(menu)
+    .map(([digit, code]) => config.languages[code].menuPrompt.replace('{digit}', digit))
+    .join(' ');
+}
+
+/**
+ * Escape XML special characters for TwiML
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+export function escapeXml(str) {
+  if (!str) return '';
+
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export default { buildConversationRelayTwiml, buildLanguageElements, buildParameterElements, buildLanguageMenuPrompt, escapeXml };
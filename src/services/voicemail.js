@@ -0,0 +1,215 @@
+import twilio from 'twilio';
+import { createAgentBackend } from './agentBackendFactory.js';
+import { renderGreeting } from './outboundContext.js';
+import { config } from '../config.js';
+
+const { twiml } = twilio;
+
+/**
+ * Voicemail
+ * Messages left on answering machines by outbound calls placed with answering
+ * machine detection (OUTBOUND_AMD)
+ *
+ * With VOICEMAIL_MODE=template the message is the call context's "voicemail"
+ * template or VOICEMAIL_TEMPLATE. With VOICEMAIL_MODE=agent the agent writes a
+ * short message from the call context; composing starts as soon as the call is
+ * answered, while detection is still listening for the beep, and the template
+ * is used if the agent fails or takes longer than VOICEMAIL_AGENT_TIMEOUT_MS.
+ */
+
+/**
+ * Call a voicemail is left on
+ * @typedef {Object} VoicemailCall
+ * @property {string} [from] - Our number (the callback number)
+ * @property {string} [to] - Called number
+ * @property {import('./outboundContext.js').OutboundContext | null} [context] - Call context
+ */
+
+/**
+ * Voicemail to leave
+ * @typedef {Object} Voicemail
+ * @property {'template' | 'agent'} mode - Where the text comes from
+ * @property {string} text - Message to speak after the beep
+ */
+
+/** Voicemails being composed by the agent, by call SID */
+const compositions = new Map();
+
+/**
+ * Build the voicemail template text for a call
+ * Placeholders are {{from}}, {{to}} and paths into the call context (e.g., {{customer.firstName}})
+ * @param {VoicemailCall} call - Call details
+ * @returns {string}
+ */
+export function renderVoicemailTemplate({ from, to, context }) {
+  const template = context?.voicemail || config.amd.voicemailTemplate;
+  return renderGreeting(template, { ...context, from, to }).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the prompt asking the agent for a voicemail
+ * @param {VoicemailCall} call - Call details
+ * @returns {string}
+ */
+export function buildVoicemailPrompt({ from, context }) {
+  const lines = [
+    'SYSTEM NOTICE: This outbound call reached an answering machine. Write the voicemail message to leave after the beep.',
+    'Keep it under 30 seconds when spoken: say who is calling and why, and ask the customer to call back.',
+    'Reply with the message only; it is read out as is, and the call ends after it.'
+  ];
+  if (from) {
+    lines.push(`Callback number: ${from}.`);
+  }
+  if (context?.purpose) {
+    lines.push(`Purpose of the call: ${context.purpose}.`);
+  }
+  if (context?.customer) {
+    lines.push(`Customer record: ${JSON.stringify(context.customer)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Have the agent write a voicemail on a thread of its own
+ * @param {string} callSid - Twilio call SID
+ * @param {VoicemailCall} call - Call details
+ * @returns {Promise<string>} Message text
+ */
+async function composeWithAgent(callSid, call) {
+  const agent = createAgentBackend(callSid);
+  let text = '';
+  agent.on('textComplete', content => {
+    text = content;
+  });
+  // Failures are reported by processMessage
+  agent.on('error', () => {});
+
+  try {
+    agent.setSessionContext({
+      from: call.from,
+      to: call.to,
+      direction: 'outbound-api',
+      outboundContext: call.context || undefined
+    });
+    await agent.createThread({
+      source: 'voicemail',
+      startTime: new Date().toISOString(),
+      ...agent.getCallMetadata()
+    });
+    await agent.processMessage(buildVoicemailPrompt(call));
+  } finally {
+    agent.cleanup();
+  }
+
+  if (!text.trim()) {
+    throw new Error('Agent returned an empty voicemail');
+  }
+  return text.trim();
+}
+
+/**
+ * Start composing a call's voicemail, if the agent writes them
+ * Called when the call is answered, so the message is ready when the beep is detected
+ * @param {string} callSid - Twilio call SID
+ * @param {VoicemailCall} call - Call details
+ */
+export function prepareVoicemail(callSid, call) {
+  if (config.amd.voicemailMode !== 'agent' || !callSid || compositions.has(callSid)) return;
+
+  const composition = composeWithAgent(callSid, call);
+  // Kept until detection ends; rejections are handled by getVoicemail
+  composition.catch(() => {});
+  compositions.set(callSid, composition);
+
+  const expiry = setTimeout(() => compositions.delete(callSid), (config.amd.timeoutSeconds + 60) * 1000);
+  expiry.unref();
+}
+
+/**
+ * Drop a call's voicemail (a person answered)
+ * @param {string} callSid - Twilio call SID
+ */
+export function discardVoicemail(callSid) {
+  compositions.delete(callSid);
+}
+
+/**
+ * Get the voicemail to leave on a call
+ * Never fails: the template is the fallback when the agent cannot write one in time
+ * @param {string} callSid - Twilio call SID
+ * @param {VoicemailCall} call - Call details
+ * @returns {Promise<Voicemail>}
+ */
+export async function getVoicemail(callSid, call) {
+  if (config.amd.voicemailMode === 'agent') {
+    // The call may have been answered on another instance, in which case nothing was started here
+    prepareVoicemail(callSid, call);
+    const composition = compositions.get(callSid);
+    compositions.delete(callSid);
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`No voicemail from the agent within ${config.amd.agentTimeoutMs}ms`)), config.amd.agentTimeoutMs);
+    });
+
+    try {
+      return { mode: 'agent', text: await Promise.race([composition, timeout]) };
+    } catch (error) {
+      console.warn(` [${callSid}] Using the voicemail template: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { mode: 'template', text: renderVoicemailTemplate(call) };
+}
+
+/**
+ * Get the <Say> voice of the default language
+ * Twilio names Google and Amazon voices with a provider prefix; other providers use Twilio's default voice
+ * @returns {{voice?: string, language: string}}
+ */
+function sayAttributes() {
+  const { ttsProvider, voice, locale_code: language } = config.language;
+  const prefixes = { google: 'Google', amazon: 'Polly' };
+  const prefix = prefixes[String(ttsProvider).toLowerCase()];
+  return prefix ? { voice: `${prefix}.${voice}`, language } : { language };
+}
+
+/**
+ * Build TwiML that holds the call while answering machine detection listens
+ * Twilio moves the call on when detection ends; if it never does, the call goes to the redirect URL
+ * @param {string} redirectUrl - TwiML URL used after the hold
+ * @returns {string} TwiML
+ */
+export function buildHoldTwiml(redirectUrl) {
+  const response = new twiml.VoiceResponse();
+  // Detection reports within its timeout; a few extra seconds cover the callback round trip
+  response.pause({ length: config.amd.timeoutSeconds + 5 });
+  response.redirect({ method: 'POST' }, redirectUrl);
+  return response.toString();
+}
+
+/**
+ * Build TwiML that speaks a voicemail and hangs up
+ * @param {string} [text] - Message (none: just hang up)
+ * @returns {string} TwiML
+ */
+export function buildVoicemailTwiml(text) {
+  const response = new twiml.VoiceResponse();
+  if (text) {
+    response.say(sayAttributes(), text);
+  }
+  response.hangup();
+  return response.toString();
+}
+
+export default {
+  renderVoicemailTemplate,
+  buildVoicemailPrompt,
+  prepareVoicemail,
+  discardVoicemail,
+  getVoicemail,
+  buildHoldTwiml,
+  buildVoicemailTwiml
+};
@@ -1,15 +1,46 @@
 import { WebSocket } from 'ws';
-import { AzureAgentService } from './azureAgentService.js';
+import { createAgentBackend } from './agentBackendFactory.js';
 import { DTMFHelper } from './dtmfHelper.js';
 import { IdleTimer } from './idleTimer.js';
+import { SilenceMonitor } from './silenceMonitor.js';
+import { DigitCollector } from './digitCollector.js';
+import { SecureInputVault, describeSecureInput } from './secureInput.js';
+import { LanguageDetector } from './languageDetector.js';
 import { StateManager } from './stateManager.js';
-import { config } from '../config.js';
+import { TurnScheduler } from './turnScheduler.js';
+import { OutboundContextStore, buildContextNotice, getContextGreeting } from './outboundContext.js';
+import { CallRecordStore } from './callRecords.js';
+import { parseIvrSelection } from './ivrMenu.js';
+import { config, findLanguage } from '../config.js';
 
 /**
  * @typedef {import('../types/index.js').ConversationRelayMessage} ConversationRelayMessage
  * @typedef {import('../types/index.js').SessionData} SessionData
  */
 
+/**
+ * Build the notice telling the agent that keypad input timed out
+ * Escalates with the number of timeouts in a row, and warns the agent before the
+ * final action (DTMF_TIMEOUT_ACTION) is taken
+ * @param {{phase: 'firstDigit' | 'interDigit', count: number}} timeout - Idle timeout details
+ * @returns {string}
+ */
+function buildDtmfTimeoutNotice({ phase, count }) {
+  const { timeoutRetries, timeoutAction } = config.dtmf;
+  const partial = phase === 'interDigit' ? ' (the caller stopped partway through the entry)' : '';
+
+  const notice = count === 1
+    ? `SYSTEM NOTICE: DTMF input was not received within the expected timeframe${partial}. ` +
+      'Please reprompt the caller or continue with the conversation.'
+    : `SYSTEM NOTICE: DTMF input was still not received (${count} timeouts in a row)${partial}. ` +
+      'Explain step by step how to enter it on the keypad, or offer another way to continue.';
+
+  if (count === timeoutRetries && timeoutAction !== 'continue') {
+    return `${notice} If it is not received after this reprompt, the call will be ${timeoutAction === 'handoff' ? 'transferred to our support team' : 'ended'}; tell the caller.`;
+  }
+  return notice;
+}
+
 /**
  * Global map to track active sessions
  * @type {Map<string, SessionData>}
@@ -21,6 +52,11 @@ const activeSessions = new Map();
  */
 const stateManager = StateManager.getInstance();
 
+/**
+ * Get the call record store singleton
+ */
+const callRecords = CallRecordStore.getInstance();
+
 /**
  * Initialize WebSocket handlers
  * @param {import('ws').WebSocketServer} wss - WebSocket server instance
@@ -31,7 +67,7 @@ export function initializeWebSocketHandlers(wss) {
   wss.on('connection', (ws) => {
     console.log(' New WebSocket connection established');
 
-    /** @type {AzureAgentService | null} */
+    /** @type {import('./agentBackend.js').AgentBackend | null} */
     let agentService = null;
 
     /** @type {DTMFHelper | null} */
@@ -40,55 +76,145 @@ export function initializeWebSocketHandlers(wss) {
     /** @type {IdleTimer | null} */
     let idleTimer = null;
 
+    /** @type {DigitCollector | null} */
+    let digitCollector = null;
+
+    /** @type {SilenceMonitor | null} */
+    let silenceMonitor = null;
+
+    /** @type {TurnScheduler | null} */
+    let turnScheduler = null;
+
+    /** @type {LanguageDetector | null} */
+    let languageDetector = null;
+
     /** @type {string} */
     let currentSessionId = '';
 
+    /** @type {Promise<void> | null} - Session setup in progress (restoring state is async) */
+    let sessionReady = null;
+
     /**
      * Initialize or restore a session
-     * @param {string} sessionId - Session identifier (callSid)
+     * @param {import('../types/index.js').SetupMessage} setupMessage - Setup message from Twilio
      */
-    const initializeSession = async (sessionId) => {
+    const initializeSession = async (setupMessage) => {
+      const sessionId = setupMessage.callSid;
       currentSessionId = sessionId;
 
       // Check if we have an existing session to restore
       const existingSession = activeSessions.get(sessionId);
 
+      /** @type {string} - Call record event for this connection */
+      let sessionEvent = 'session.reconnected';
+
       if (existingSession) {
         // Restore existing session
         console.log(` [${sessionId}] Restoring existing session`);
         agentService = existingSession.agentService;
         dtmfHelper = existingSession.dtmfHelper;
         idleTimer = existingSession.idleTimer;
+        digitCollector = existingSession.digitCollector;
+        silenceMonitor = existingSession.silenceMonitor;
+        turnScheduler = existingSession.turnScheduler;
+        languageDetector = existingSession.languageDetector;
       } else {
         // Create new session
         console.log(` [${sessionId}] Creating new session`);
 
         // Initialize services
-        agentService = new AzureAgentService(sessionId);
+        agentService = createAgentBackend(sessionId);
         dtmfHelper = new DTMFHelper();
-        idleTimer = new IdleTimer(10000, dtmfHelper); // 10 second timeout
+        idleTimer = new IdleTimer({
+          firstDigitMs: config.dtmf.firstDigitTimeoutMs,
+          interDigitMs: config.dtmf.interDigitTimeoutMs
+        }, dtmfHelper);
+        digitCollector = new DigitCollector(dtmfHelper, idleTimer);
+        silenceMonitor = new SilenceMonitor();
+        turnScheduler = new TurnScheduler(sessionId, agentService);
+        languageDetector = new LanguageDetector();
+
+        // Try to restore state from state manager (may have been saved by another process)
+        const savedState = await stateManager.restoreState(sessionId).catch(error => {
+          console.error(` [${sessionId}] Error restoring state, starting a new session:`, error.message);
+          return null;
+        });
+
+        // Make call details available to the agent and local tool handlers
+        // Values from an earlier connection fill in what this setup message lacks
+        const savedCall = savedState?.call || {};
+        agentService.setSessionContext({
+          callSid: sessionId,
+          from: setupMessage.from || savedCall.from,
+          to: setupMessage.to || savedCall.to,
+          callerName: setupMessage.callerName || savedCall.callerName,
+          direction: setupMessage.direction || savedCall.direction,
+          customParameters: { ...savedCall.customParameters, ...setupMessage.customParameters },
+          language: savedState?.language || config.language.code,
+          // Lets the collect_digits tool ask the caller for keypad input and wait for it
+          collectDigits: digitCollector.collect.bind(digitCollector)
+        });
+
+        const { customParameters } = agentService.getCallContext();
+        if (Object.keys(customParameters).length > 0) {
+          console.log(` [${sessionId}] Call parameters: ${Object.keys(customParameters).join(', ')}`);
+        }
+
+        // Outbound call placed with a context: use its agent and brief the agent (restored sessions already were)
+        const outboundContext = !savedState && customParameters.contextId
+          ? await OutboundContextStore.getInstance().load(customParameters.contextId).catch(error => {
+            console.error(` [${sessionId}] Error loading call context:`, error.message);
+            return null;
+          })
+          : null;
+        if (outboundContext) {
+          agentService.setSessionContext({ outboundContext });
+          console.log(` [${sessionId}] Outbound context loaded${outboundContext.purpose ? `: ${outboundContext.purpose}` : ''}${outboundContext.agentId ? ` (agent ${outboundContext.agentId})` : ''}`);
+        }
+
+        // Caller routed by the IVR menu: pass the path, and the agent and language chosen
+        const ivr = parseIvrSelection(customParameters.ivr);
+        if (ivr) {
+          agentService.setSessionContext({
+            ivr,
+            ...(ivr.language && !savedState?.language ? { language: ivr.language } : {})
+          });
+          // The caller already chose the language
+          if (ivr.language) {
+            languageDetector.lock();
+          }
+          console.log(` [${sessionId}] IVR path: ${ivr.path.join(' > ')}${ivr.agentId ? ` (agent ${ivr.agentId})` : ''}`);
+        }
+
+        sessionEvent = savedState ? 'session.restored' : 'session.started';
 
-        // Try to restore state from state manager
-        const savedState = stateManager.restoreState(sessionId);
         if (savedState) {
           console.log(` [${sessionId}] Restored state from state manager`);
           agentService.restoreState(savedState);
-
-          // Send a notice to the agent about the reconnection
-          try {
-            await agentService.addMessage(
-              'SYSTEM NOTICE: The connection was temporarily disconnected and has now been restored. ' +
-              'If the user\'s last message is unclear or incomplete, please politely ask them to repeat or clarify their request.'
-            );
-          } catch (error) {
+          languageDetector.restoreState(savedState.languageDetection);
+
+          // Send a notice to the agent about the reconnection (queued ahead of the next turn)
+          turnScheduler.enqueue(
+            TurnScheduler.TurnTypes.NOTE,
+            'SYSTEM NOTICE: The connection was temporarily disconnected and has now been restored. ' +
+            'If the user\'s last message is unclear or incomplete, please politely ask them to repeat or clarify their request.'
+          ).catch(error => {
             console.error(` [${sessionId}] Error adding reconnection notice:`, error);
-          }
+          });
+        } else if (outboundContext?.callback?.threadId) {
+          // Callback: continue the conversation of the call on which it was booked
+          agentService.setThreadId(outboundContext.callback.threadId);
+          console.log(` [${sessionId}] Resuming thread ${outboundContext.callback.threadId} of call ${outboundContext.callback.callSid}`);
         } else {
           // Create new thread eagerly (non-blocking for faster setup acknowledgment)
           // Thread will be awaited automatically in processMessage if first message arrives before creation completes
           agentService.createThread({
             source: 'twilio-conversation-relay',
-            startTime: new Date().toISOString()
+            startTime: new Date().toISOString(),
+            ...agentService.getCallMetadata()
+          }).then(() => {
+            callRecords.record(sessionId, { source: 'session', fields: { threadId: agentService.threadId } });
+            return saveSessionState();
           }).catch(error => {
             console.error(` [${sessionId}] Error creating thread:`, error);
           });
@@ -96,14 +222,113 @@ export function initializeWebSocketHandlers(wss) {
           console.log(` [${sessionId}] Thread creation started (eager initialization)`);
         }
 
+        if (outboundContext) {
+          const notice = buildContextNotice(outboundContext, getContextGreeting(outboundContext));
+          turnScheduler.enqueue(TurnScheduler.TurnTypes.NOTE, notice).catch(error => {
+            console.error(` [${sessionId}] Error adding call context notice:`, error);
+          });
+        }
+
         // Store session
-        activeSessions.set(sessionId, { agentService, dtmfHelper, idleTimer });
+        activeSessions.set(sessionId, { agentService, dtmfHelper, idleTimer, digitCollector, silenceMonitor, turnScheduler, languageDetector });
+
+        // The caller is expected to answer the welcome greeting
+        if (!savedState) {
+          silenceMonitor.start(config.twilio.welcomeGreeting);
+        }
       }
 
+      const { from, to, callerName, direction, customParameters } = agentService.getCallContext();
+      callRecords.record(sessionId, {
+        source: 'session',
+        event: sessionEvent,
+        fields: { from, to, callerName, direction, contextId: customParameters.contextId, threadId: agentService.threadId }
+      });
+
       // Setup event listeners
       setupEventListeners();
     };
 
+    /**
+     * Switch the conversation language
+     * Sends a language message to Twilio and records the language in the session context,
+     * which adds it to the agent's run instructions
+     * @param {import('../config.js').LanguageOption} language - Language from the catalog
+     */
+    const switchLanguage = (language) => {
+      console.log(` [${currentSessionId}] Switching language to ${language.name} (${language.locale_code})`);
+
+      /** @type {import('../types/index.js').LanguageMessage} */
+      const languageMessage = {
+        type: 'language',
+        ttsLanguage: language.locale_code,
+        transcriptionLanguage: language.locale_code
+      };
+      ws.send(JSON.stringify(languageMessage));
+
+      agentService.setSessionContext({ language: language.code });
+
+      // Keep the language if the connection drops (used by the reconnection TwiML)
+      saveSessionState();
+    };
+
+    /**
+     * Save session state for reconnection
+     * Saved as the call progresses (not only on close), so a restarted process can restore it
+     * @returns {Promise<void>}
+     */
+    const saveSessionState = () => {
+      return stateManager.saveState(currentSessionId, {
+        ...agentService.getState(),
+        languageDetection: languageDetector.getState()
+      }).catch(error => {
+        console.error(` [${currentSessionId}] Error saving session state:`, error);
+      });
+    };
+
+    /**
+     * Hand the call to a person (the connect action enqueues it with TaskRouter)
+     * @param {Object} handoffData - Reason and context for the person taking the call
+     */
+    const requestHandoff = (handoffData) => {
+      console.log(` [${currentSessionId}] Human agent handoff requested`);
+      console.log(`   Reason: ${handoffData.reason || 'Not specified'}`);
+
+      idleTimer.clear();
+      silenceMonitor.pause();
+
+      callRecords.record(currentSessionId, {
+        source: 'session',
+        event: 'handoff.requested',
+        fields: { handoff: { reason: handoffData.reason, status: 'requested' } }
+      });
+
+      ws.send(JSON.stringify({
+        type: 'end',
+        handoffData: JSON.stringify(handoffData)
+      }));
+    };
+
+    /**
+     * Say goodbye and end a call the caller no longer responds on (the connect action hangs up)
+     * @param {string} reason - Why the call is ended (e.g., 'caller_silence')
+     */
+    const endAbandonedCall = (reason) => {
+      console.log(` [${currentSessionId}] Ending abandoned call (${reason})`);
+
+      idleTimer.clear();
+      silenceMonitor.pause();
+
+      callRecords.record(currentSessionId, { source: 'session', event: 'session.abandoned', detail: reason });
+
+      ws.send(JSON.stringify({
+        type: 'text',
+        token: config.silence.goodbye,
+        last: true
+      }));
+      ws.send(JSON.stringify({ type: 'end' }));
+    };
+
     /**
      * Setup event listeners for agent service and idle timer
      */
@@ -115,6 +340,12 @@ export function initializeWebSocketHandlers(wss) {
       if (idleTimer) {
         idleTimer.removeAllListeners();
       }
+      if (digitCollector) {
+        digitCollector.removeAllListeners();
+      }
+      if (silenceMonitor) {
+        silenceMonitor.removeAllListeners();
+      }
 
       // Agent Service Event Listeners
 
@@ -143,6 +374,16 @@ export function initializeWebSocketHandlers(wss) {
           token: '',
           last: true
         }));
+
+        // Wait for the caller: the first key of a reprompted entry, or any response
+        if (idleTimer.getTimeoutCount() > 0 && !idleTimer.isRunning() && !digitCollector.isActive()) {
+          idleTimer.start();
+        }
+        if (idleTimer.isRunning() || digitCollector.isActive()) {
+          silenceMonitor.pause();
+        } else {
+          silenceMonitor.start(content);
+        }
       });
 
       // Handle agent thinking/processing
@@ -156,29 +397,34 @@ export function initializeWebSocketHandlers(wss) {
       // Handle tool calls
       agentService.on('toolCall', (toolCall) => {
         console.log(` [${currentSessionId}] Tool call: ${toolCall.name}`);
-        // Tools are handled by Azure, just log for visibility
+        // Local tools are executed by the agent service, just log for visibility
+
+        // The agent is still working on its reply
+        silenceMonitor.pause();
       });
 
-      // Handle language switch (simplified - only English supported)
+      // Handle language switch - change TTS and transcription, and tell the agent
       agentService.on('languageSwitch', (data) => {
-        console.log(` [${currentSessionId}] Language switch requested but only English is supported in this demo`);
-        // No action needed - already using English
-      });
+        const language = findLanguage(data.targetLanguage);
 
-      // Handle human agent handoff
-      agentService.on('handoff', (handoffData) => {
-        console.log(` [${currentSessionId}] Human agent handoff requested`);
-        console.log(`   Reason: ${handoffData.reason || 'Not specified'}`);
+        if (!language) {
+          console.warn(` [${currentSessionId}] Unsupported language requested: ${data.targetLanguage}`);
+          return;
+        }
 
-        ws.send(JSON.stringify({
-          type: 'end',
-          handoffData: JSON.stringify(handoffData)
-        }));
+        switchLanguage(language);
+
+        // The agent chose the language, stop detecting it
+        languageDetector.lock();
       });
 
+      // Handle human agent handoff
+      agentService.on('handoff', requestHandoff);
+
       // Handle errors
       agentService.on('error', (error) => {
         console.error(` [${currentSessionId}] Agent service error:`, error);
+        callRecords.record(currentSessionId, { source: 'session', error: { message: error.message || String(error) } });
 
         ws.send(JSON.stringify({
           type: 'error',
@@ -191,23 +437,77 @@ export function initializeWebSocketHandlers(wss) {
         if (config.debug) {
           console.log(` [${currentSessionId}] Agent run completed`);
         }
+
+        saveSessionState();
       });
 
       // Idle Timer Event Listeners
 
       idleTimer.on('idleTimeout', (data) => {
-        console.log(` [${currentSessionId}] Idle timeout occurred`);
+        console.log(` [${currentSessionId}] Idle timeout occurred (${data.phase}, ${data.count} in a row)`);
+
+        // Input the agent is waiting for: the collector asks again or gives up
+        if (digitCollector.handleTimeout()) {
+          return;
+        }
+
+        // Reset DTMF state
+        dtmfHelper.resetState();
+
+        // Reprompts used up: take the final action
+        if (data.count > config.dtmf.timeoutRetries) {
+          console.log(` [${currentSessionId}] DTMF input not received after ${config.dtmf.timeoutRetries} reprompt(s): ${config.dtmf.timeoutAction}`);
+
+          if (config.dtmf.timeoutAction === 'handoff') {
+            requestHandoff({ reason: 'dtmf_timeout', context: 'The caller did not enter the requested keypad input' });
+            return;
+          }
+          if (config.dtmf.timeoutAction === 'hangup') {
+            endAbandonedCall('dtmf_timeout');
+            return;
+          }
+
+          idleTimer.resetTimeouts();
+          turnScheduler.enqueue(
+            TurnScheduler.TurnTypes.SYSTEM,
+            `SYSTEM NOTICE: DTMF input was not received after ${config.dtmf.timeoutRetries} reprompt(s). ` +
+            'Stop asking for it and continue the conversation without it.'
+          ).catch(error => {
+            console.error(` [${currentSessionId}] Error handling idle timeout:`, error);
+          });
+          return;
+        }
 
         // Notify the agent that DTMF input wasn't received
-        agentService.processMessage(
-          'SYSTEM NOTICE: DTMF input was not received within the expected timeframe. ' +
-          'Please reprompt the caller or continue with the conversation.'
-        ).catch(error => {
+        turnScheduler.enqueue(TurnScheduler.TurnTypes.SYSTEM, buildDtmfTimeoutNotice(data)).catch(error => {
           console.error(` [${currentSessionId}] Error handling idle timeout:`, error);
         });
+      });
 
-        // Reset DTMF state
-        dtmfHelper.resetState();
+      // Digit Collector Event Listeners
+
+      // Say the prompt of a collect_digits request (the collector's timeouts take over from the silence timer)
+      digitCollector.on('prompt', (text) => {
+        silenceMonitor.pause();
+        ws.send(JSON.stringify({
+          type: 'text',
+          token: text,
+          last: true
+        }));
+      });
+
+      // Silence Monitor Event Listeners
+
+      silenceMonitor.on('prompt', ({ text }) => {
+        ws.send(JSON.stringify({
+          type: 'text',
+          token: text,
+          last: true
+        }));
+      });
+
+      silenceMonitor.on('abandoned', () => {
+        endAbandonedCall('caller_silence');
       });
     };
 
@@ -222,10 +522,16 @@ export function initializeWebSocketHandlers(wss) {
           console.log(`[${currentSessionId || 'pending'}] Received:`, parsedMessage.type);
         }
 
+        // Messages that arrive while the session is being restored wait for it
+        if (parsedMessage.type !== 'setup' && sessionReady) {
+          await sessionReady.catch(() => {});
+        }
+
         switch (parsedMessage.type) {
           case 'setup':
             // Initialize session
-            await initializeSession(parsedMessage.callSid);
+            sessionReady = initializeSession(parsedMessage);
+            await sessionReady;
             console.log(` [${currentSessionId}] Session initialized`);
             break;
 
@@ -242,8 +548,24 @@ export function initializeWebSocketHandlers(wss) {
 
             console.log(` [${currentSessionId}] User: ${parsedMessage.voicePrompt}`);
 
-            // Process the message through agent service
-            agentService.processMessage(parsedMessage.voicePrompt).catch(error => {
+            // The caller responded; speaking instead of entering keys ends the collection,
+            // so its tool call returns and this turn is not held back until it times out
+            silenceMonitor.stop();
+            if (digitCollector.isActive()) {
+              digitCollector.cancel('The caller spoke instead of entering keys');
+            }
+            idleTimer.resetTimeouts();
+
+            // Detect the caller's language on the first turns (before the turn is queued,
+            // so the run already answers in the detected language)
+            const detectedLanguage = languageDetector.detectFromSpeech(parsedMessage.voicePrompt);
+            if (detectedLanguage && detectedLanguage.code !== agentService.sessionContext.language) {
+              console.log(` [${currentSessionId}] Detected caller language: ${detectedLanguage.name}`);
+              switchLanguage(detectedLanguage);
+            }
+
+            // Queue the prompt (merged with other fragments and serialized with other turns)
+            turnScheduler.enqueue(TurnScheduler.TurnTypes.PROMPT, parsedMessage.voicePrompt).catch(error => {
               console.error(` [${currentSessionId}] Error processing prompt:`, error);
             });
             break;
@@ -255,7 +577,27 @@ export function initializeWebSocketHandlers(wss) {
               return;
             }
 
-            console.log(` [${currentSessionId}] DTMF: ${parsedMessage.digit}`);
+            // Keys of sensitive entries (PIN, card number) are never logged
+            console.log(` [${currentSessionId}] DTMF: ${dtmfHelper.isSensitive() ? '*' : parsedMessage.digit}`);
+
+            // The caller responded; the idle timer waits for the next key
+            silenceMonitor.stop();
+
+            // Language menu choice ("press 2 for Español") at the start of the call
+            const menuLanguage = !digitCollector.isActive() && languageDetector.selectFromMenu(parsedMessage.digit);
+            if (menuLanguage) {
+              console.log(` [${currentSessionId}] Language selected from menu: ${menuLanguage.name}`);
+              switchLanguage(menuLanguage);
+
+              turnScheduler.enqueue(
+                TurnScheduler.TurnTypes.SYSTEM,
+                `SYSTEM NOTICE: The caller selected ${menuLanguage.name} from the language menu. ` +
+                'Greet them and ask how you can help.'
+              ).catch(error => {
+                console.error(` [${currentSessionId}] Error handling language selection:`, error);
+              });
+              break;
+            }
 
             // Process DTMF input
             const processedDTMF = dtmfHelper.processDTMF(parsedMessage.digit);
@@ -267,11 +609,28 @@ export function initializeWebSocketHandlers(wss) {
             if (dtmfHelper.isComplete()) {
               console.log(` [${currentSessionId}] DTMF collection complete: ${processedDTMF}`);
 
-              // Clear idle timer
+              // Clear idle timer (an entry was made, earlier timeouts no longer count)
               idleTimer.clear();
+              idleTimer.resetTimeouts();
+
+              // Sensitive entries are verified and replaced with a token before the agent sees them
+              let result = dtmfHelper.getResult();
+              let dtmfText = processedDTMF;
+              if (result.valid && result.sensitive) {
+                result = await SecureInputVault.getInstance().protect(currentSessionId, result, agentService.sessionContext);
+                dtmfText = result.valid ? describeSecureInput(result) : null;
+              }
+
+              // Input requested by collect_digits goes back to the tool call that asked for it
+              if (digitCollector.handleResult(result)) {
+                break;
+              }
 
-              // Send to agent as a system message
-              agentService.processMessage(`DTMF INPUT: ${processedDTMF}`).catch(error => {
+              // Send to agent as a system message; invalid input comes as a structured error to reprompt on
+              const dtmfInput = result.valid
+                ? `DTMF INPUT: ${dtmfText}`
+                : `DTMF INPUT INVALID: ${JSON.stringify({ type: result.type, ...result.error })}`;
+              turnScheduler.enqueue(TurnScheduler.TurnTypes.DTMF, dtmfInput).catch(error => {
                 console.error(` [${currentSessionId}] Error processing DTMF result:`, error);
               });
 
@@ -280,7 +639,7 @@ export function initializeWebSocketHandlers(wss) {
             } else {
               if (config.debug) {
                 const progress = dtmfHelper.getProgress();
-                console.log(` [${currentSessionId}] DTMF collecting: ${progress.bufferLength}/${progress.expectedLength || '?'}`);
+                console.log(` [${currentSessionId}] DTMF collecting: ${progress.bufferLength}/${progress.maxLength}`);
               }
             }
             break;
@@ -289,13 +648,24 @@ export function initializeWebSocketHandlers(wss) {
             // User interrupted AI
             if (agentService) {
               console.log(` [${currentSessionId}] User interrupted`);
-              agentService.stopStreaming();
+              silenceMonitor.stop();
+              agentService.interrupt(parsedMessage).catch(error => {
+                console.error(` [${currentSessionId}] Error handling interruption:`, error);
+              });
+              // The turn waiting for keypad input is gone; later keys are a new turn
+              if (digitCollector.isActive()) {
+                digitCollector.cancel('Interrupted by the caller');
+              }
             }
             break;
 
           case 'error':
             // Error from Twilio
-            console.error(` [${currentSessionId}] Twilio error received`);
+            console.error(` [${currentSessionId}] Twilio error received: ${parsedMessage.description || parsedMessage.message || 'no description'}`);
+            callRecords.record(currentSessionId, {
+              source: 'session',
+              error: { message: parsedMessage.description || parsedMessage.message }
+            });
             break;
 
           default:
@@ -314,18 +684,21 @@ export function initializeWebSocketHandlers(wss) {
 
     ws.on('close', () => {
       console.log(` [${currentSessionId}] WebSocket connection closed`);
+      callRecords.record(currentSessionId, { source: 'session', event: 'session.closed' });
 
       // Save state before cleanup
       if (agentService && currentSessionId) {
-        const state = agentService.getState();
-        stateManager.saveState(currentSessionId, state);
+        saveSessionState();
         console.log(` [${currentSessionId}] State saved for potential reconnection`);
       }
 
-      // Clear idle timer
+      // Clear idle timer and silence timer
       if (idleTimer) {
         idleTimer.clear();
       }
+      if (silenceMonitor) {
+        silenceMonitor.pause();
+      }
 
       // Schedule cleanup after grace period (5 minutes)
       setTimeout(() => {
@@ -340,12 +713,16 @@ export function initializeWebSocketHandlers(wss) {
 
           // Cleanup services
           if (session) {
+            session.turnScheduler?.clear();
             session.agentService?.cleanup();
+            session.digitCollector?.cancel('The call ended');
+            SecureInputVault.getInstance().discard(currentSessionId);
             session.idleTimer?.cleanup();
+            session.silenceMonitor?.cleanup();
           }
 
-          // Remove from state manager
-          stateManager.deleteState(currentSessionId);
+          // Saved state is left to expire through its TTL: with a shared store the call
+          // may have reconnected to another instance that is still using it
         }
       }, 5 * 60 * 1000); // 5 minute grace period
     });
@@ -357,8 +734,7 @@ export function initializeWebSocketHandlers(wss) {
 
       // Save state on error
       if (agentService && currentSessionId) {
-        const state = agentService.getState();
-        stateManager.saveState(currentSessionId, state);
+        saveSessionState();
         console.log(` [${currentSessionId}] State saved due to error`);
       }
     });
@@ -367,8 +743,20 @@ export function initializeWebSocketHandlers(wss) {
   // Server-level stats logging
   setInterval(() => {
     const sessionCount = activeSessions.size;
-    const stateCount = stateManager.getSessionCount();
-    console.log(` Active sessions: ${sessionCount}, Saved states: ${stateCount}`);
+    stateManager.getSessionCount()
+      .then(stateCount => {
+        console.log(` Active sessions: ${sessionCount}, Saved states: ${stateCount}`);
+      })
+      .catch(error => {
+        console.error(' Error reading saved state count:', error.message);
+      });
+
+    if (config.debug) {
+      for (const [sessionId, session] of activeSessions.entries()) {
+        const stats = session.turnScheduler.getStats();
+        console.log(`   [${sessionId}] Turn queue depth: ${stats.queueDepth}, active: ${stats.activeTurn || 'none'}, merged: ${stats.merged}, dropped: ${stats.dropped}`);
+      }
+    }
   }, 60000); // Log every minute
 }
 
@@ -388,4 +776,16 @@ export function getActiveSessionIds() {
   return Array.from(activeSessions.keys());
 }
 
-export default { initializeWebSocketHandlers, getActiveSessionCount, getActiveSessionIds };
+/**
+ * Get turn queue statistics per active session (for debugging)
+ * @returns {Object<string, Object>} Scheduler stats keyed by session ID
+ */
+export function getTurnQueueStats() {
+  const stats = {};
+  for (const [sessionId, session] of activeSessions.entries()) {
+    stats[sessionId] = session.turnScheduler.getStats();
+  }
+  return stats;
+}
+
+export default { initializeWebSocketHandlers, getActiveSessionCount, getActiveSessionIds, getTurnQueueStats };
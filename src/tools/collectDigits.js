@@ -0,0 +1,141 @@
+import { CollectionTypes } from '../services/dtmfCollectionTypes.js';
+import { config } from '../config.js';
+
+/**
+ * collect_digits tool
+ * Asks the caller to enter something on the keypad (member ID, date of birth,
+ * amount, menu choice, ...) and returns the validated input as the tool output
+ * The prompt is said to the caller, invalid input and silence are asked for again
+ * up to `retries` times, and the keys never start a separate agent turn
+ */
+
+/** Longest wait for a key, in seconds */
+const MAX_TIMEOUT_SECONDS = 30;
+/** Most times the caller is asked again */
+const MAX_RETRIES = 3;
+
+/** @type {import('../types/index.js').ToolDefinition} */
+export const collectDigitsTool = {
+  name: 'collect_digits',
+  description: 'Ask the caller to enter digits on their phone keypad and wait for them, for example a member ID, PIN, date of birth, ZIP code, amount or menu choice. The prompt is said to the caller; do not ask for the input yourself. Returns the validated input, or an error (e.g., timeout, invalid_date) if the caller did not enter valid input.',
+  parameters: {
+    type: 'object',
+    properties: {
+      type: {
+        type: 'string',
+        enum: Object.keys(CollectionTypes),
+        description: 'What to collect: phoneNumber (10 digits), accountNumber, pin, cardNumber, ssn (9 digits), dateOfBirth (8 digits), zipCode (5 digits), amount, menu (one key) or digits (any length). pin, cardNumber and ssn are secure: you get a token and whether the value was verified, never the digits'
+      },
+      prompt: {
+        type: 'string',
+        description: 'What to say to ask for the input (e.g., "Please enter your 8-digit member ID, then press pound.")'
+      },
+      reprompt: {
+        type: 'string',
+        description: 'What to say when asking again after invalid input or silence (defaults to the prompt)'
+      },
+      length: {
+        type: 'integer',
+        description: 'Exact number of digits expected (e.g., 8 for an 8-digit member ID)'
+      },
+      minLength: {
+        type: 'integer',
+        description: 'Fewest digits accepted'
+      },
+      maxLength: {
+        type: 'integer',
+        description: 'Most digits accepted'
+      },
+      timeoutSeconds: {
+        type: 'number',
+        description: `Seconds to wait for a key before asking again (default ${config.dtmf.firstDigitTimeoutMs / 1000} for the first key and ${config.dtmf.interDigitTimeoutMs / 1000} between keys, at most ${MAX_TIMEOUT_SECONDS})`
+      },
+      retries: {
+        type: 'integer',
+        description: `Times to ask again after invalid input or silence (default 1, at most ${MAX_RETRIES})`
+      },
+      sensitive: {
+        type: 'boolean',
+        description: 'Treat the input as secure like a PIN: you get a token instead of the digits (for other confidential numbers)'
+      },
+      luhn: {
+        type: 'boolean',
+        description: 'accountNumber: require a valid check digit'
+      },
+      dateOrder: {
+        type: 'string',
+        enum: ['MMDDYYYY', 'DDMMYYYY', 'YYYYMMDD'],
+        description: 'dateOfBirth: order of the digits (default MMDDYYYY)'
+      },
+      min: {
+        type: 'number',
+        description: 'amount: smallest amount accepted'
+      },
+      max: {
+        type: 'number',
+        description: 'amount: largest amount accepted'
+      },
+      decimals: {
+        type: 'integer',
+        description: 'amount: digits after the decimal point (default 2, so 12550 is 125.50)'
+      },
+      choices: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'menu: keys that are valid options (e.g., ["1", "2", "0"])'
+      }
+    },
+    required: ['type', 'prompt']
+  },
+  // The handler waits for the caller; the collector ends a collection after 4 minutes at most
+  timeout: 5 * 60 * 1000,
+  handler: async (args, context) => {
+    if (!context.collectDigits) {
+      throw new Error('Keypad input cannot be collected on this call');
+    }
+
+    const { type, prompt, reprompt, length, minLength, maxLength, timeoutSeconds, retries = 1, sensitive, luhn, dateOrder, min, max, decimals, choices } = args;
+
+    for (const [name, value] of Object.entries({ length, minLength, maxLength })) {
+      if (value !== undefined && !(value >= 1 && value <= 32)) {
+        throw new Error(`${name} must be between 1 and 32`);
+      }
+    }
+    if (length === undefined && (minLength ?? CollectionTypes[type].minLength) > (maxLength ?? CollectionTypes[type].maxLength)) {
+      throw new Error(`minLength must not be greater than maxLength (${type} defaults: ${CollectionTypes[type].minLength} to ${CollectionTypes[type].maxLength})`);
+    }
+    if (timeoutSeconds !== undefined && !(timeoutSeconds >= 1 && timeoutSeconds <= MAX_TIMEOUT_SECONDS)) {
+      throw new Error(`timeoutSeconds must be between 1 and ${MAX_TIMEOUT_SECONDS}`);
+    }
+    if (!(retries >= 0 && retries <= MAX_RETRIES)) {
+      throw new Error(`retries must be between 0 and ${MAX_RETRIES}`);
+    }
+    if (decimals !== undefined && !(decimals >= 0 && decimals <= 4)) {
+      throw new Error('decimals must be between 0 and 4');
+    }
+
+    const options = Object.fromEntries(Object.entries({
+      expectedLength: length,
+      minLength,
+      maxLength,
+      sensitive,
+      luhn,
+      dateOrder,
+      min,
+      max,
+      decimals,
+      choices: choices?.map(String)
+    }).filter(([, value]) => value !== undefined));
+
+    return context.collectDigits({
+      type,
+      options,
+      prompt,
+      reprompt,
+      timeoutMs: timeoutSeconds !== undefined ? timeoutSeconds * 1000 : undefined,
+      retries
+    });
+  }
+};
+
+export default collectDigitsTool;
@@ -0,0 +1,26 @@
+/**
+ * get_call_details tool
+ * Returns the phone numbers and identifiers of the current call
+ * Lets the agent confirm the caller's number without asking for it
+ */
+
+/** @type {import('../types/index.js').ToolDefinition} */
+export const getCallDetailsTool = {
+  name: 'get_call_details',
+  description: 'Get details about the current phone call, including the caller number, caller name, the number that was dialed, the call direction and custom call parameters (e.g., campaign).',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  timeout: 2000,
+  handler: async (args, context) => ({
+    callSid: context.callSid,
+    from: context.from || null,
+    to: context.to || null,
+    callerName: context.callerName || null,
+    direction: context.direction || null,
+    parameters: context.customParameters || {}
+  })
+};
+
+export default getCallDetailsTool;
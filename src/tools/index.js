@@ -0,0 +1,32 @@
+import { ToolRegistry } from '../services/toolRegistry.js';
+import { getCallDetailsTool } from './getCallDetails.js';
+import { collectDigitsTool } from './collectDigits.js';
+import { optOutTool } from './optOut.js';
+import { scheduleCallbackTool } from './scheduleCallback.js';
+
+/**
+ * Local function tools
+ * Add new tools to this list to make them available to the agent
+ * The agent must also have a matching function definition configured in Azure
+ * (see ToolRegistry.getDefinitions())
+ */
+const tools = [
+  getCallDetailsTool,
+  collectDigitsTool,
+  optOutTool,
+  scheduleCallbackTool
+];
+
+/**
+ * Register all local tools with the tool registry
+ * @param {ToolRegistry} [registry] - Registry to populate (defaults to the singleton)
+ */
+export function registerTools(registry = ToolRegistry.getInstance()) {
+  for (const tool of tools) {
+    if (!registry.has(tool.name)) {
+      registry.register(tool);
+    }
+  }
+}
+
+export default { registerTools };
@@ -0,0 +1,46 @@
+import { ComplianceGuard } from '../services/complianceGuard.js';
+import { CallRecordStore } from '../services/callRecords.js';
+
+/**
+ * opt_out tool
+ * Adds the customer's number to the do-not-call list (and withdraws its consent)
+ * when they ask not to be called again
+ * The customer is the caller on inbound calls and the called number on outbound calls
+ */
+
+/** @type {import('../types/index.js').ToolDefinition} */
+export const optOutTool = {
+  name: 'opt_out',
+  description: 'Add the customer\'s phone number to the do-not-call list when they ask not to be called again. We will not call the number again. Confirm with the customer before using this tool.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'What the customer asked for, in a few words (e.g., "asked not to be called again")'
+      }
+    }
+  },
+  timeout: 3000,
+  handler: async (args, context) => {
+    const number = context.direction?.startsWith('outbound') ? context.to : context.from;
+    if (!number) {
+      throw new Error('The customer\'s number is not known for this call');
+    }
+
+    await ComplianceGuard.getInstance().addToDoNotCall(number, {
+      source: 'agent',
+      reason: args.reason,
+      callSid: context.callSid
+    });
+    CallRecordStore.getInstance().record(context.callSid, { source: 'session', event: 'compliance.opt_out', detail: args.reason });
+
+    return {
+      success: true,
+      number,
+      message: 'The number is on the do-not-call list and will not be called again.'
+    };
+  }
+};
+
+export default optOutTool;
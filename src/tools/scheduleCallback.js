@@ -0,0 +1,79 @@
+import { CallScheduler, resolveScheduleTime } from '../services/callScheduler.js';
+
+/**
+ * schedule_callback tool
+ * Books a call back to the customer at a later time (e.g., when they ask for a
+ * person outside business hours)
+ * The callback continues this call's thread, so the agent that places it knows
+ * what was discussed; it comes from the number the customer dealt with on this call
+ */
+
+/** @type {import('../types/index.js').ToolDefinition} */
+export const scheduleCallbackTool = {
+  name: 'schedule_callback',
+  description: 'Schedule a call back to the customer at a later time, for example when they ask to be called back or when no one can take the call now. Give either "at" or "delayMinutes". Agree on the time with the customer first. Calls are only placed within calling hours, so the callback may be moved to the next allowed time.',
+  parameters: {
+    type: 'object',
+    properties: {
+      at: {
+        type: 'string',
+        description: 'When to call, as an ISO 8601 time with the customer\'s UTC offset (e.g., "2025-03-04T09:30:00-05:00")'
+      },
+      delayMinutes: {
+        type: 'number',
+        description: 'Minutes from now to call (instead of "at")'
+      },
+      reason: {
+        type: 'string',
+        description: 'What the callback is about, in a few words (e.g., "the refund for order 1234")'
+      },
+      summary: {
+        type: 'string',
+        description: 'Where the conversation stands and what the customer expects on the callback'
+      }
+    },
+    required: ['reason']
+  },
+  timeout: 3000,
+  handler: async (args, context) => {
+    const outbound = context.direction?.startsWith('outbound');
+    const customer = outbound ? context.to : context.from;
+    const ourNumber = outbound ? context.from : context.to;
+    if (!customer || !ourNumber) {
+      throw new Error('The phone numbers of this call are not known');
+    }
+
+    const { time, problem } = resolveScheduleTime({ at: args.at, delayMinutes: args.delayMinutes });
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const call = await CallScheduler.getInstance().schedule({
+      to: customer,
+      from: ourNumber,
+      time,
+      context: {
+        ...(context.outboundContext?.agentId ? { agentId: context.outboundContext.agentId } : {}),
+        purpose: args.reason,
+        callback: {
+          callSid: context.callSid,
+          threadId: context.threadId,
+          reason: args.reason,
+          summary: args.summary,
+          requestedAt: new Date().toISOString()
+        }
+      },
+      source: 'agent',
+      originCallSid: context.callSid
+    });
+
+    return {
+      success: true,
+      id: call.id,
+      scheduledFor: call.at,
+      ...(call.requestedAt ? { note: 'The requested time is outside calling hours, so the callback was moved to the next allowed time.' } : {})
+    };
+  }
+};
+
+export default scheduleCallbackTool;
@@ -51,6 +51,7 @@
  * @property {string} callStatus - Current call status
  * @property {string} accountSid - Twilio account SID
  * @property {string} applicationSid - Application SID
+ * @property {Object<string, string>} [customParameters] - <Parameter> elements of the ConversationRelay TwiML
  */
 
 /**
@@ -88,6 +89,7 @@
  * @typedef {Object} ErrorMessage
  * @property {'error'} type - Message type
  * @property {string} [message] - Error description
+ * @property {string} [description] - Error description (as sent by Twilio)
  */
 
 /**
@@ -114,9 +116,13 @@
  * Session data stored in active sessions map
  * @typedef {Object} SessionData
  * @property {string} threadId - Azure AI thread ID
- * @property {import('../services/azureAgentService.js').AzureAgentService} agentService - Azure agent service instance
+ * @property {import('../services/agentBackend.js').AgentBackend} agentService - Agent backend instance
  * @property {import('../services/dtmfHelper.js').DTMFHelper} dtmfHelper - DTMF helper instance
  * @property {import('../services/idleTimer.js').IdleTimer} idleTimer - Idle timer instance
+ * @property {import('../services/digitCollector.js').DigitCollector} digitCollector - Keypad input requested by the agent
+ * @property {import('../services/silenceMonitor.js').SilenceMonitor} silenceMonitor - Caller silence timer
+ * @property {import('../services/turnScheduler.js').TurnScheduler} turnScheduler - Turn scheduler instance
+ * @property {import('../services/languageDetector.js').LanguageDetector} languageDetector - Caller language detector
  */
 
 /**
@@ -124,6 +130,10 @@
  * @typedef {Object} AgentServiceState
  * @property {string} sessionId - Session identifier
  * @property {string} threadId - Azure AI thread ID
+ * @property {string} [language] - Active language code
+ * @property {CallContext} [call] - Call details from the setup message
+ * @property {import('../services/outboundContext.js').OutboundContext} [outboundContext] - Outbound call context
+ * @property {import('../services/languageDetector.js').LanguageDetectionState} [languageDetection] - Language detection progress
  * @property {number} timestamp - State save timestamp
  */
 
@@ -148,5 +158,98 @@
  * @property {string} userInfo.phone - User's phone number
  */
 
+/**
+ * Session context shared with local tool handlers
+ * @typedef {Object} SessionContext
+ * @property {string} callSid - Twilio call SID
+ * @property {string} [sessionId] - Session identifier
+ * @property {string} [threadId] - Azure AI thread ID
+ * @property {string} [from] - Caller phone number
+ * @property {string} [to] - Called phone number
+ * @property {string} [callerName] - Caller ID name (inbound calls, when available)
+ * @property {string} [direction] - Call direction ('inbound', 'outbound-api', ...)
+ * @property {Object<string, string>} [customParameters] - Custom TwiML parameters (e.g., campaign)
+ * @property {import('../services/outboundContext.js').OutboundContext} [outboundContext] - Context of an outbound call placed with one
+ * @property {string} [language] - Active language code from the language catalog (e.g., 'es')
+ * @property {import('../services/ivrMenu.js').IvrSelection} [ivr] - Phone menu path the caller took to reach the agent
+ * @property {(request: import('../services/digitCollector.js').DigitRequest) => Promise<import('../services/digitCollector.js').DigitCollection>} [collectDigits] - Ask the caller for keypad input and wait for it
+ */
+
+/**
+ * Call details from the setup message, kept with the session state
+ * @typedef {Object} CallContext
+ * @property {string} [from] - Caller phone number
+ * @property {string} [to] - Called phone number
+ * @property {string} [callerName] - Caller ID name
+ * @property {string} [direction] - Call direction
+ * @property {Object<string, string>} customParameters - Custom TwiML parameters
+ */
+
+/**
+ * API key for the outbound call API
+ * @typedef {Object} OutboundApiKey
+ * @property {string} id - Key name, recorded in the audit log
+ * @property {string} [key] - The key itself (sent as a bearer token or X-API-Key header)
+ * @property {string} [keySha256] - Hex SHA-256 of the key, instead of the key itself
+ * @property {string[]} fromNumbers - Caller IDs the key may dial from ('*' for any)
+ * @property {string[]} [agentIds] - Agents the key may select per call (any if omitted)
+ * @property {string[]} scopes - Extra permissions ('compliance': change the do-not-call list and consent)
+ * @property {number} rateLimitPerMinute - Calls allowed per minute
+ * @property {number} dailyCap - Calls allowed per UTC day
+ */
+
+/**
+ * Where an IVR menu option (or the no-input fallback) sends the caller
+ * Exactly one of menu, queue and voicemail, or agent and/or language (the AI agent)
+ * @typedef {Object} IvrRoute
+ * @property {string} [label] - Name of the option, given to the agent and the person taking the call (e.g., 'Billing')
+ * @property {string} [say] - Said before the caller is routed (e.g., 'Please hold.')
+ * @property {string} [menu] - Submenu to play
+ * @property {string} [agent] - Agent to connect to ('default': AGENT_ID)
+ * @property {string} [language] - Language code to talk to the agent in (e.g., 'es')
+ * @property {string} [greeting] - Agent greeting for this route (defaults to WELCOME_GREETING)
+ * @property {string} [queue] - TaskRouter queue name, passed in the task attributes
+ * @property {string} [workflowSid] - TaskRouter workflow for the queue (defaults to TWILIO_WORKFLOW_SID)
+ * @property {string} [voicemail] - Voicemail box to record a message in
+ */
+
+/**
+ * IVR menu
+ * @typedef {Object} IvrMenu
+ * @property {string} prompt - What the menu says (the options and their keys)
+ * @property {Object<string, IvrRoute>} options - Keypad key to route
+ */
+
+/**
+ * Voicemail box of the IVR
+ * @typedef {Object} IvrVoicemailBox
+ * @property {string} prompt - Said before the beep
+ * @property {number} maxLengthSeconds - Longest message
+ * @property {string} thanks - Said after the message, before hanging up
+ */
+
+/**
+ * Phone menu played before the agent takes over (IVR_MENU_PATH)
+ * @typedef {Object} IvrConfig
+ * @property {string} start - Menu played first
+ * @property {number} timeoutSeconds - Wait for a key
+ * @property {number} retries - Times a menu is repeated after no or an invalid key
+ * @property {string} invalidPrompt - Said before a menu is repeated after an invalid key
+ * @property {IvrRoute} noInput - Where callers who never choose go
+ * @property {string} [voice] - <Say> voice of the menu prompts (Twilio's default if omitted)
+ * @property {Object<string, IvrMenu>} menus - Menus by name
+ * @property {Object<string, IvrVoicemailBox>} voicemail - Voicemail boxes by name
+ */
+
+/**
+ * Local function tool that the agent can call
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Function name (must match the agent's function tool definition)
+ * @property {string} [description] - Description shown to the model
+ * @property {Object} [parameters] - JSON schema for the function arguments
+ * @property {number} [timeout] - Handler timeout in milliseconds
+ * @property {(args: Object, context: SessionContext) => Promise<any>} handler - Handler returning the tool output
+ */
+
 // Export an empty object to make this a module
 export {};